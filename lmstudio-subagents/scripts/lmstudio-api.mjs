@@ -1,23 +1,119 @@
 #!/usr/bin/env node
 
 /**
- * LM Studio v1 REST API (POST /api/v1/chat)
+ * LM Studio v1 REST API (POST /api/v1/chat, /api/v1/models)
  *
- * Calls LM Studio chat endpoint and parses v1 response.
- * Usage: node scripts/lmstudio-api.mjs <model> '<task>' [--temperature=0.7] [--max-output-tokens=2000] [--previous-response-id=resp_xxx] [--api-url=http://127.0.0.1:1234]
+ * Calls LM Studio chat endpoint and parses v1 response (or streams it as NDJSON); also checks the
+ * server and lists, loads, waits for and unloads models.
+ * Usage: node scripts/lmstudio-api.mjs <model|auto> '<task>' [--temperature=0.7] [--max-output-tokens=2000] [--previous-response-id=resp_xxx] [--api-url=http://127.0.0.1:1234]
+ *          streaming: [--stream] [--stop=STRING]... [--max-chars=4000]
+ *          structured: [--json-schema=schema.json] [--schema-retries=2]
+ *          with auto: [--profile=speed|reasoning|vision] [--min-context=8192] [--allow=key1,key2]
+ *        node scripts/lmstudio-api.mjs batch <model|auto> <tasks.jsonl> [--output=tasks.results.jsonl] [--concurrency=2] [--temperature=0.7] [--max-output-tokens=2000] [--json-schema=schema.json] [--schema-retries=2] [--profile=speed] [--api-url=...]
+ *        node scripts/lmstudio-api.mjs select [--profile=speed|reasoning|vision|embedding] [--min-context=8192] [--allow=key1,key2] [--api-url=...]
+ *        node scripts/lmstudio-api.mjs preflight [--api-url=...]
+ *        node scripts/lmstudio-api.mjs models [--loaded] [--type=llm|embedding] [--api-url=...]
+ *        node scripts/lmstudio-api.mjs load <model> [--context-length=8192] [--flash-attention=true] [--eval-batch-size=512] [--num-experts=4] [--offload-kv-cache-to-gpu=true] [--wait] [--timeout-seconds=300] [--api-url=...]
+ *        node scripts/lmstudio-api.mjs wait <model|instance_id> [--timeout-seconds=300] [--interval-ms=1000] [--api-url=...]
+ *        node scripts/lmstudio-api.mjs unload <instance_id> [--api-url=...]
+ * Every command prints one JSON object on stdout (--stream: one per line, ending with type done),
+ * or { error, type } on stderr and exits 1.
  */
 
+import { appendFileSync, existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+
 const BASE_URL = process.env.LM_STUDIO_API_URL || 'http://127.0.0.1:1234';
+const DEFAULT_WAIT_TIMEOUT_SECONDS = 300;
+const DEFAULT_POLL_INTERVAL_MS = 1000;
+const PROFILES = ['speed', 'reasoning', 'vision', 'embedding'];
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_SCHEMA_RETRIES = 2;
+const DEFAULT_BATCH_CONCURRENCY = 2;
 
-async function callLMStudioAPI(model, taskContent, options = {}) {
+class LMStudioError extends Error {
+  constructor(message, type = 'api_error', details = undefined) {
+    super(message);
+    this.name = 'LMStudioError';
+    this.type = type;
+    this.details = details;
+  }
+}
+
+function printError(error) {
+  const payload = error instanceof LMStudioError
+    ? { error: error.message, type: error.type, ...(error.details || {}) }
+    : { error: error?.message || String(error), type: 'unexpected_error' };
+  console.error(JSON.stringify(payload));
+  process.exit(1);
+}
+
+async function apiFetch(path, { method = 'GET', body = null, apiUrl = BASE_URL, signal = undefined } = {}) {
+  const url = `${apiUrl.replace(/\/$/, '')}${path}`;
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Bearer lmstudio'
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    });
+    return { response, url };
+  } catch (error) {
+    throw new LMStudioError(error.message, 'network_error', { url });
+  }
+}
+
+async function apiRequest(path, options = {}) {
+  const { response, url } = await apiFetch(path, options);
+  let data;
+  try {
+    data = await response.json();
+  } catch {
+    throw new LMStudioError(`Invalid JSON from ${path} (HTTP ${response.status})`, 'invalid_response', { url });
+  }
+
+  if (!response.ok) {
+    throw new LMStudioError(data?.error?.message || data?.message || `HTTP ${response.status}`, data?.error?.type || 'api_error');
+  }
+  return data;
+}
+
+function positiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) throw new LMStudioError(`${name} must be a positive integer`, 'invalid_argument');
+  return number;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves model auto and builds the POST /api/v1/chat body shared by chat and streamChat.
+async function buildChatRequest(model, taskContent, options) {
   const {
     temperature = 0.7,
     maxOutputTokens = 2000,
     previousResponseId = null,
+    systemPrompt = null,
     apiUrl = BASE_URL
   } = options;
 
-  const url = `${apiUrl.replace(/\/$/, '')}/api/v1/chat`;
+  let selection = null;
+  if (model === 'auto') {
+    const profile = options.profile || 'speed';
+    if (profile === 'embedding') throw new LMStudioError('Embedding models cannot chat; use the select command', 'invalid_argument');
+    selection = await selectModel({
+      profile,
+      minContext: options.minContext ?? null,
+      allow: options.allow ?? null,
+      estimatedTokens: estimateTokens(taskContent) + parseInt(maxOutputTokens),
+      apiUrl
+    });
+    model = selection.model;
+  }
+
   const payload = {
     model,
     input: taskContent,
@@ -26,85 +122,869 @@ async function callLMStudioAPI(model, taskContent, options = {}) {
     max_output_tokens: parseInt(maxOutputTokens)
   };
   if (previousResponseId) payload.previous_response_id = previousResponseId;
+  if (systemPrompt) payload.system_prompt = systemPrompt;
+
+  return {
+    payload,
+    selection: selection ? { model: selection.model, profile: selection.profile, required_context: selection.required_context, reasons: selection.reasons } : null
+  };
+}
+
+function chatUsage(stats) {
+  return stats ? {
+    input_tokens: stats.input_tokens,
+    total_output_tokens: stats.total_output_tokens,
+    model_load_time_seconds: stats.model_load_time_seconds
+  } : null;
+}
+
+function messageContent(output) {
+  return output
+    .filter(item => item.type === 'message')
+    .map(item => item.content)
+    .join('');
+}
+
+async function chat(model, taskContent, options = {}) {
+  const { apiUrl = BASE_URL } = options;
+  const { payload, selection } = await buildChatRequest(model, taskContent, options);
+  const data = await apiRequest('/api/v1/chat', { method: 'POST', body: payload, apiUrl });
+
+  if (!data.output || !Array.isArray(data.output)) {
+    throw new LMStudioError('Invalid API response structure', 'invalid_response', { data });
+  }
+
+  return {
+    content: messageContent(data.output).trim() || '',
+    model_instance_id: data.model_instance_id || null,
+    response_id: data.response_id || null,
+    usage: chatUsage(data.stats),
+    ...(selection ? { selection } : {})
+  };
+}
+
+// Structured output (--json-schema)
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) throw new LMStudioError(`Only local $ref is supported: ${ref}`, 'invalid_argument');
+  return ref.slice(1).split('/').filter(Boolean)
+    .map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce((node, part) => {
+      if (!node || typeof node !== 'object' || !(part in node)) throw new LMStudioError(`Unresolvable $ref: ${ref}`, 'invalid_argument');
+      return node[part];
+    }, root);
+}
+
+/**
+ * Validates value against a JSON Schema and returns [{ path, message }] (empty when valid).
+ * Covers the keywords extraction schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, min/maxItems, min/maxLength, pattern, minimum/maximum (and the
+ * exclusive forms), allOf/anyOf/oneOf and local $ref. Other keywords are ignored.
+ */
+function validateJsonSchema(schema, value, path = '$', root = schema) {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [{ path, message: 'no value is allowed here' }];
+  if (schema.$ref) return validateJsonSchema(resolveRef(root, schema.$ref), value, path, root);
+
+  const errors = [];
+  const error = message => errors.push({ path, message });
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => type === actual || (type === 'number' && actual === 'integer'))) {
+      error(`expected ${types.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    error(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) error(`must equal ${JSON.stringify(schema.const)}`);
+
+  if (actual === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) error(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) error(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) error(`must match ${schema.pattern}`);
+  }
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) error(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) error(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) error(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) error(`must be < ${schema.exclusiveMaximum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) error(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) error(`must have at most ${schema.maxItems} items`);
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`, root)));
+    }
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push({ path, message: `missing required property ${key}` });
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.hasOwn(properties, key)) {
+        errors.push(...validateJsonSchema(properties[key], item, `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `unexpected property ${key}` });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(schema.additionalProperties, item, `${path}.${key}`, root));
+      }
+    }
+  }
 
+  for (const sub of schema.allOf || []) errors.push(...validateJsonSchema(sub, value, path, root));
+  if (schema.anyOf && !schema.anyOf.some(sub => validateJsonSchema(sub, value, path, root).length === 0)) {
+    error('must match at least one schema in anyOf');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(sub => validateJsonSchema(sub, value, path, root).length === 0).length;
+    if (matches !== 1) error(`must match exactly one schema in oneOf (matched ${matches})`);
+  }
+  return errors;
+}
+
+function readSchemaFile(file) {
+  let text;
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': 'Bearer lmstudio'
-      },
-      body: JSON.stringify(payload)
-    });
+    text = readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new LMStudioError(`Cannot read schema file ${file}: ${error.message}`, 'invalid_argument');
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new LMStudioError(`Schema file ${file} is not valid JSON: ${error.message}`, 'invalid_argument');
+  }
+}
 
-    const data = await response.json();
+// Models often wrap JSON in a code fence or a sentence; take the fenced block or the outermost {...} / [...].
+function extractJson(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = (fenced ? fenced[1] : content).trim();
+  try {
+    return { value: JSON.parse(text) };
+  } catch (error) {
+    const start = text.search(/[[{]/);
+    const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(text.slice(start, end + 1)) };
+      } catch {}
+    }
+    return { errors: [{ path: '$', message: `not valid JSON: ${error.message}` }] };
+  }
+}
 
-    if (!response.ok) {
-      const errorMsg = data.error?.message || data.message || `HTTP ${response.status}`;
-      console.error(JSON.stringify({ error: errorMsg, type: data.error?.type || 'api_error' }));
-      process.exit(1);
+function schemaSystemPrompt(schema) {
+  return 'Respond with a single JSON value that conforms to this JSON Schema. Output only the JSON: no prose, no code fence.\n' +
+    JSON.stringify(schema);
+}
+
+function repairPrompt(errors) {
+  return 'Your previous reply did not conform to the JSON Schema:\n' +
+    errors.map(e => `- ${e.path}: ${e.message}`).join('\n') +
+    '\nReply again with only the corrected JSON.';
+}
+
+function addUsage(total, usage) {
+  if (!usage) return total;
+  return {
+    input_tokens: (total?.input_tokens || 0) + (usage.input_tokens || 0),
+    total_output_tokens: (total?.total_output_tokens || 0) + (usage.total_output_tokens || 0),
+    model_load_time_seconds: (total?.model_load_time_seconds || 0) + (usage.model_load_time_seconds || 0)
+  };
+}
+
+/**
+ * Chats for output matching `schema`, then parses and validates it. Invalid output is sent back
+ * with the validation errors (continuing the conversation via previous_response_id when the server
+ * returned one) up to `retries` more times; after that the error is schema_validation_failed with
+ * the errors and the last raw output. Usage is summed over all attempts.
+ */
+async function chatJson(model, taskContent, options = {}) {
+  const { schema, retries = DEFAULT_SCHEMA_RETRIES } = options;
+  if (!schema || typeof schema !== 'object') throw new LMStudioError('schema must be a JSON Schema object', 'invalid_argument');
+  const maxRetries = Number(retries);
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) throw new LMStudioError('schema-retries must be a non-negative integer', 'invalid_argument');
+
+  const systemPrompt = schemaSystemPrompt(schema);
+  let input = taskContent;
+  let previousResponseId = options.previousResponseId || null;
+  let usage = null;
+  let last = null;
+  let errors = [];
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    last = await chat(model, input, { ...options, systemPrompt, previousResponseId });
+    if (last.selection) model = last.selection.model;
+    usage = addUsage(usage, last.usage);
+
+    const parsed = extractJson(last.content);
+    errors = parsed.errors || validateJsonSchema(schema, parsed.value);
+    if (errors.length === 0) {
+      return {
+        data: parsed.value,
+        attempts: attempt,
+        model_instance_id: last.model_instance_id,
+        response_id: last.response_id,
+        usage,
+        ...(last.selection ? { selection: last.selection } : {})
+      };
     }
 
-    if (!data.output || !Array.isArray(data.output)) {
-      console.error(JSON.stringify({ error: 'Invalid API response structure', data }));
-      process.exit(1);
+    if (last.response_id) {
+      previousResponseId = last.response_id;
+      input = repairPrompt(errors);
+    } else {
+      input = `${taskContent}\n\n${repairPrompt(errors)}`;
     }
+  }
 
-    const content = data.output
-      .filter(item => item.type === 'message')
-      .map(item => item.content)
-      .join('')
-      .trim() || '';
+  throw new LMStudioError(`Output did not match the JSON Schema after ${maxRetries + 1} attempt${maxRetries === 0 ? '' : 's'}`, 'schema_validation_failed', {
+    attempts: maxRetries + 1,
+    errors,
+    raw_output: last.content,
+    response_id: last.response_id,
+    usage
+  });
+}
 
-    const result = {
-      content,
-      model_instance_id: data.model_instance_id || null,
-      response_id: data.response_id || null,
-      usage: data.stats ? {
-        input_tokens: data.stats.input_tokens,
-        total_output_tokens: data.stats.total_output_tokens,
-        model_load_time_seconds: data.stats.model_load_time_seconds
-      } : null
-    };
+// Streaming (POST /api/v1/chat with stream: true; server-sent events)
 
+// Yields { event, data } for each server-sent event; data is parsed JSON.
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const parse = block => {
+    let event = null;
+    const data = [];
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+    }
+    if (data.length === 0) return null;
+    try {
+      const parsed = JSON.parse(data.join('\n'));
+      return { event: event || parsed.type || null, data: parsed };
+    } catch {
+      throw new LMStudioError('Invalid JSON in stream event', 'invalid_response', { event, data: data.join('\n') });
+    }
+  };
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let split;
+    while ((split = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, split);
+      buffer = buffer.slice(split).replace(/^\r?\n\r?\n/, '');
+      const parsed = parse(block);
+      if (parsed) yield parsed;
+    }
+  }
+  const parsed = parse(buffer + decoder.decode());
+  if (parsed) yield parsed;
+}
+
+/**
+ * Streams a chat, calling onChunk({ type: 'delta' | 'reasoning', content }) as text arrives, and
+ * resolves with the summary ({ type: 'done', ... }). A stop string or the maxChars budget aborts the
+ * request early: delivered content ends before the stop string or at the budget, and stopped says
+ * why. Text that could be the start of a stop string is held back until the next delta settles it.
+ */
+async function streamChat(model, taskContent, options = {}, onChunk = () => {}) {
+  const { apiUrl = BASE_URL, stop = [], maxChars = null } = options;
+  const stops = (Array.isArray(stop) ? stop : [stop]).filter(value => typeof value === 'string' && value.length > 0);
+  const budget = maxChars === null ? null : positiveInteger(maxChars, 'max-chars');
+  const holdBack = Math.max(0, ...stops.map(value => value.length - 1));
+  const { payload, selection } = await buildChatRequest(model, taskContent, options);
+
+  const controller = new AbortController();
+  const { response, url } = await apiFetch('/api/v1/chat', { method: 'POST', body: { ...payload, stream: true }, apiUrl, signal: controller.signal });
+  if (!response.ok) {
+    const data = await response.json().catch(() => null);
+    throw new LMStudioError(data?.error?.message || data?.message || `HTTP ${response.status}`, data?.error?.type || 'api_error');
+  }
+  if (!response.body) throw new LMStudioError('Empty stream', 'invalid_response', { url });
+
+  let text = '';
+  let emitted = 0;
+  let stopped = null;
+  let result = null;
+  let modelInstanceId = null;
+  let responseId = null;
+  let loadTimeSeconds = null;
+  let generatedChars = 0;
+  const emitUpTo = end => {
+    if (end > emitted) onChunk({ type: 'delta', content: text.slice(emitted, end) });
+    emitted = Math.max(emitted, end);
+  };
+  // Adds text, applies the stop strings and the budget, and emits what can no longer change.
+  const appendText = content => {
+    const searchFrom = Math.max(0, emitted - holdBack);
+    text += content;
+    const hits = stops.map(value => text.indexOf(value, searchFrom)).filter(index => index !== -1);
+    if (hits.length > 0) {
+      stopped = 'stop_string';
+      text = text.slice(0, Math.min(...hits));
+    }
+    if (budget !== null && text.length >= budget) {
+      stopped = stopped || 'max_chars';
+      text = text.slice(0, budget);
+    }
+    emitUpTo(stopped ? text.length : text.length - holdBack);
+  };
+
+  try {
+    for await (const { event, data } of readEvents(response.body)) {
+      if (event === 'error') {
+        throw new LMStudioError(data.error?.message || data.message || 'Stream error', data.error?.type || 'api_error');
+      } else if (event === 'chat.start' || event === 'model_load.end') {
+        modelInstanceId = data.model_instance_id || modelInstanceId;
+        responseId = data.response_id || responseId;
+        loadTimeSeconds = data.load_time_seconds ?? loadTimeSeconds;
+      } else if (event === 'reasoning.delta') {
+        generatedChars += (data.content || '').length;
+        onChunk({ type: 'reasoning', content: data.content || '' });
+      } else if (event === 'message.delta') {
+        generatedChars += (data.content || '').length;
+        appendText(data.content || '');
+        if (stopped) break;
+      } else if (event === 'chat.end') {
+        result = data.result || data;
+        // A server that sends no message deltas still delivers the text in the final result.
+        if (text === '' && Array.isArray(result.output)) appendText(messageContent(result.output));
+      }
+    }
+  } finally {
+    if (stopped) controller.abort();
+  }
+  emitUpTo(text.length);
+
+  return {
+    type: 'done',
+    content_length: text.length,
+    stopped,
+    model_instance_id: result?.model_instance_id || modelInstanceId,
+    response_id: result?.response_id || responseId,
+    // An aborted stream never gets the final stats, so output tokens are estimated from what was generated.
+    usage: result?.stats ? chatUsage(result.stats) : {
+      input_tokens: null,
+      total_output_tokens: Math.ceil(generatedChars / CHARS_PER_TOKEN),
+      model_load_time_seconds: loadTimeSeconds,
+      estimated: true
+    },
+    ...(selection ? { selection } : {})
+  };
+}
+
+async function callLMStudioAPI(model, taskContent, options = {}) {
+  try {
+    const result = await chat(model, taskContent, options);
     console.log(JSON.stringify(result));
     return result;
-
   } catch (error) {
-    console.error(JSON.stringify({
-      error: error.message,
-      type: 'network_error',
-      url
-    }));
-    process.exit(1);
+    printError(error);
   }
 }
 
-if (import.meta.url === `file://${process.argv[1]}`) {
-  const [model, taskContent, ...args] = process.argv.slice(2);
+// Model management (GET /api/v1/models, POST /api/v1/models/load, POST /api/v1/models/unload)
+
+function normalizeModel(model) {
+  const instances = Array.isArray(model.loaded_instances) ? model.loaded_instances : [];
+  return {
+    key: model.key,
+    type: model.type || null,
+    display_name: model.display_name || model.key,
+    publisher: model.publisher || null,
+    architecture: model.architecture || null,
+    quantization: model.quantization?.name || model.quantization || null,
+    params_string: model.params_string || null,
+    size_bytes: model.size_bytes ?? null,
+    max_context_length: model.max_context_length ?? null,
+    capabilities: {
+      vision: model.capabilities?.vision === true,
+      trained_for_tool_use: model.capabilities?.trained_for_tool_use === true
+    },
+    loaded: instances.length > 0,
+    loaded_instances: instances.map(instance => ({
+      id: instance.id,
+      context_length: instance.config?.context_length ?? null
+    }))
+  };
+}
+
+async function listModels(options = {}) {
+  const { loaded = false, type = null, apiUrl = BASE_URL } = options;
+  const data = await apiRequest('/api/v1/models', { apiUrl });
+  if (!Array.isArray(data.models)) throw new LMStudioError('Invalid API response structure', 'invalid_response', { data });
+  const models = data.models
+    .map(normalizeModel)
+    .filter(model => (!loaded || model.loaded) && (!type || model.type === type));
+  return { models };
+}
+
+// Non-200 or a connection error means the server is not ready; the error says which.
+async function preflight(options = {}) {
+  const { apiUrl = BASE_URL } = options;
+  const { models } = await listModels({ apiUrl });
+  return {
+    ok: true,
+    api_url: apiUrl,
+    model_count: models.length,
+    loaded_count: models.filter(model => model.loaded).length
+  };
+}
+
+// Resolves once `target` (a model key or an instance ID) has a loaded instance.
+async function waitForModel(target, options = {}) {
+  const {
+    timeoutSeconds = DEFAULT_WAIT_TIMEOUT_SECONDS,
+    intervalMs = DEFAULT_POLL_INTERVAL_MS,
+    apiUrl = BASE_URL
+  } = options;
+  if (!target) throw new LMStudioError('Model key or instance ID is required', 'invalid_argument');
+  const started = Date.now();
+  const deadline = started + positiveInteger(timeoutSeconds, 'timeout-seconds') * 1000;
+  const interval = positiveInteger(intervalMs, 'interval-ms');
+
+  for (;;) {
+    const { models } = await listModels({ apiUrl });
+    const model = models.find(m => m.key === target || m.loaded_instances.some(i => i.id === target));
+    const instance = model?.loaded_instances.find(i => i.id === target) || model?.loaded_instances[0];
+    if (instance) {
+      return { model: model.key, instance_id: instance.id, loaded_instances: model.loaded_instances, waited_ms: Date.now() - started };
+    }
+    if (Date.now() + interval > deadline) {
+      throw new LMStudioError(`Timed out after ${timeoutSeconds}s waiting for ${target} to load`, 'load_timeout', { model: target });
+    }
+    await sleep(interval);
+  }
+}
+
+async function loadModel(model, options = {}) {
+  const {
+    contextLength = null,
+    evalBatchSize = null,
+    flashAttention = null,
+    numExperts = null,
+    offloadKvCacheToGpu = null,
+    wait = false,
+    timeoutSeconds = DEFAULT_WAIT_TIMEOUT_SECONDS,
+    apiUrl = BASE_URL
+  } = options;
+  if (!model) throw new LMStudioError('Model key is required', 'invalid_argument');
+
+  const payload = { model, echo_load_config: true };
+  if (contextLength !== null) payload.context_length = positiveInteger(contextLength, 'context-length');
+  if (evalBatchSize !== null) payload.eval_batch_size = positiveInteger(evalBatchSize, 'eval-batch-size');
+  if (numExperts !== null) payload.num_experts = positiveInteger(numExperts, 'num-experts');
+  if (flashAttention !== null) payload.flash_attention = flashAttention;
+  if (offloadKvCacheToGpu !== null) payload.offload_kv_cache_to_gpu = offloadKvCacheToGpu;
+
+  const data = await apiRequest('/api/v1/models/load', { method: 'POST', body: payload, apiUrl });
+  const result = {
+    model,
+    instance_id: data.instance_id || null,
+    status: data.status || null,
+    load_time_seconds: data.load_time_seconds ?? null,
+    load_config: data.load_config || null
+  };
+  if (!wait) return result;
+
+  const ready = await waitForModel(result.instance_id || model, { timeoutSeconds, apiUrl });
+  return { ...result, instance_id: ready.instance_id, status: 'loaded', waited_ms: ready.waited_ms };
+}
+
+// Automatic model selection (--model auto / select)
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+}
 
-  if (!model || !taskContent) {
-    console.error('Usage: node scripts/lmstudio-api.mjs <model> \'<task>\' [--temperature=0.7] [--max-output-tokens=2000] [--previous-response-id=resp_xxx] [--api-url=http://127.0.0.1:1234]');
-    process.exit(1);
+// Parameter count in billions from params_string ("7B", "1.5B", "137M", "8x7B"), else from size on disk.
+function parameterBillions(model) {
+  const m = String(model.params_string || '').match(/^(?:(\d+)x)?([\d.]+)\s*([BMK])/i);
+  if (m) {
+    const scale = { b: 1, m: 1e-3, k: 1e-6 }[m[3].toLowerCase()];
+    return (m[1] ? parseInt(m[1], 10) : 1) * parseFloat(m[2]) * scale;
+  }
+  return Number.isFinite(model.size_bytes) ? model.size_bytes / 1e9 : null;
+}
+
+function exclusionReason(model, { profile, requiredContext, allow }) {
+  if (allow && !allow.includes(model.key)) return 'not in allow-list';
+  if (profile === 'embedding' ? model.type !== 'embedding' : model.type === 'embedding') {
+    return profile === 'embedding' ? 'not an embedding model' : 'embedding model cannot chat';
+  }
+  if (profile === 'vision' && !model.capabilities.vision) return 'no vision capability';
+  if (requiredContext && Number.isFinite(model.max_context_length) && model.max_context_length < requiredContext) {
+    return `max_context_length ${model.max_context_length} < required ${requiredContext}`;
+  }
+  return null;
+}
+
+/**
+ * Scores every eligible model for a task profile and returns the best one with the reasons.
+ * Hard constraints (allow-list, type, vision, context) exclude models; among the rest a loaded
+ * instance with enough context wins +50, size adds up to +30 (smaller for speed/vision/embedding,
+ * larger for reasoning), and a model of unknown size scores as mid-sized. Ties go to the key order.
+ */
+async function selectModel(options = {}) {
+  const { profile = 'speed', minContext = null, allow = null, estimatedTokens = 0, apiUrl = BASE_URL } = options;
+  if (!PROFILES.includes(profile)) throw new LMStudioError(`profile must be one of: ${PROFILES.join(', ')}`, 'invalid_argument');
+  const requiredContext = Math.max(minContext === null ? 0 : positiveInteger(minContext, 'min-context'), estimatedTokens) || null;
+  const allowList = allow ? (Array.isArray(allow) ? allow : String(allow).split(',')).map(k => k.trim()).filter(Boolean) : null;
+
+  const { models } = await listModels({ apiUrl });
+  const candidates = [];
+  const eligible = [];
+  for (const model of models) {
+    const excluded = exclusionReason(model, { profile, requiredContext, allow: allowList });
+    if (excluded) candidates.push({ key: model.key, score: null, excluded });
+    else eligible.push(model);
+  }
+  if (eligible.length === 0) {
+    throw new LMStudioError(`No model fits profile ${profile}${requiredContext ? ` with ${requiredContext} tokens of context` : ''}`, 'no_suitable_model', { candidates });
   }
 
-  const options = {};
-  args.forEach(arg => {
-    if (arg.startsWith('--temperature=')) {
-      options.temperature = arg.split('=')[1];
-    } else if (arg.startsWith('--max-output-tokens=')) {
-      options.maxOutputTokens = arg.split('=')[1];
-    } else if (arg.startsWith('--previous-response-id=')) {
-      options.previousResponseId = arg.split('=')[1];
-    } else if (arg.startsWith('--api-url=')) {
-      options.apiUrl = arg.split('=')[1];
+  const logSizes = eligible.map(parameterBillions).filter(Number.isFinite).map(Math.log);
+  const minLog = Math.min(...logSizes);
+  const maxLog = Math.max(...logSizes);
+  const scored = eligible.map(model => {
+    const reasons = [];
+    let score = 0;
+    const instance = model.loaded_instances.find(i => !requiredContext || i.context_length === null || i.context_length >= requiredContext);
+    if (instance) {
+      score += 50;
+      reasons.push(`loaded as ${instance.id}`);
+    } else if (model.loaded) {
+      reasons.push('loaded with too little context; will reload');
+    }
+
+    const billions = parameterBillions(model);
+    const relative = Number.isFinite(billions) && maxLog > minLog ? (Math.log(billions) - minLog) / (maxLog - minLog) : 0.5;
+    const sizeScore = Math.round(30 * (profile === 'reasoning' ? relative : 1 - relative));
+    score += sizeScore;
+    if (Number.isFinite(billions)) reasons.push(`${model.params_string || `${billions.toFixed(1)}B`} parameters (+${sizeScore} for ${profile})`);
+    if (requiredContext && Number.isFinite(model.max_context_length)) reasons.push(`max_context_length ${model.max_context_length} >= ${requiredContext}`);
+    if (profile === 'vision') reasons.push('supports vision');
+    return { model, instance, score, reasons };
+  }).sort((a, b) => b.score - a.score || a.model.key.localeCompare(b.model.key));
+
+  const best = scored[0];
+  return {
+    model: best.model.key,
+    instance_id: best.instance?.id || null,
+    profile,
+    required_context: requiredContext,
+    score: best.score,
+    reasons: best.reasons,
+    candidates: [...scored.map(c => ({ key: c.model.key, score: c.score, excluded: null })), ...candidates]
+  };
+}
+
+async function unloadModel(instanceId, options = {}) {
+  const { apiUrl = BASE_URL } = options;
+  if (!instanceId) throw new LMStudioError('Instance ID is required', 'invalid_argument');
+  const data = await apiRequest('/api/v1/models/unload', { method: 'POST', body: { instance_id: instanceId }, apiUrl });
+  return { instance_id: data.instance_id || instanceId, unloaded: true };
+}
+
+// Batch mode (many tasks from a JSONL file against one model)
+
+// Per-item options use the API's snake_case names; json_schema is an inline schema object.
+const BATCH_ITEM_OPTIONS = {
+  temperature: 'temperature',
+  max_output_tokens: 'maxOutputTokens',
+  previous_response_id: 'previousResponseId',
+  system_prompt: 'systemPrompt',
+  json_schema: 'schema',
+  schema_retries: 'retries'
+};
+
+function readJsonLines(file, { required = true } = {}) {
+  if (!existsSync(file)) {
+    if (required) throw new LMStudioError(`File not found: ${file}`, 'invalid_argument');
+    return [];
+  }
+  return readFileSync(file, 'utf8').split('\n').flatMap((line, index) => {
+    if (!line.trim()) return [];
+    try {
+      return [{ line: index + 1, value: JSON.parse(line) }];
+    } catch {
+      // A half-written last line from an interrupted run is simply redone.
+      if (!required) return [];
+      throw new LMStudioError(`${file}:${index + 1} is not valid JSON`, 'invalid_argument');
     }
   });
+}
+
+function readBatchTasks(file) {
+  const seen = new Set();
+  return readJsonLines(file).map(({ line, value }) => {
+    const where = `${file}:${line}`;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) throw new LMStudioError(`${where} must be an object`, 'invalid_argument');
+    const id = typeof value.id === 'number' ? String(value.id) : value.id;
+    if (typeof id !== 'string' || id === '') throw new LMStudioError(`${where} needs a string id`, 'invalid_argument');
+    if (seen.has(id)) throw new LMStudioError(`${where} repeats id ${id}`, 'invalid_argument');
+    if (typeof value.input !== 'string' || value.input === '') throw new LMStudioError(`${where} needs a string input`, 'invalid_argument');
+    seen.add(id);
 
-  callLMStudioAPI(model, taskContent, options).catch(err => {
-    console.error(JSON.stringify({ error: err.message, type: 'unexpected_error' }));
-    process.exit(1);
+    const options = {};
+    for (const [key, option] of Object.entries(value.options || {})) {
+      if (!BATCH_ITEM_OPTIONS[key]) throw new LMStudioError(`${where} has unknown option ${key} (allowed: ${Object.keys(BATCH_ITEM_OPTIONS).join(', ')})`, 'invalid_argument');
+      options[BATCH_ITEM_OPTIONS[key]] = option;
+    }
+    return { id, input: value.input, options };
   });
 }
 
-export { callLMStudioAPI };
+async function runBatchTask(model, task, options) {
+  const itemOptions = { ...options, ...task.options };
+  const started = Date.now();
+  try {
+    const result = itemOptions.schema
+      ? await chatJson(model, task.input, itemOptions)
+      : await chat(model, task.input, itemOptions);
+    return { id: task.id, ok: true, ...result, elapsed_ms: Date.now() - started };
+  } catch (error) {
+    const failure = error instanceof LMStudioError
+      ? { error: error.message, type: error.type, ...(error.details || {}) }
+      : { error: error?.message || String(error), type: 'unexpected_error' };
+    return { id: task.id, ok: false, ...failure, elapsed_ms: Date.now() - started };
+  }
+}
+
+/**
+ * Runs every task in a JSONL file ({ id, input, options? } per line) against one model with
+ * `concurrency` requests in flight, and writes one result line per task to `output` in input
+ * order. Lines are appended as soon as every earlier task has finished, so an interrupted run
+ * keeps its progress: rerunning skips IDs already in the output with ok: true and retries the rest,
+ * then rewrites the file in input order. Resolves with aggregate stats.
+ */
+async function runBatch(model, inputFile, options = {}) {
+  const {
+    output = `${String(inputFile).replace(/\.jsonl$/, '')}.results.jsonl`,
+    concurrency = DEFAULT_BATCH_CONCURRENCY,
+    apiUrl = BASE_URL
+  } = options;
+  if (!model || !inputFile) throw new LMStudioError('Usage: batch <model|auto> <tasks.jsonl>', 'invalid_argument');
+  const workers = positiveInteger(concurrency, 'concurrency');
+  const tasks = readBatchTasks(inputFile);
+
+  const done = new Map();
+  for (const { value } of readJsonLines(output, { required: false })) {
+    if (value?.ok === true && typeof value.id === 'string') done.set(value.id, value);
+  }
+  const pending = tasks.filter(task => !done.has(task.id));
+
+  // One model for the whole batch: model auto is resolved once, sized for the longest input.
+  let selection = null;
+  if (model === 'auto' && pending.length > 0) {
+    const longest = Math.max(...pending.map(task => estimateTokens(task.input) + parseInt(task.options.maxOutputTokens ?? options.maxOutputTokens ?? 2000)));
+    const profile = options.profile || 'speed';
+    if (profile === 'embedding') throw new LMStudioError('Embedding models cannot chat; use the select command', 'invalid_argument');
+    selection = await selectModel({ profile, minContext: options.minContext ?? null, allow: options.allow ?? null, estimatedTokens: longest, apiUrl });
+    model = selection.model;
+  }
+  const chatOptions = { ...options, apiUrl };
+  delete chatOptions.output;
+  delete chatOptions.concurrency;
+
+  const started = Date.now();
+  const results = new Array(pending.length);
+  let nextIndex = 0;
+  let flushed = 0;
+  const flush = () => {
+    while (flushed < pending.length && results[flushed]) {
+      appendFileSync(output, JSON.stringify(results[flushed]) + '\n');
+      flushed++;
+    }
+  };
+  const worker = async () => {
+    while (nextIndex < pending.length) {
+      const index = nextIndex++;
+      results[index] = await runBatchTask(model, pending[index], chatOptions);
+      flush();
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(workers, pending.length) }, worker));
+  const elapsedSeconds = (Date.now() - started) / 1000;
+
+  // Rewrite in input order so resumed runs do not leave stale failures or out-of-order lines.
+  const byId = new Map(results.map(result => [result.id, result]));
+  const lines = tasks.map(task => done.get(task.id) || byId.get(task.id)).map(result => JSON.stringify(result) + '\n');
+  writeFileSync(`${output}.tmp`, lines.join(''));
+  renameSync(`${output}.tmp`, output);
+
+  const failed = results.filter(result => !result.ok);
+  const usage = results.reduce((total, result) => addUsage(total, result.usage), null) || addUsage(null, {});
+  return {
+    model,
+    output,
+    total: tasks.length,
+    skipped: tasks.length - pending.length,
+    completed: results.length - failed.length,
+    failed: failed.length,
+    failed_ids: failed.map(result => result.id),
+    usage,
+    elapsed_seconds: Math.round(elapsedSeconds * 100) / 100,
+    tasks_per_second: elapsedSeconds > 0 ? Math.round(results.length / elapsedSeconds * 100) / 100 : null,
+    output_tokens_per_second: elapsedSeconds > 0 ? Math.round(usage.total_output_tokens / elapsedSeconds * 100) / 100 : null,
+    ...(selection ? { selection: { model: selection.model, profile: selection.profile, required_context: selection.required_context, reasons: selection.reasons } } : {})
+  };
+}
+
+// Flags that may appear bare; every other flag takes a value as --name=value or --name value.
+const BOOLEAN_FLAGS = new Set(['loaded', 'wait', 'flash-attention', 'offload-kv-cache-to-gpu']);
+
+function parseFlags(args) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const eq = arg.indexOf('=');
+    if (eq !== -1) {
+      flags[arg.slice(2, eq)] = arg.slice(eq + 1);
+    } else if (BOOLEAN_FLAGS.has(arg.slice(2))) {
+      flags[arg.slice(2)] = true;
+    } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+      flags[arg.slice(2)] = args[++i];
+    } else {
+      throw new LMStudioError(`${arg} requires a value`, 'invalid_argument');
+    }
+  }
+  return { flags, positional };
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined) return null;
+  if (value === true || value === 'true') return true;
+  if (value === 'false') return false;
+  throw new LMStudioError(`${name} must be true or false`, 'invalid_argument');
+}
+
+const COMMANDS = {
+  preflight: (positional, flags) => preflight({ apiUrl: flags['api-url'] }),
+  models: (positional, flags) => listModels({ loaded: flags.loaded === true, type: flags.type || null, apiUrl: flags['api-url'] }),
+  load: (positional, flags) => loadModel(positional[0], {
+    contextLength: flags['context-length'] ?? null,
+    evalBatchSize: flags['eval-batch-size'] ?? null,
+    numExperts: flags['num-experts'] ?? null,
+    flashAttention: parseBoolean(flags['flash-attention'], 'flash-attention'),
+    offloadKvCacheToGpu: parseBoolean(flags['offload-kv-cache-to-gpu'], 'offload-kv-cache-to-gpu'),
+    wait: flags.wait === true,
+    timeoutSeconds: flags['timeout-seconds'] ?? DEFAULT_WAIT_TIMEOUT_SECONDS,
+    apiUrl: flags['api-url']
+  }),
+  wait: (positional, flags) => waitForModel(positional[0], {
+    timeoutSeconds: flags['timeout-seconds'] ?? DEFAULT_WAIT_TIMEOUT_SECONDS,
+    intervalMs: flags['interval-ms'] ?? DEFAULT_POLL_INTERVAL_MS,
+    apiUrl: flags['api-url']
+  }),
+  unload: (positional, flags) => unloadModel(positional[0], { apiUrl: flags['api-url'] }),
+  batch: (positional, flags) => runBatch(positional[0], positional[1], {
+    output: flags.output || undefined,
+    concurrency: flags.concurrency ?? DEFAULT_BATCH_CONCURRENCY,
+    temperature: flags.temperature ?? 0.7,
+    maxOutputTokens: flags['max-output-tokens'] ?? 2000,
+    schema: flags['json-schema'] ? readSchemaFile(flags['json-schema']) : undefined,
+    retries: flags['schema-retries'] ?? DEFAULT_SCHEMA_RETRIES,
+    profile: flags.profile || 'speed',
+    minContext: flags['min-context'] ?? null,
+    allow: flags.allow || null,
+    apiUrl: flags['api-url']
+  }),
+  select: (positional, flags) => selectModel({
+    profile: flags.profile || 'speed',
+    minContext: flags['min-context'] ?? null,
+    allow: flags.allow || null,
+    apiUrl: flags['api-url']
+  })
+};
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [command, ...commandArgs] = process.argv.slice(2);
+
+  if (Object.hasOwn(COMMANDS, command)) {
+    Promise.resolve()
+      .then(() => {
+        const { flags, positional } = parseFlags(commandArgs);
+        return COMMANDS[command](positional, flags);
+      })
+      .then(result => console.log(JSON.stringify(result)))
+      .catch(printError);
+  } else {
+    const [model, taskContent, ...args] = process.argv.slice(2);
+
+    if (!model || !taskContent) {
+      console.error('Usage: node scripts/lmstudio-api.mjs <model|auto> \'<task>\' [--temperature=0.7] [--max-output-tokens=2000] [--previous-response-id=resp_xxx] [--api-url=http://127.0.0.1:1234] [--profile=speed] [--min-context=8192] [--allow=key1,key2] [--stream] [--stop=STRING] [--max-chars=4000] [--json-schema=schema.json] [--schema-retries=2]');
+      console.error('       node scripts/lmstudio-api.mjs preflight | models | select | batch <model> <tasks.jsonl> | load <model> | wait <model|instance_id> | unload <instance_id>');
+      process.exit(1);
+    }
+
+    const options = { stop: [] };
+    args.forEach(arg => {
+      if (arg.startsWith('--temperature=')) {
+        options.temperature = arg.split('=')[1];
+      } else if (arg.startsWith('--max-output-tokens=')) {
+        options.maxOutputTokens = arg.split('=')[1];
+      } else if (arg.startsWith('--previous-response-id=')) {
+        options.previousResponseId = arg.split('=')[1];
+      } else if (arg.startsWith('--api-url=')) {
+        options.apiUrl = arg.split('=')[1];
+      } else if (arg.startsWith('--profile=')) {
+        options.profile = arg.split('=')[1];
+      } else if (arg.startsWith('--min-context=')) {
+        options.minContext = arg.split('=')[1];
+      } else if (arg.startsWith('--allow=')) {
+        options.allow = arg.split('=')[1];
+      } else if (arg === '--stream') {
+        options.stream = true;
+      } else if (arg.startsWith('--stop=')) {
+        options.stop.push(arg.slice('--stop='.length));
+      } else if (arg.startsWith('--max-chars=')) {
+        options.maxChars = arg.split('=')[1];
+      } else if (arg.startsWith('--json-schema=')) {
+        options.jsonSchema = arg.slice('--json-schema='.length);
+      } else if (arg.startsWith('--schema-retries=')) {
+        options.schemaRetries = arg.split('=')[1];
+      }
+    });
+
+    if (options.jsonSchema !== undefined && (options.stream || options.stop.length > 0 || options.maxChars !== undefined)) {
+      printError(new LMStudioError('--json-schema cannot be combined with --stream, --stop or --max-chars', 'invalid_argument'));
+    } else if (options.jsonSchema !== undefined) {
+      Promise.resolve()
+        .then(() => chatJson(model, taskContent, { ...options, schema: readSchemaFile(options.jsonSchema), retries: options.schemaRetries }))
+        .then(result => console.log(JSON.stringify(result)))
+        .catch(printError);
+    } else if (options.stream) {
+      streamChat(model, taskContent, options, chunk => console.log(JSON.stringify(chunk)))
+        .then(summary => console.log(JSON.stringify(summary)))
+        .catch(printError);
+    } else if (options.stop.length > 0 || options.maxChars !== undefined) {
+      printError(new LMStudioError('--stop and --max-chars require --stream', 'invalid_argument'));
+    } else {
+      callLMStudioAPI(model, taskContent, options).catch(err => {
+        console.error(JSON.stringify({ error: err.message, type: 'unexpected_error' }));
+        process.exit(1);
+      });
+    }
+  }
+}
+
+export { LMStudioError, callLMStudioAPI, chat, chatJson, listModels, loadModel, preflight, runBatch, selectModel, streamChat, unloadModel, validateJsonSchema, waitForModel };
@@ -0,0 +1,485 @@
+#!/usr/bin/env node
+
+/**
+ * LM Studio Helper Self-Test Runner (no external deps, no LM Studio needed)
+ *
+ * Runs scripts/lmstudio-api.mjs against a local mock of the LM Studio v1 REST API and checks:
+ * - preflight and models report the catalog; load passes the load config, wait polls until an instance
+ *   is ready or times out, unload removes the instance; API errors exit 1 with their type
+ * - select scores the catalog by profile, loaded instances and context, honours --allow and reports
+ *   exclusions; model auto chats with the selected model
+ * - --stream prints reasoning and delta chunks then a done summary; --stop and --max-chars cut the text
+ *   (also across chunk boundaries), abort the request and still report the response_id and estimated usage;
+ *   stream error events exit 1
+ * - --json-schema extracts JSON from fenced or chatty replies, re-prompts invalid output with its errors via
+ *   previous_response_id until it validates, sums usage, and fails with schema_validation_failed after the retries
+ * - batch keeps --concurrency requests in flight, writes results in input order, records failures without
+ *   stopping, resumes by retrying only failed IDs, and rejects invalid task files and flag values before any request
+ */
+
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { createServer } from 'http';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const API_SCRIPT = join(__dirname, 'lmstudio-api.mjs');
+
+// What the mock server reports from GET /api/v1/models; loaded instances are added by the load route.
+const CATALOG = [
+  { type: 'llm', key: 'small-1b', display_name: 'Small 1B', params_string: '1B', size_bytes: 1e9, max_context_length: 8192, capabilities: {} },
+  { type: 'llm', key: 'mid-7b', params_string: '7B', size_bytes: 5e9, max_context_length: 32768, capabilities: { trained_for_tool_use: true } },
+  { type: 'llm', key: 'big-70b', params_string: '70B', size_bytes: 40e9, max_context_length: 131072, capabilities: { vision: true } },
+  { type: 'embedding', key: 'embed-137m', params_string: '137M', size_bytes: 1e8, max_context_length: 2048 }
+];
+// Models whose instance only shows up in the model list some time after the load request returns.
+const LOAD_DELAY_MS = { 'mid-7b': 300 };
+// Streamed replies arrive in chunks of this many characters, so stop strings can straddle two chunks.
+const STREAM_REPLY = 'Hello there. STOP here, then a long tail that should never be printed.';
+const STREAM_CHUNK_CHARS = 3;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const out = { keep: false, verbose: false };
+  for (const arg of args) {
+    if (arg === '--keep') out.keep = true;
+    else if (arg === '--verbose') out.verbose = true;
+    else if (arg === '--help' || arg === '-h') out.help = true;
+    else throw new Error(`Unknown arg: ${arg}`);
+  }
+  return out;
+}
+
+function usage() {
+  return [
+    'Usage: node scripts/lmstudio-self-test.mjs [--verbose] [--keep]',
+    '',
+    'Exit codes:',
+    '  0 = all tests passed',
+    '  1 = a test failed',
+    ''
+  ].join('\n');
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function sendJson(res, status, value) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(value));
+}
+
+function startMockServer() {
+  const mock = { instances: new Map(), requests: [], responses: 0, abortedStreams: 0, schemaReplies: [], failingInputs: new Set(), inFlight: 0, peakInFlight: 0 };
+  mock.reset = () => {
+    mock.instances.clear();
+    mock.requests.length = 0;
+    mock.schemaReplies.length = 0;
+    mock.failingInputs.clear();
+    mock.peakInFlight = 0;
+    mock.responses = 0;
+    mock.abortedStreams = 0;
+  };
+  // Marks a model as already loaded, as if another client had loaded it.
+  mock.preload = (key, contextLength) => mock.instances.set(key, { id: key, key, contextLength, readyAt: 0 });
+  const chatResult = (body, content) => ({
+    model_instance_id: body.model,
+    response_id: `resp-${++mock.responses}`,
+    output: [{ type: 'message', content }],
+    stats: { input_tokens: Math.ceil(body.input.length / 4), total_output_tokens: Math.ceil(content.length / 4), model_load_time_seconds: 0 }
+  });
+
+  const routes = {
+    'GET /api/v1/models': (body, res) => {
+      const now = Date.now();
+      const models = CATALOG.map(model => ({
+        ...model,
+        loaded_instances: [...mock.instances.values()]
+          .filter(instance => instance.key === model.key && instance.readyAt <= now)
+          .map(instance => ({ id: instance.id, config: { context_length: instance.contextLength } }))
+      }));
+      sendJson(res, 200, { models });
+    },
+    'POST /api/v1/models/load': (body, res) => {
+      const model = CATALOG.find(m => m.key === body.model);
+      if (!model) return sendJson(res, 404, { error: { message: `Model ${body.model} not found`, type: 'model_not_found' } });
+      const delay = LOAD_DELAY_MS[model.key] || 0;
+      const instance = { id: model.key, key: model.key, contextLength: body.context_length ?? 4096, readyAt: Date.now() + delay };
+      mock.instances.set(instance.id, instance);
+      sendJson(res, 200, {
+        type: model.type,
+        instance_id: instance.id,
+        status: delay > 0 ? 'loading' : 'loaded',
+        load_time_seconds: 0.5,
+        load_config: { context_length: instance.contextLength }
+      });
+    },
+    'POST /api/v1/models/unload': (body, res) => {
+      if (!mock.instances.delete(body.instance_id)) {
+        return sendJson(res, 404, { error: { message: `No instance ${body.instance_id}`, type: 'instance_not_found' } });
+      }
+      sendJson(res, 200, { instance_id: body.instance_id });
+    },
+    'POST /api/v1/chat': (body, res) => {
+      if (body.stream) return streamChat(body, res);
+      // Structured-output requests get the replies the test queued, in order.
+      if (body.system_prompt) return sendJson(res, 200, chatResult(body, mock.schemaReplies.shift() ?? 'no reply queued'));
+      // Plain replies take a moment so concurrent batch requests overlap.
+      mock.inFlight++;
+      mock.peakInFlight = Math.max(mock.peakInFlight, mock.inFlight);
+      setTimeout(() => {
+        mock.inFlight--;
+        if (mock.failingInputs.has(body.input)) return sendJson(res, 500, { error: { message: 'Generation failed', type: 'generation_error' } });
+        sendJson(res, 200, chatResult(body, `echo: ${body.input}`));
+      }, 20);
+    }
+  };
+
+  // Input "crash" ends the stream with an error event; "final only" sends the text only in chat.end.
+  const streamChat = (body, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+    const result = chatResult(body, STREAM_REPLY);
+    send('chat.start', { model_instance_id: body.model, response_id: result.response_id });
+    if (body.input === 'crash') {
+      send('error', { error: { message: 'Model crashed', type: 'model_crashed' } });
+      return res.end();
+    }
+    send('reasoning.delta', { content: 'thinking' });
+    const chunks = body.input === 'final only' ? [] : STREAM_REPLY.match(new RegExp(`.{1,${STREAM_CHUNK_CHARS}}`, 'g'));
+    let finished = false;
+    res.on('close', () => {
+      if (!finished) mock.abortedStreams++;
+    });
+    const next = index => {
+      if (res.destroyed) return;
+      if (index < chunks.length) {
+        send('message.delta', { content: chunks[index] });
+        return setTimeout(() => next(index + 1), 5);
+      }
+      finished = true;
+      send('chat.end', { result });
+      res.end();
+    };
+    next(0);
+  };
+
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => (raw += chunk.toString('utf-8')));
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      mock.requests.push({ method: req.method, url: req.url, body });
+      const route = routes[`${req.method} ${req.url}`];
+      if (!route) return sendJson(res, 404, { error: { message: `No route ${req.method} ${req.url}`, type: 'not_found' } });
+      route(body, res);
+    });
+  });
+
+  return new Promise(resolvePromise => {
+    server.listen(0, '127.0.0.1', () => {
+      mock.server = server;
+      mock.url = `http://127.0.0.1:${server.address().port}`;
+      resolvePromise(mock);
+    });
+  });
+}
+
+// Runs the helper CLI against the mock and parses its JSON output (stdout on success, stderr on error).
+function runApi(args, { mock, cwd, verbose }) {
+  const fullArgs = [API_SCRIPT, ...args, `--api-url=${mock.url}`];
+  return new Promise((resolvePromise, rejectPromise) => {
+    const child = spawn(process.execPath, fullArgs, { cwd, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', d => (stdout += d.toString('utf-8')));
+    child.stderr.on('data', d => (stderr += d.toString('utf-8')));
+    child.on('error', rejectPromise);
+    child.on('close', code => {
+      if (verbose) {
+        // eslint-disable-next-line no-console
+        console.log(`\n$ node ${fullArgs.join(' ')}\n(exit ${code})\n${stdout}${stderr}`);
+      }
+      const parse = text => {
+        try {
+          return JSON.parse(text);
+        } catch {
+          return null;
+        }
+      };
+      const lines = stdout.split('\n').filter(Boolean).map(parse);
+      resolvePromise({ code, stdout, stderr, out: parse(stdout), lines, err: parse(stderr) });
+    });
+  });
+}
+
+async function testModelManagement(ctx) {
+  const preflight = await runApi(['preflight'], ctx);
+  assert(preflight.code === 0 && preflight.out.ok === true, `preflight failed: ${preflight.stderr}`);
+  assert(preflight.out.model_count === 4 && preflight.out.loaded_count === 0, `unexpected preflight counts: ${preflight.stdout}`);
+
+  const llms = await runApi(['models', '--type=llm'], ctx);
+  assert(llms.code === 0, `models failed: ${llms.stderr}`);
+  assert(llms.out.models.map(m => m.key).join(',') === 'small-1b,mid-7b,big-70b', `unexpected llm list: ${llms.stdout}`);
+  const big = llms.out.models.find(m => m.key === 'big-70b');
+  assert(big.capabilities.vision === true && big.display_name === 'big-70b' && big.loaded === false, `unexpected normalized model: ${JSON.stringify(big)}`);
+
+  const load = await runApi(['load', 'small-1b', '--context-length', '8192', '--flash-attention'], ctx);
+  assert(load.code === 0 && load.out.instance_id === 'small-1b' && load.out.status === 'loaded', `load failed: ${load.stderr || load.stdout}`);
+  const loadBody = ctx.mock.requests.find(r => r.url === '/api/v1/models/load').body;
+  assert(loadBody.context_length === 8192 && loadBody.flash_attention === true && loadBody.echo_load_config === true, `unexpected load request: ${JSON.stringify(loadBody)}`);
+
+  const loaded = await runApi(['models', '--loaded'], ctx);
+  assert(loaded.out.models.length === 1 && loaded.out.models[0].loaded_instances[0].context_length === 8192, `expected only small-1b loaded: ${loaded.stdout}`);
+
+  const slow = await runApi(['load', 'mid-7b'], ctx);
+  assert(slow.code === 0 && slow.out.status === 'loading', `expected mid-7b to report loading: ${slow.stdout}`);
+  const wait = await runApi(['wait', 'mid-7b', '--interval-ms=50', '--timeout-seconds=5'], ctx);
+  assert(wait.code === 0 && wait.out.instance_id === 'mid-7b', `wait failed: ${wait.stderr || wait.stdout}`);
+
+  const timeout = await runApi(['wait', 'big-70b', '--interval-ms=100', '--timeout-seconds=1'], ctx);
+  assert(timeout.code === 1 && timeout.err?.type === 'load_timeout', `expected load_timeout: ${timeout.stderr}`);
+
+  const missing = await runApi(['load', 'nope'], ctx);
+  assert(missing.code === 1 && missing.err?.type === 'model_not_found', `expected model_not_found: ${missing.stderr}`);
+  const badFlag = await runApi(['load', 'small-1b', '--context-length=0'], ctx);
+  assert(badFlag.code === 1 && badFlag.err?.type === 'invalid_argument', `expected invalid_argument: ${badFlag.stderr}`);
+
+  const unload = await runApi(['unload', 'small-1b'], ctx);
+  assert(unload.code === 0 && unload.out.instance_id === 'small-1b', `unload failed: ${unload.stderr || unload.stdout}`);
+  const again = await runApi(['unload', 'small-1b'], ctx);
+  assert(again.code === 1 && again.err?.type === 'instance_not_found', `expected instance_not_found: ${again.stderr}`);
+  const after = await runApi(['models', '--loaded'], ctx);
+  assert(after.out.models.map(m => m.key).join(',') === 'mid-7b', `expected only mid-7b still loaded: ${after.stdout}`);
+}
+
+async function testModelSelection(ctx) {
+  const speed = await runApi(['select'], ctx);
+  assert(speed.code === 0 && speed.out.model === 'small-1b' && speed.out.instance_id === null, `expected small-1b for speed: ${speed.stderr || speed.stdout}`);
+  const embedding = speed.out.candidates.find(c => c.key === 'embed-137m');
+  assert(embedding.score === null && embedding.excluded === 'embedding model cannot chat', `expected the embedding model excluded: ${JSON.stringify(embedding)}`);
+
+  const reasoning = await runApi(['select', '--profile', 'reasoning'], ctx);
+  assert(reasoning.out.model === 'big-70b', `expected big-70b for reasoning: ${reasoning.stdout}`);
+  const vision = await runApi(['select', '--profile=vision'], ctx);
+  assert(vision.out.model === 'big-70b' && vision.out.reasons.includes('supports vision'), `expected big-70b for vision: ${vision.stdout}`);
+  const embed = await runApi(['select', '--profile=embedding'], ctx);
+  assert(embed.out.model === 'embed-137m', `expected embed-137m for embedding: ${embed.stdout}`);
+
+  ctx.mock.preload('mid-7b', 16384);
+  const loaded = await runApi(['select'], ctx);
+  assert(loaded.out.model === 'mid-7b' && loaded.out.instance_id === 'mid-7b', `expected the loaded mid-7b to win: ${loaded.stdout}`);
+  assert(loaded.out.reasons.includes('loaded as mid-7b'), `expected a loaded reason: ${loaded.stdout}`);
+
+  const longer = await runApi(['select', '--min-context=20000'], ctx);
+  assert(longer.out.model === 'mid-7b' && longer.out.instance_id === null, `expected mid-7b to need a reload: ${longer.stdout}`);
+  assert(longer.out.reasons.includes('loaded with too little context; will reload'), `expected a reload reason: ${longer.stdout}`);
+  const small = longer.out.candidates.find(c => c.key === 'small-1b');
+  assert(small.excluded === 'max_context_length 8192 < required 20000', `expected small-1b excluded on context: ${JSON.stringify(small)}`);
+
+  const allowed = await runApi(['select', '--allow=big-70b,small-1b'], ctx);
+  assert(allowed.out.model === 'small-1b', `expected the allow-list to skip mid-7b: ${allowed.stdout}`);
+  assert(allowed.out.candidates.find(c => c.key === 'mid-7b').excluded === 'not in allow-list', `expected mid-7b excluded by the allow-list: ${allowed.stdout}`);
+
+  const none = await runApi(['select', '--min-context=200000'], ctx);
+  assert(none.code === 1 && none.err?.type === 'no_suitable_model' && none.err.candidates.length === 4, `expected no_suitable_model: ${none.stderr}`);
+  const badProfile = await runApi(['select', '--profile=fastest'], ctx);
+  assert(badProfile.code === 1 && badProfile.err?.type === 'invalid_argument', `expected invalid_argument: ${badProfile.stderr}`);
+
+  ctx.mock.reset();
+  const auto = await runApi(['auto', 'Summarize this', '--profile=reasoning'], ctx);
+  assert(auto.code === 0 && auto.out.selection?.model === 'big-70b' && auto.out.content === 'echo: Summarize this', `auto chat failed: ${auto.stderr || auto.stdout}`);
+  const chatRequest = ctx.mock.requests.find(r => r.url === '/api/v1/chat');
+  assert(chatRequest.body.model === 'big-70b', `expected the chat to use big-70b: ${JSON.stringify(chatRequest.body)}`);
+  const autoEmbedding = await runApi(['auto', 'Embed this', '--profile=embedding'], ctx);
+  assert(autoEmbedding.code === 1 && autoEmbedding.err?.type === 'invalid_argument', `expected auto with embedding to be refused: ${autoEmbedding.stderr}`);
+}
+
+async function testStreaming(ctx) {
+  const full = await runApi(['small-1b', 'Write a story', '--stream'], ctx);
+  assert(full.code === 0, `stream failed: ${full.stderr}`);
+  const done = full.lines[full.lines.length - 1];
+  assert(full.lines[0].type === 'reasoning' && full.lines[0].content === 'thinking', `expected a reasoning chunk first: ${full.stdout}`);
+  const text = full.lines.filter(l => l.type === 'delta').map(l => l.content).join('');
+  assert(text === STREAM_REPLY, `expected the whole reply in delta chunks: ${JSON.stringify(text)}`);
+  assert(done.type === 'done' && done.stopped === null && done.content_length === STREAM_REPLY.length, `unexpected done line: ${JSON.stringify(done)}`);
+  assert(done.response_id === 'resp-1' && done.model_instance_id === 'small-1b', `expected ids from the stream: ${JSON.stringify(done)}`);
+  assert(done.usage.input_tokens === 4 && done.usage.estimated === undefined, `expected the server's usage: ${JSON.stringify(done.usage)}`);
+
+  const stopped = await runApi(['small-1b', 'Write a story', '--stream', '--stop=STOP'], ctx);
+  const stoppedDone = stopped.lines[stopped.lines.length - 1];
+  const stoppedText = stopped.lines.filter(l => l.type === 'delta').map(l => l.content).join('');
+  assert(stopped.code === 0 && stoppedText === 'Hello there. ', `expected output to end before the stop string: ${JSON.stringify(stoppedText)}`);
+  assert(stoppedDone.stopped === 'stop_string' && stoppedDone.content_length === stoppedText.length, `unexpected done line: ${JSON.stringify(stoppedDone)}`);
+  assert(stoppedDone.response_id === 'resp-2', `expected the response_id from chat.start: ${JSON.stringify(stoppedDone)}`);
+  assert(stoppedDone.usage.estimated === true && stoppedDone.usage.input_tokens === null && stoppedDone.usage.total_output_tokens > 0, `expected estimated usage: ${JSON.stringify(stoppedDone.usage)}`);
+
+  const capped = await runApi(['small-1b', 'Write a story', '--stream', '--max-chars=5'], ctx);
+  const cappedDone = capped.lines[capped.lines.length - 1];
+  const cappedText = capped.lines.filter(l => l.type === 'delta').map(l => l.content).join('');
+  assert(cappedText === 'Hello' && cappedDone.stopped === 'max_chars', `expected output cut at 5 characters: ${capped.stdout}`);
+  await new Promise(resolvePromise => setTimeout(resolvePromise, 50));
+  assert(ctx.mock.abortedStreams === 2, `expected both early stops to abort the request, got ${ctx.mock.abortedStreams}`);
+
+  const finalOnly = await runApi(['small-1b', 'final only', '--stream'], ctx);
+  const finalText = finalOnly.lines.filter(l => l.type === 'delta').map(l => l.content).join('');
+  assert(finalOnly.code === 0 && finalText === STREAM_REPLY, `expected the text from chat.end: ${finalOnly.stdout}`);
+
+  const crash = await runApi(['small-1b', 'crash', '--stream'], ctx);
+  assert(crash.code === 1 && crash.err?.type === 'model_crashed', `expected the stream error type: ${crash.stderr}`);
+  const noStream = await runApi(['small-1b', 'Write a story', '--stop=STOP'], ctx);
+  assert(noStream.code === 1 && noStream.err?.type === 'invalid_argument', `expected --stop without --stream to be refused: ${noStream.stderr}`);
+}
+
+async function testJsonSchema(ctx) {
+  const schema = {
+    type: 'object',
+    required: ['label', 'score'],
+    properties: { label: { enum: ['spam', 'ham'] }, score: { type: 'number', minimum: 0, maximum: 1 } },
+    additionalProperties: false
+  };
+  const schemaFile = join(ctx.cwd, 'label.schema.json');
+  writeFileSync(schemaFile, JSON.stringify(schema), 'utf-8');
+
+  ctx.mock.schemaReplies.push('Here you go:\n```json\n{"label": "spam", "score": 0.9}\n```');
+  const fenced = await runApi(['small-1b', 'Buy now!!!', `--json-schema=${schemaFile}`], ctx);
+  assert(fenced.code === 0 && fenced.out.data.label === 'spam' && fenced.out.attempts === 1, `expected the fenced JSON: ${fenced.stderr || fenced.stdout}`);
+  assert(ctx.mock.requests[0].body.system_prompt.includes(JSON.stringify(schema)), 'expected the schema in the system prompt');
+
+  ctx.mock.reset();
+  ctx.mock.schemaReplies.push('not json', 'Sure! {"label": "eggs", "score": 2}', '{"label": "ham", "score": 0.1}');
+  const repaired = await runApi(['small-1b', 'Hello friend', `--json-schema=${schemaFile}`], ctx);
+  assert(repaired.code === 0 && repaired.out.attempts === 3 && repaired.out.data.label === 'ham', `expected a repaired reply: ${repaired.stderr || repaired.stdout}`);
+  assert(repaired.out.response_id === 'resp-3', `expected the last response_id: ${repaired.stdout}`);
+  const [first, second, third] = ctx.mock.requests.map(r => r.body);
+  assert(second.previous_response_id === 'resp-1' && second.input.includes('not valid JSON'), `expected the parse error sent back: ${JSON.stringify(second)}`);
+  assert(third.previous_response_id === 'resp-2' && third.input.includes('$.label') && third.input.includes('$.score'), `expected the validation errors sent back: ${JSON.stringify(third)}`);
+  const inputTokens = [first, second, third].reduce((sum, body) => sum + Math.ceil(body.input.length / 4), 0);
+  assert(repaired.out.usage.input_tokens === inputTokens, `expected usage summed over attempts: ${JSON.stringify(repaired.out.usage)}`);
+
+  ctx.mock.reset();
+  ctx.mock.schemaReplies.push('{"label": "spam", "score": 0.5, "extra": true}');
+  const failed = await runApi(['small-1b', 'Hello', `--json-schema=${schemaFile}`, '--schema-retries=0'], ctx);
+  assert(failed.code === 1 && failed.err?.type === 'schema_validation_failed' && failed.err.attempts === 1, `expected schema_validation_failed: ${failed.stderr}`);
+  assert(failed.err.errors.some(e => e.message === 'unexpected property extra') && failed.err.raw_output.includes('"extra"'), `expected the error and raw output: ${failed.stderr}`);
+
+  // Inherited properties such as constructor must not satisfy required.
+  const ownFile = join(ctx.cwd, 'own.schema.json');
+  writeFileSync(ownFile, JSON.stringify({ type: 'object', required: ['constructor'] }), 'utf-8');
+  ctx.mock.schemaReplies.push('{}');
+  const inherited = await runApi(['small-1b', 'Hello', `--json-schema=${ownFile}`, '--schema-retries=0'], ctx);
+  assert(inherited.code === 1 && inherited.err?.type === 'schema_validation_failed', `expected a missing constructor to be reported: ${inherited.stderr || inherited.stdout}`);
+
+  const withStream = await runApi(['small-1b', 'Hello', `--json-schema=${schemaFile}`, '--stream'], ctx);
+  assert(withStream.code === 1 && withStream.err?.type === 'invalid_argument', `expected --json-schema with --stream to be refused: ${withStream.stderr}`);
+  const missing = await runApi(['small-1b', 'Hello', `--json-schema=${join(ctx.cwd, 'missing.json')}`], ctx);
+  assert(missing.code === 1 && missing.err?.type === 'invalid_argument', `expected a missing schema file to be refused: ${missing.stderr}`);
+}
+
+async function testBatch(ctx) {
+  const readLines = file => readFileSync(file, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  const tasksFile = join(ctx.cwd, 'tasks.jsonl');
+  const outputFile = join(ctx.cwd, 'tasks.results.jsonl');
+  const tasks = [
+    { id: 'a', input: 'first' },
+    { id: 'b', input: 'second' },
+    { id: 3, input: 'third' },
+    { id: 'd', input: 'fourth', options: { max_output_tokens: 50, temperature: 0 } },
+    { id: 'e', input: 'fifth', options: { json_schema: { type: 'object', required: ['ok'] } } },
+    { id: 'f', input: 'sixth' }
+  ];
+  writeFileSync(tasksFile, tasks.map(task => JSON.stringify(task)).join('\n') + '\n', 'utf-8');
+
+  ctx.mock.failingInputs.add('second');
+  ctx.mock.schemaReplies.push('{"ok": true}');
+  const first = await runApi(['batch', 'small-1b', tasksFile, '--concurrency', '3'], ctx);
+  assert(first.code === 0, `batch failed: ${first.stderr}`);
+  assert(first.out.output === outputFile && first.out.total === 6 && first.out.completed === 5 && first.out.failed === 1, `unexpected batch stats: ${first.stdout}`);
+  assert(first.out.failed_ids.join(',') === 'b' && first.out.usage.total_output_tokens > 0, `unexpected failures or usage: ${first.stdout}`);
+  assert(ctx.mock.peakInFlight > 1 && ctx.mock.peakInFlight <= 3, `expected up to 3 requests in flight, saw ${ctx.mock.peakInFlight}`);
+  const written = readLines(outputFile);
+  assert(written.map(r => r.id).join(',') === 'a,b,3,d,e,f', `expected results in input order: ${written.map(r => r.id)}`);
+  assert(written[1].ok === false && written[1].type === 'generation_error', `expected the failure recorded: ${JSON.stringify(written[1])}`);
+  assert(written[4].ok === true && written[4].data.ok === true, `expected the schema task's data: ${JSON.stringify(written[4])}`);
+  const fourth = ctx.mock.requests.find(r => r.body?.input === 'fourth').body;
+  assert(fourth.max_output_tokens === 50 && fourth.temperature === 0, `expected per-task options: ${JSON.stringify(fourth)}`);
+
+  ctx.mock.reset();
+  const resumed = await runApi(['batch', 'small-1b', tasksFile], ctx);
+  assert(resumed.code === 0 && resumed.out.skipped === 5 && resumed.out.completed === 1 && resumed.out.failed === 0, `unexpected resume stats: ${resumed.stdout}`);
+  assert(ctx.mock.requests.length === 1 && ctx.mock.requests[0].body.input === 'second', 'expected only the failed task to be retried');
+  const rewritten = readLines(outputFile);
+  assert(rewritten.map(r => r.id).join(',') === 'a,b,3,d,e,f' && rewritten.every(r => r.ok), `expected every result ok in input order: ${rewritten.map(r => `${r.id}:${r.ok}`)}`);
+
+  ctx.mock.reset();
+  const autoOutput = join(ctx.cwd, 'auto.results.jsonl');
+  const auto = await runApi(['batch', 'auto', tasksFile, `--output=${autoOutput}`, '--profile', 'reasoning'], ctx);
+  assert(auto.code === 0 && auto.out.model === 'big-70b' && auto.out.selection?.profile === 'reasoning', `expected auto resolved once to big-70b: ${auto.stderr || auto.stdout}`);
+  assert(ctx.mock.requests.filter(r => r.url === '/api/v1/models').length === 1, 'expected a single model lookup for the batch');
+
+  ctx.mock.reset();
+  const duplicateFile = join(ctx.cwd, 'duplicate.jsonl');
+  writeFileSync(duplicateFile, '{"id":"x","input":"one"}\n{"id":"x","input":"two"}\n', 'utf-8');
+  const duplicate = await runApi(['batch', 'small-1b', duplicateFile], ctx);
+  assert(duplicate.code === 1 && duplicate.err?.type === 'invalid_argument' && duplicate.err.error.includes('repeats id x'), `expected duplicate IDs refused: ${duplicate.stderr}`);
+  const unknownFile = join(ctx.cwd, 'unknown.jsonl');
+  writeFileSync(unknownFile, '{"id":"x","input":"one","options":{"top_k":5}}\n', 'utf-8');
+  const unknown = await runApi(['batch', 'small-1b', unknownFile], ctx);
+  assert(unknown.code === 1 && unknown.err?.type === 'invalid_argument' && unknown.err.error.includes('unknown option top_k'), `expected unknown options refused: ${unknown.stderr}`);
+  const noValue = await runApi(['batch', 'small-1b', tasksFile, '--concurrency'], ctx);
+  assert(noValue.code === 1 && noValue.err?.type === 'invalid_argument', `expected --concurrency without a value refused: ${noValue.stderr}`);
+  const zero = await runApi(['batch', 'small-1b', tasksFile, '--concurrency=0'], ctx);
+  assert(zero.code === 1 && zero.err?.type === 'invalid_argument', `expected --concurrency=0 refused: ${zero.stderr}`);
+  assert(ctx.mock.requests.length === 0, 'expected invalid batches to make no requests');
+}
+
+async function main() {
+  const args = parseArgs();
+  if (args.help) {
+    // eslint-disable-next-line no-console
+    console.log(usage());
+    process.exit(0);
+  }
+
+  const cwd = resolve(mkdtempSync(join(tmpdir(), 'lmstudio-self-test-')));
+  const mock = await startMockServer();
+  const ctx = { mock, cwd, verbose: args.verbose };
+
+  const tests = [
+    { name: 'model management', fn: () => testModelManagement(ctx) },
+    { name: 'model selection', fn: () => testModelSelection(ctx) },
+    { name: 'streaming', fn: () => testStreaming(ctx) },
+    { name: 'json schema', fn: () => testJsonSchema(ctx) },
+    { name: 'batch', fn: () => testBatch(ctx) }
+  ];
+
+  // eslint-disable-next-line no-console
+  console.log(`LM Studio self-test: ${tests.length} checks`);
+  // eslint-disable-next-line no-console
+  if (args.keep) console.log(`Keeping temp dir: ${cwd}`);
+
+  try {
+    for (const t of tests) {
+      // eslint-disable-next-line no-console
+      console.log(`- ${t.name}`);
+      mock.reset();
+      await t.fn();
+    }
+    // eslint-disable-next-line no-console
+    console.log('OK');
+  } finally {
+    mock.server.close();
+    if (!args.keep) rmSync(cwd, { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  // eslint-disable-next-line no-console
+  console.error(`FAIL: ${err?.message || String(err)}`);
+  process.exit(1);
+});
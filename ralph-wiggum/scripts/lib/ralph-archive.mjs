@@ -0,0 +1,473 @@
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync } from 'fs';
+import { basename, isAbsolute, join } from 'path';
+import {
+  EVENTS_FILE,
+  STATE_FILE,
+  appendEvent,
+  fail,
+  getStateSchemaVersion,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  validateStateSchema,
+  withLock,
+  writeJsonAtomic
+} from './ralph-common.mjs';
+import { hashContents } from './ralph-artifacts.mjs';
+
+// An archive is a copy of a loop's files under <stateDir>/archive/<name>/, laid out exactly like the
+// state dir, plus manifest.json listing every file with its size and sha256. Archives written before
+// manifests existed flattened steps/, validation/ and progress/ into steps-<file> etc.; they are read
+// through a manifest synthesized from that layout (legacy: true) and cannot be verified.
+
+export const ARCHIVE_DIR = 'archive';
+export const MANIFEST_FILE = 'manifest.json';
+export const ARCHIVE_VERSION = 1;
+
+// Everything a loop needs to be read back or resumed; locks and temp files are never archived.
+const ARCHIVED_DIRS = ['steps', 'validation', 'progress', 'artifacts', 'iterations', 'git'];
+const ARCHIVED_FILES = [STATE_FILE, EVENTS_FILE];
+const LEGACY_PREFIXES = ['steps', 'validation', 'progress'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isArchivable(fileName) {
+  return !fileName.endsWith('.lock') && !/\.tmp\.\d+\./.test(fileName);
+}
+
+function walkFiles(rootAbs, relDir, out) {
+  const dirAbs = join(rootAbs, ...relDir.split('/'));
+  if (!existsSync(dirAbs)) return out;
+  for (const entry of readdirSync(dirAbs, { withFileTypes: true })) {
+    const rel = `${relDir}/${entry.name}`;
+    if (entry.isDirectory()) walkFiles(rootAbs, rel, out);
+    else if (entry.isFile() && isArchivable(entry.name)) out.push(rel);
+  }
+  return out;
+}
+
+// Workspace-independent ("/"-separated) paths of the loop files under stateDirAbs, sorted.
+function collectLoopFiles(stateDirAbs) {
+  const files = ARCHIVED_FILES.filter(file => existsSync(join(stateDirAbs, file)));
+  for (const dirName of ARCHIVED_DIRS) walkFiles(stateDirAbs, dirName, files);
+  return files.sort();
+}
+
+function hashFile(fileAbs) {
+  return hashContents(readFileSync(fileAbs));
+}
+
+function countStepStatuses(state, readStep) {
+  const counts = {};
+  for (const stepId of Object.keys(state?.steps || {})) {
+    const status = readStep(stepId)?.status || state.steps[stepId]?.status || 'pending';
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+function uniqueArchiveName(archiveDirAbs) {
+  const base = `iteration-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  let name = base;
+  for (let n = 2; existsSync(join(archiveDirAbs, name)); n++) name = `${base}-${n}`;
+  return name;
+}
+
+/**
+ * Copies the loop's files into <stateDir>/archive/<name>/ and writes its manifest last, so an
+ * archive without manifest.json was interrupted. Returns { name, archived, errors, totalBytes }.
+ */
+export function createArchive(stateDirAbs, { reason = 'cleanup' } = {}) {
+  const archiveDirAbs = join(stateDirAbs, ARCHIVE_DIR);
+  const name = uniqueArchiveName(archiveDirAbs);
+  const dirAbs = join(archiveDirAbs, name);
+
+  try {
+    mkdirSync(dirAbs, { recursive: true });
+  } catch (error) {
+    return { name, archived: 0, errors: 1, error: `Failed to create archive directory: ${error.message}` };
+  }
+
+  const files = [];
+  let errors = 0;
+  for (const path of collectLoopFiles(stateDirAbs)) {
+    const sourceAbs = join(stateDirAbs, ...path.split('/'));
+    const destAbs = join(dirAbs, ...path.split('/'));
+    try {
+      mkdirSync(join(destAbs, '..'), { recursive: true });
+      copyFileSync(sourceAbs, destAbs);
+      files.push({ path, size: statSync(destAbs).size, sha256: hashFile(destAbs) });
+    } catch {
+      errors++;
+    }
+  }
+
+  const state = tryReadJsonFile(join(dirAbs, STATE_FILE)) || {};
+  const manifest = {
+    archiveVersion: ARCHIVE_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    reason,
+    task: state.task ?? null,
+    iteration: state.iteration ?? null,
+    maxIterations: state.maxIterations ?? null,
+    schemaVersion: getStateSchemaVersion(state),
+    stepStatus: countStepStatuses(state, stepId => tryReadJsonFile(join(dirAbs, 'steps', `${stepId}.json`), { maxBytes: 512 * 1024 })),
+    overallComplete: state.lastValidation?.overallComplete === true,
+    files,
+    totalBytes: files.reduce((sum, f) => sum + f.size, 0)
+  };
+  writeJsonAtomic(join(dirAbs, MANIFEST_FILE), manifest);
+
+  return { name, archived: files.length, errors, totalBytes: manifest.totalBytes };
+}
+
+function legacyLogicalPath(fileName) {
+  for (const prefix of LEGACY_PREFIXES) {
+    if (fileName.startsWith(`${prefix}-`)) return `${prefix}/${fileName.slice(prefix.length + 1)}`;
+  }
+  return fileName;
+}
+
+// "iteration-2026-01-05T10-00-00-000Z" -> "2026-01-05T10:00:00.000Z"
+function legacyCreatedAt(name, dirAbs) {
+  const m = name.match(/(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z/);
+  if (m) return `${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`;
+  return statSync(dirAbs).mtime.toISOString();
+}
+
+function synthesizeLegacyManifest(name, dirAbs) {
+  const files = [];
+  for (const entry of readdirSync(dirAbs, { withFileTypes: true })) {
+    if (entry.isDirectory()) {
+      for (const rel of walkFiles(dirAbs, entry.name, [])) {
+        const size = statSync(join(dirAbs, ...rel.split('/'))).size;
+        files.push({ path: rel, stored: rel, size, sha256: null });
+      }
+    } else if (entry.isFile()) {
+      files.push({ path: legacyLogicalPath(entry.name), stored: entry.name, size: statSync(join(dirAbs, entry.name)).size, sha256: null });
+    }
+  }
+  files.sort((a, b) => a.path.localeCompare(b.path));
+  const archive = { name, dirAbs, legacy: true, manifest: { files } };
+  const state = readArchiveJson(archive, STATE_FILE) || {};
+  archive.manifest = {
+    archiveVersion: 0,
+    name,
+    createdAt: legacyCreatedAt(name, dirAbs),
+    reason: 'cleanup',
+    task: state.task ?? null,
+    iteration: state.iteration ?? null,
+    maxIterations: state.maxIterations ?? null,
+    schemaVersion: getStateSchemaVersion(state),
+    stepStatus: countStepStatuses(state, stepId => readArchiveJson(archive, `steps/${stepId}.json`)),
+    overallComplete: state.lastValidation?.overallComplete === true,
+    files,
+    totalBytes: files.reduce((sum, f) => sum + f.size, 0)
+  };
+  return archive;
+}
+
+function assertArchiveName(name) {
+  if (typeof name !== 'string' || !name || basename(name) !== name || name === '.' || name === '..') {
+    fail('Archive must be the name of a directory under archive/', { archive: name ?? null }, 'INVALID_ARGUMENT');
+  }
+  return name;
+}
+
+/**
+ * Opens one archive: { name, dirAbs, legacy, manifest }. Manifest entries are { path, size, sha256 }
+ * with "/"-separated paths as they were in the state dir.
+ */
+// Manifest paths are joined onto the archive and the restore target, so they must stay inside both.
+function assertSafeManifestPaths(name, manifest) {
+  for (const entry of manifest.files) {
+    for (const path of [entry?.path, entry?.stored].filter(p => p !== undefined)) {
+      const parts = typeof path === 'string' ? path.replace(/\\/g, '/').split('/') : [];
+      if (typeof path !== 'string' || path.length === 0 || path.includes('\0') || isAbsolute(path) ||
+          parts.some(part => part === '' || part === '.' || part === '..')) {
+        fail(`Archive ${name} has an unsafe manifest path: ${JSON.stringify(path)}`, { archive: name, path: path ?? null }, 'ARCHIVE_CORRUPT');
+      }
+    }
+  }
+  return manifest;
+}
+
+export function resolveArchive(stateDirAbs, name) {
+  assertArchiveName(name);
+  const dirAbs = join(stateDirAbs, ARCHIVE_DIR, name);
+  if (!existsSync(dirAbs) || !statSync(dirAbs).isDirectory()) fail(`Archive not found: ${name}`, { archive: name }, 'ARCHIVE_NOT_FOUND');
+  const manifest = tryReadJsonFile(join(dirAbs, MANIFEST_FILE), { maxBytes: 16 * 1024 * 1024 });
+  if (manifest && Array.isArray(manifest.files)) return { name, dirAbs, legacy: false, manifest: assertSafeManifestPaths(name, manifest) };
+  return synthesizeLegacyManifest(name, dirAbs);
+}
+
+// Absolute path of a state-dir-relative file inside the archive, or null when it was not archived.
+export function archiveFileAbs(archive, path) {
+  const entry = archive.manifest.files.find(f => f.path === path);
+  return entry ? join(archive.dirAbs, ...(entry.stored || entry.path).split('/')) : null;
+}
+
+export function readArchiveJson(archive, path) {
+  const fileAbs = archiveFileAbs(archive, path);
+  return fileAbs ? tryReadJsonFile(fileAbs, { maxBytes: 16 * 1024 * 1024 }) : null;
+}
+
+// Files that are missing or whose contents no longer match the manifest (legacy archives are skipped).
+export function verifyArchive(archive) {
+  const missing = [];
+  const changed = [];
+  if (!archive.legacy) {
+    for (const entry of archive.manifest.files) {
+      const fileAbs = join(archive.dirAbs, ...entry.path.split('/'));
+      if (!existsSync(fileAbs)) missing.push(entry.path);
+      else if (hashFile(fileAbs) !== entry.sha256) changed.push(entry.path);
+    }
+  }
+  return { verified: !archive.legacy, ok: missing.length === 0 && changed.length === 0, missing, changed };
+}
+
+function describeArchive(archive) {
+  const { manifest } = archive;
+  return {
+    name: archive.name,
+    createdAt: manifest.createdAt,
+    reason: manifest.reason || null,
+    legacy: archive.legacy,
+    task: manifest.task,
+    iteration: manifest.iteration,
+    stepStatus: manifest.stepStatus || {},
+    overallComplete: manifest.overallComplete === true,
+    files: manifest.files.length,
+    totalBytes: manifest.totalBytes
+  };
+}
+
+function archiveNames(stateDirAbs) {
+  const archiveDirAbs = join(stateDirAbs, ARCHIVE_DIR);
+  if (!existsSync(archiveDirAbs)) return [];
+  return readdirSync(archiveDirAbs, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+}
+
+function openArchives(stateDirAbs) {
+  return archiveNames(stateDirAbs)
+    .map(name => resolveArchive(stateDirAbs, name))
+    .sort((a, b) => String(a.manifest.createdAt).localeCompare(String(b.manifest.createdAt)) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Lists the archives under <stateDir>/archive, oldest first. Options: stateDir.
+ */
+export function listArchives(options = {}) {
+  const stateDirAbs = resolveStateDirAbs(options.stateDir);
+  const archives = openArchives(stateDirAbs).map(describeArchive);
+  return { stateDir: options.stateDir, archives };
+}
+
+/**
+ * Shows one archive: its summary, the file list and an integrity check. Options: name, stateDir.
+ */
+export function showArchive(options = {}) {
+  const archive = resolveArchive(resolveStateDirAbs(options.stateDir), options.name);
+  return {
+    ...describeArchive(archive),
+    schemaVersion: archive.manifest.schemaVersion ?? null,
+    fileList: archive.manifest.files.map(({ path, size, sha256 }) => ({ path, size, sha256 })),
+    integrity: verifyArchive(archive)
+  };
+}
+
+// ---------------------------------------------------------------------------
+// diff
+// ---------------------------------------------------------------------------
+
+const STATE_DIFF_FIELDS = [
+  ['task', s => s.task ?? null],
+  ['iteration', s => s.iteration ?? null],
+  ['maxIterations', s => s.maxIterations ?? null],
+  ['completionPromise', s => s.completionPromise ?? null],
+  ['schemaVersion', s => getStateSchemaVersion(s)],
+  ['overallComplete', s => s.lastValidation?.overallComplete === true],
+  ['totalTokens', s => s.usage?.totalTokens ?? 0],
+  ['cost', s => s.usage?.cost ?? 0]
+];
+const STEP_DIFF_FIELDS = ['status', 'attempts', 'worker', 'completedAt', 'result'];
+
+function snapshotSide(label, state, readStep, files) {
+  const steps = new Map();
+  for (const stepId of Object.keys(state.steps || {})) {
+    const file = readStep(stepId) || {};
+    const definition = state.steps[stepId] || {};
+    steps.set(stepId, {
+      status: file.status || definition.status || 'pending',
+      attempts: file.attempts ?? definition.attempts ?? 0,
+      worker: file.worker || definition.worker || null,
+      completedAt: file.completedAt || definition.completedAt || null,
+      result: typeof file.result === 'string' ? file.result : null
+    });
+  }
+  return { label, state, steps, files };
+}
+
+function liveSide(stateDirAbs) {
+  const state = tryReadJsonFile(join(stateDirAbs, STATE_FILE));
+  if (!state) fail('State file not found. Run ralph-init.mjs first.', undefined, 'STATE_NOT_FOUND');
+  const files = new Map(collectLoopFiles(stateDirAbs).map(path => [path, hashFile(join(stateDirAbs, ...path.split('/')))]));
+  return snapshotSide('live', state, stepId => tryReadJsonFile(join(stateDirAbs, 'steps', `${stepId}.json`), { maxBytes: 512 * 1024 }), files);
+}
+
+function archiveSide(stateDirAbs, name) {
+  const archive = resolveArchive(stateDirAbs, name);
+  const state = readArchiveJson(archive, STATE_FILE) || {};
+  // Legacy archives carry no hashes, so their files are hashed here.
+  const files = new Map(archive.manifest.files.map(f => [f.path, f.sha256 || hashFile(archiveFileAbs(archive, f.path))]));
+  return snapshotSide(name, state, stepId => readArchiveJson(archive, `steps/${stepId}.json`), files);
+}
+
+/**
+ * Compares two archives, or an archive against the live state when `to` is omitted: top-level state
+ * fields, per-step status/attempts/worker/result, and which files were added, removed or changed.
+ * Options: from, to (archive name, or null for the live state), stateDir.
+ */
+export function diffArchives(options = {}) {
+  const stateDirAbs = resolveStateDirAbs(options.stateDir);
+  const from = archiveSide(stateDirAbs, options.from);
+  const to = options.to ? archiveSide(stateDirAbs, options.to) : liveSide(stateDirAbs);
+
+  const state = [];
+  for (const [field, read] of STATE_DIFF_FIELDS) {
+    const before = read(from.state);
+    const after = read(to.state);
+    if (JSON.stringify(before) !== JSON.stringify(after)) state.push({ field, from: before, to: after });
+  }
+
+  const steps = { added: [], removed: [], changed: [] };
+  for (const stepId of from.steps.keys()) if (!to.steps.has(stepId)) steps.removed.push(stepId);
+  for (const [stepId, after] of to.steps) {
+    const before = from.steps.get(stepId);
+    if (!before) {
+      steps.added.push(stepId);
+      continue;
+    }
+    const changes = {};
+    for (const field of STEP_DIFF_FIELDS) {
+      if (before[field] !== after[field]) changes[field] = { from: before[field], to: after[field] };
+    }
+    if (Object.keys(changes).length > 0) steps.changed.push({ stepId, changes });
+  }
+
+  const files = { added: [], removed: [], changed: [] };
+  for (const path of from.files.keys()) if (!to.files.has(path)) files.removed.push(path);
+  for (const [path, hash] of to.files) {
+    if (!from.files.has(path)) files.added.push(path);
+    else if (from.files.get(path) !== hash) files.changed.push(path);
+  }
+
+  const identical = state.length === 0 &&
+    Object.values(steps).every(list => list.length === 0) &&
+    Object.values(files).every(list => list.length === 0);
+  return { from: from.label, to: to.label, identical, state, steps, files };
+}
+
+// ---------------------------------------------------------------------------
+// restore / prune
+// ---------------------------------------------------------------------------
+
+/**
+ * Rebuilds a live state dir from an archive. The target defaults to stateDir; an existing loop there
+ * is only replaced with force, and is archived first (reason "pre-restore") so nothing is lost.
+ * Files are checked against the manifest before anything is written.
+ * Options: name, target, force, stateDir.
+ */
+export function restoreArchive(options = {}) {
+  const stateDirAbs = resolveStateDirAbs(options.stateDir);
+  const archive = resolveArchive(stateDirAbs, options.name);
+  const target = options.target || options.stateDir;
+  const targetAbs = resolveStateDirAbs(target);
+
+  const integrity = verifyArchive(archive);
+  if (!integrity.ok) {
+    fail(`Archive ${archive.name} does not match its manifest`, { missing: integrity.missing, changed: integrity.changed }, 'ARCHIVE_CORRUPT');
+  }
+  if (!archiveFileAbs(archive, STATE_FILE)) fail(`Archive ${archive.name} has no ${STATE_FILE}`, { archive: archive.name }, 'ARCHIVE_CORRUPT');
+
+  const exists = existsSync(join(targetAbs, STATE_FILE));
+  if (exists && !options.force) {
+    fail(`A loop already exists in ${target}; rerun with --force to replace it (it is archived first)`, { target }, 'STATE_EXISTS');
+  }
+  mkdirSync(targetAbs, { recursive: true });
+
+  return withLock(join(targetAbs, 'ralph-state.lock'), () => {
+    const backup = exists ? createArchive(targetAbs, { reason: 'pre-restore' }) : null;
+
+    // Clear the old loop but keep its archives (and the lock held right now).
+    for (const entry of readdirSync(targetAbs)) {
+      if (entry === ARCHIVE_DIR || entry === 'ralph-state.lock') continue;
+      rmSync(join(targetAbs, entry), { recursive: true, force: true });
+    }
+
+    // The state file goes last, so an interrupted restore does not look like a loop.
+    const entries = archive.manifest.files.filter(f => f.path !== MANIFEST_FILE);
+    const ordered = [...entries.filter(f => f.path !== STATE_FILE), ...entries.filter(f => f.path === STATE_FILE)];
+    for (const entry of ordered) {
+      const destAbs = join(targetAbs, ...entry.path.split('/'));
+      mkdirSync(join(destAbs, '..'), { recursive: true });
+      copyFileSync(archiveFileAbs(archive, entry.path), destAbs);
+    }
+
+    const state = tryReadJsonFile(join(targetAbs, STATE_FILE)) || {};
+    const schema = validateStateSchema(state);
+    appendEvent(targetAbs, 'archive.restored', null, { archive: archive.name, files: ordered.length, backup: backup?.name || null });
+
+    return {
+      archive: archive.name,
+      stateDir: target,
+      restored: ordered.length,
+      verified: integrity.verified,
+      backup: backup?.name || null,
+      iteration: state.iteration ?? null,
+      schema: { valid: schema.valid, version: getStateSchemaVersion(state), errors: schema.errors }
+    };
+  });
+}
+
+function validateRetention(keep, maxAgeDays) {
+  if (keep !== null && keep !== undefined && !(Number.isInteger(keep) && keep >= 0)) {
+    fail('keep must be a non-negative integer', { keep }, 'INVALID_ARGUMENT');
+  }
+  if (maxAgeDays !== null && maxAgeDays !== undefined && !(typeof maxAgeDays === 'number' && maxAgeDays > 0)) {
+    fail('maxAgeDays must be a positive number', { maxAgeDays }, 'INVALID_ARGUMENT');
+  }
+  if ((keep === null || keep === undefined) && (maxAgeDays === null || maxAgeDays === undefined)) {
+    fail('Nothing to prune by (use --keep and/or --max-age-days)', undefined, 'INVALID_ARGUMENT');
+  }
+}
+
+/**
+ * Removes archives beyond the newest `keep` and archives older than `maxAgeDays`; either limit is
+ * optional but one is required. Options: keep, maxAgeDays, dryRun, stateDir.
+ */
+export function pruneArchives(options = {}) {
+  const { keep = null, maxAgeDays = null, dryRun = false } = options;
+  validateRetention(keep, maxAgeDays);
+  const stateDirAbs = resolveStateDirAbs(options.stateDir);
+  const archives = openArchives(stateDirAbs);
+  const cutoffMs = maxAgeDays !== null ? Date.now() - maxAgeDays * DAY_MS : null;
+
+  const removed = [];
+  const kept = [];
+  archives.forEach((archive, i) => {
+    const beyondCount = keep !== null && i < archives.length - keep;
+    const createdMs = Date.parse(archive.manifest.createdAt);
+    const tooOld = cutoffMs !== null && Number.isFinite(createdMs) && createdMs < cutoffMs;
+    if (!beyondCount && !tooOld) {
+      kept.push(archive.name);
+      return;
+    }
+    removed.push({ name: archive.name, createdAt: archive.manifest.createdAt, reason: beyondCount ? 'count' : 'age' });
+    if (!dryRun) rmSync(archive.dirAbs, { recursive: true, force: true });
+  });
+
+  if (!dryRun && removed.length > 0 && existsSync(join(stateDirAbs, STATE_FILE))) {
+    appendEvent(stateDirAbs, 'archives.pruned', null, { removed: removed.map(r => r.name), keep, maxAgeDays });
+  }
+  return { dryRun, removed, kept };
+}
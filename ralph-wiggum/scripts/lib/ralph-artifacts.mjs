@@ -0,0 +1,211 @@
+import { createHash } from 'crypto';
+import { existsSync, readFileSync, statSync } from 'fs';
+import { basename, extname, join } from 'path';
+import { fail, resolveInCwd, tryUnlink, writeFileAtomic } from './ralph-common.mjs';
+
+// Artifacts are named files a worker attaches to a step. Each is copied to
+// <stateDir>/artifacts/<stepId>/ and recorded in the step file with its size, sha256 and MIME type,
+// so monitors and reports can find them and notice when they change.
+
+export const ARTIFACTS_DIR = 'artifacts';
+export const ARTIFACT_KINDS = ['file', 'json', 'test-report', 'log'];
+export const MAX_ARTIFACT_BYTES = 50 * 1024 * 1024;
+
+const ARTIFACT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+const MIME_TYPES = {
+  '.json': 'application/json',
+  '.jsonl': 'application/x-ndjson',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.csv': 'text/csv',
+  '.patch': 'text/x-diff',
+  '.diff': 'text/x-diff',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.ts': 'text/plain',
+  '.py': 'text/x-python',
+  '.yaml': 'application/yaml',
+  '.yml': 'application/yaml',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip',
+  '.tar': 'application/x-tar'
+};
+
+// CLI flags of ralph-worker-complete.mjs and the artifact kind each one attaches.
+const ARTIFACT_FLAGS = {
+  '--artifact': 'file',
+  '--artifact-json': 'json',
+  '--artifact-report': 'test-report',
+  '--artifact-log': 'log'
+};
+
+export function guessMimeType(fileName, kind = 'file') {
+  const mimeType = MIME_TYPES[extname(fileName).toLowerCase()];
+  if (mimeType) return mimeType;
+  return kind === 'log' ? 'text/plain' : 'application/octet-stream';
+}
+
+export function isTextArtifact(artifact) {
+  const mimeType = artifact?.mimeType || '';
+  return mimeType.startsWith('text/') || ['application/json', 'application/x-ndjson', 'application/xml', 'application/yaml'].includes(mimeType);
+}
+
+/**
+ * Parses one `--artifact*` flag value (`<name>=<path>`, or `<name>=<json>` for --artifact-json) into
+ * `specs` and returns true, or returns false when `flag` is not an artifact flag.
+ */
+export function applyArtifactFlag(specs, flag, value) {
+  const kind = ARTIFACT_FLAGS[flag];
+  if (!kind) return false;
+  const separator = value.indexOf('=');
+  if (separator <= 0) fail(`${flag} expects <name>=${kind === 'json' ? '<json>' : '<path>'}`, { value }, 'INVALID_ARGUMENT');
+  const name = value.slice(0, separator);
+  const rest = value.slice(separator + 1);
+  if (kind !== 'json') {
+    specs.push({ name, kind, path: rest });
+    return true;
+  }
+  try {
+    specs.push({ name, kind, data: JSON.parse(rest) });
+  } catch (error) {
+    fail(`${flag} ${name}: invalid JSON`, { message: error?.message || String(error) }, 'INVALID_ARGUMENT');
+  }
+  return true;
+}
+
+function validateArtifactSpecs(specs) {
+  if (!Array.isArray(specs)) fail('artifacts must be an array', undefined, 'INVALID_ARGUMENT');
+  const errors = [];
+  const seen = new Set();
+  specs.forEach((spec, i) => {
+    const label = `artifacts[${i}]`;
+    if (!spec || typeof spec !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof spec.name !== 'string' || !ARTIFACT_NAME_PATTERN.test(spec.name)) {
+      errors.push(`${label}.name must be 1-100 letters, digits, ".", "_" or "-", starting with a letter or digit`);
+    } else if (seen.has(spec.name)) {
+      errors.push(`${label}.name "${spec.name}" is used twice`);
+    } else {
+      seen.add(spec.name);
+    }
+    const kind = spec.kind ?? ('data' in spec ? 'json' : 'file');
+    if (!ARTIFACT_KINDS.includes(kind)) errors.push(`${label}.kind must be one of ${ARTIFACT_KINDS.join(', ')}`);
+    if ('data' in spec) {
+      if (spec.data === undefined) errors.push(`${label}.data must be JSON-serializable`);
+    } else if (typeof spec.path !== 'string' || !spec.path) {
+      errors.push(`${label} needs a path (or data for JSON artifacts)`);
+    }
+  });
+  if (errors.length > 0) fail('Invalid artifacts', { errors }, 'INVALID_ARGUMENT');
+}
+
+// Reads the artifact's bytes up front so a bad path fails the call before anything is written.
+function loadArtifactContents(spec) {
+  if ('data' in spec) return Buffer.from(JSON.stringify(spec.data, null, 2));
+  const sourceAbs = resolveInCwd(spec.path);
+  let size;
+  try {
+    const st = statSync(sourceAbs);
+    if (!st.isFile()) fail(`Artifact ${spec.name} is not a file: ${spec.path}`, { path: spec.path }, 'INVALID_ARGUMENT');
+    size = st.size;
+  } catch (error) {
+    if (error?.code === 'INVALID_ARGUMENT') throw error;
+    fail(`Artifact ${spec.name} not found: ${spec.path}`, { path: spec.path }, 'INVALID_ARGUMENT');
+  }
+  if (size > MAX_ARTIFACT_BYTES) {
+    fail(`Artifact ${spec.name} is larger than ${MAX_ARTIFACT_BYTES} bytes`, { path: spec.path, size }, 'INVALID_ARGUMENT');
+  }
+  return readFileSync(sourceAbs);
+}
+
+function storedFileName(spec) {
+  if (extname(spec.name)) return spec.name;
+  if ('data' in spec) return `${spec.name}.json`;
+  return `${spec.name}${extname(basename(spec.path))}`;
+}
+
+export function hashContents(contents) {
+  return createHash('sha256').update(contents).digest('hex');
+}
+
+/**
+ * Copies the given artifacts into <stateDir>/artifacts/<stepId>/ and returns the merged list for the
+ * step file: artifacts with a new name are added, ones with an existing name replace it.
+ * Specs are { name, kind, path } or { name, kind: 'json', data }.
+ */
+export function storeArtifacts(stateDirAbs, stepId, specs, existing = []) {
+  validateArtifactSpecs(specs);
+  const prepared = specs.map(spec => ({ spec, fileName: storedFileName(spec), contents: loadArtifactContents(spec) }));
+  const merged = Array.isArray(existing) ? [...existing] : [];
+  const createdAt = new Date().toISOString();
+
+  // "junit" from junit.xml and "junit.xml" would share a file; refuse rather than overwrite one with the other.
+  const owners = new Map(merged.map(a => [a?.file, a?.name]));
+  for (const { spec, fileName } of prepared) {
+    const file = join(ARTIFACTS_DIR, stepId, fileName);
+    if (owners.has(file) && owners.get(file) !== spec.name) {
+      fail(`Artifact ${spec.name} would overwrite ${owners.get(file)} (${file})`, { file }, 'INVALID_ARGUMENT');
+    }
+    owners.set(file, spec.name);
+  }
+
+  for (const { spec, fileName, contents } of prepared) {
+    const kind = spec.kind ?? ('data' in spec ? 'json' : 'file');
+    const record = {
+      name: spec.name,
+      kind,
+      file: join(ARTIFACTS_DIR, stepId, fileName),
+      source: 'data' in spec ? null : spec.path,
+      size: contents.length,
+      sha256: hashContents(contents),
+      mimeType: 'data' in spec ? 'application/json' : guessMimeType(fileName, kind),
+      createdAt
+    };
+    writeFileAtomic(join(stateDirAbs, record.file), contents);
+
+    const index = merged.findIndex(a => a?.name === spec.name);
+    if (index === -1) {
+      merged.push(record);
+      continue;
+    }
+    if (merged[index].file && merged[index].file !== record.file) tryUnlink(join(stateDirAbs, merged[index].file));
+    merged[index] = record;
+  }
+
+  return merged;
+}
+
+// Flattens the artifacts recorded in step files into one list, tagged with their stepId.
+export function listArtifacts(stepFiles) {
+  const artifacts = [];
+  for (const step of stepFiles) {
+    if (!Array.isArray(step?.artifacts)) continue;
+    for (const artifact of step.artifacts) {
+      if (artifact && typeof artifact === 'object') artifacts.push({ stepId: step.stepId, ...artifact });
+    }
+  }
+  return artifacts;
+}
+
+// Returns null when the stored file still matches its record, otherwise what is wrong with it.
+export function verifyArtifact(stateDirAbs, artifact) {
+  const fileAbs = typeof artifact?.file === 'string' ? join(stateDirAbs, artifact.file) : null;
+  if (!fileAbs || !existsSync(fileAbs)) return 'file missing';
+  try {
+    return hashContents(readFileSync(fileAbs)) === artifact.sha256 ? null : 'contents changed since it was recorded';
+  } catch {
+    return 'file unreadable';
+  }
+}
@@ -0,0 +1,112 @@
+import { spawnSync } from 'child_process';
+import { existsSync } from 'fs';
+import { join } from 'path';
+import { cwd } from 'process';
+import { readJsonPath, tryReadJsonFile } from './ralph-common.mjs';
+
+export const MAX_CHECK_OUTPUT = 2000;
+
+export function detectTestCommand() {
+  if (existsSync(join(cwd(), 'package.json'))) {
+    const pkg = tryReadJsonFile(join(cwd(), 'package.json'), { maxBytes: 512 * 1024 });
+    if (pkg?.scripts?.test) return 'npm test';
+    if (existsSync(join(cwd(), 'jest.config.js'))) return 'npx jest';
+  }
+  if (existsSync(join(cwd(), 'pyproject.toml')) || existsSync(join(cwd(), 'pytest.ini')) || existsSync(join(cwd(), 'setup.cfg'))) {
+    return 'pytest';
+  }
+  if (existsSync(join(cwd(), 'go.mod'))) return 'go test ./...';
+  if (existsSync(join(cwd(), 'Cargo.toml'))) return 'cargo test';
+  return null;
+}
+
+// Keeps the end of the output, where test runners and compilers print their verdict.
+export function truncateOutput(text, maxChars = MAX_CHECK_OUTPUT) {
+  if (!text || text.length <= maxChars) return text || '';
+  return `[${text.length - maxChars} chars truncated]\n${text.slice(-maxChars)}`;
+}
+
+export function evaluateJsonAssertion(parsed, assertion) {
+  const { found, value } = readJsonPath(parsed, assertion.path);
+  if ('exists' in assertion) {
+    return found === Boolean(assertion.exists) ? null : `${assertion.path} ${assertion.exists ? 'is missing' : 'should not exist'}`;
+  }
+  if (!found) return `${assertion.path} is missing`;
+  if ('equals' in assertion && JSON.stringify(value) !== JSON.stringify(assertion.equals)) {
+    return `${assertion.path} is ${JSON.stringify(value)}, expected ${JSON.stringify(assertion.equals)}`;
+  }
+  if ('notEquals' in assertion && JSON.stringify(value) === JSON.stringify(assertion.notEquals)) {
+    return `${assertion.path} must not be ${JSON.stringify(assertion.notEquals)}`;
+  }
+  if ('lessThan' in assertion && !(typeof value === 'number' && value < assertion.lessThan)) {
+    return `${assertion.path} is ${JSON.stringify(value)}, expected < ${assertion.lessThan}`;
+  }
+  if ('greaterThan' in assertion && !(typeof value === 'number' && value > assertion.greaterThan)) {
+    return `${assertion.path} is ${JSON.stringify(value)}, expected > ${assertion.greaterThan}`;
+  }
+  if ('matches' in assertion && !new RegExp(assertion.matches).test(String(value))) {
+    return `${assertion.path} does not match /${assertion.matches}/`;
+  }
+  return null;
+}
+
+/**
+ * Runs one normalized check (see validateChecks) through the shell in the working directory and
+ * reports every way it failed: exit code, timeout, stdoutMatch and each JSON assertion.
+ */
+export function runCheck(check) {
+  const startedAt = Date.now();
+  const proc = spawnSync(check.command, {
+    shell: true,
+    cwd: cwd(),
+    encoding: 'utf-8',
+    timeout: check.timeoutSeconds * 1000,
+    maxBuffer: 16 * 1024 * 1024
+  });
+  const durationMs = Date.now() - startedAt;
+  const stdout = proc.stdout || '';
+  const stderr = proc.stderr || '';
+  const timedOut = proc.error?.code === 'ETIMEDOUT';
+  const failures = [];
+
+  if (timedOut) {
+    failures.push(`Timed out after ${check.timeoutSeconds}s`);
+  } else if (proc.error) {
+    failures.push(`Failed to run: ${proc.error.message}`);
+  } else if (proc.status !== check.expectedExitCode) {
+    failures.push(`Exit code ${proc.status ?? `signal ${proc.signal}`}, expected ${check.expectedExitCode}`);
+  }
+
+  if (check.stdoutMatch && !new RegExp(check.stdoutMatch).test(stdout)) {
+    failures.push(`stdout does not match /${check.stdoutMatch}/`);
+  }
+
+  if (check.jsonAssertions.length > 0) {
+    let parsed;
+    try {
+      parsed = JSON.parse(stdout);
+    } catch {
+      failures.push('stdout is not valid JSON');
+    }
+    if (parsed !== undefined) {
+      for (const assertion of check.jsonAssertions) {
+        const problem = evaluateJsonAssertion(parsed, assertion);
+        if (problem) failures.push(problem);
+      }
+    }
+  }
+
+  return {
+    name: check.name,
+    command: check.command,
+    severity: check.severity,
+    passed: failures.length === 0,
+    exitCode: proc.status ?? null,
+    expectedExitCode: check.expectedExitCode,
+    timedOut,
+    durationMs,
+    failures,
+    stdout: truncateOutput(stdout),
+    stderr: truncateOutput(stderr)
+  };
+}
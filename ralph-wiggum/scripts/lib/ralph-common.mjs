@@ -1,8 +1,14 @@
-import { mkdirSync, readFileSync, renameSync, statSync, unlinkSync, writeFileSync } from 'fs';
+import { appendFileSync, existsSync, linkSync, mkdirSync, readFileSync, readdirSync, renameSync, statSync, unlinkSync, writeFileSync } from 'fs';
 import { dirname, isAbsolute, join, resolve, sep } from 'path';
 import { cwd } from 'process';
+import { fileURLToPath } from 'url';
 
 export const DEFAULT_STATE_DIR = '.ralph';
+export const DEFAULT_LEASE_SECONDS = 30 * 60;
+export const EVENTS_FILE = 'events.jsonl';
+export const STATE_FILE = 'ralph-state.json';
+export const STATE_SCHEMA_VERSION = 2;
+export const STATE_SCHEMA_PATH = join(dirname(fileURLToPath(import.meta.url)), 'ralph-state.schema.json');
 
 const SLEEP_ARRAY = new Int32Array(new SharedArrayBuffer(4));
 
@@ -11,30 +17,52 @@ export function sleepMs(ms) {
   Atomics.wait(SLEEP_ARRAY, 0, 0, ms);
 }
 
-export function fail(message, details) {
-  const payload = { error: message };
-  if (details && typeof details === 'object') payload.details = details;
+/**
+ * Every ralph failure is a RalphError with a stable `code` (e.g. STEP_LOCKED, SCHEMA_INVALID) and
+ * optional `details`, so library callers can branch on it; the CLIs print it via exitWithError().
+ */
+export class RalphError extends Error {
+  constructor(message, details, code = 'RALPH_ERROR') {
+    super(message);
+    this.name = 'RalphError';
+    this.code = code;
+    if (details && typeof details === 'object') this.details = details;
+  }
+}
+
+export function fail(message, details, code) {
+  throw new RalphError(message, details, code);
+}
+
+export function exitWithError(error) {
+  const payload = { error: error?.message || String(error) };
+  if (error instanceof RalphError) {
+    payload.code = error.code;
+    if (error.details) payload.details = error.details;
+  }
   console.error(JSON.stringify(payload));
   process.exit(1);
 }
 
 export function assertSafeStepId(stepId) {
-  if (typeof stepId !== 'string' || stepId.length === 0) fail('Step ID is required');
-  if (stepId.length > 200) fail('Step ID too long');
-  if (stepId.includes('\0')) fail('Step ID contains null byte');
-  if (stepId.includes('/') || stepId.includes('\\')) fail('Step ID must not contain path separators');
-  if (stepId === '.' || stepId === '..') fail('Invalid step ID');
+  const invalid = message => fail(message, undefined, 'INVALID_ARGUMENT');
+  if (typeof stepId !== 'string' || stepId.length === 0) invalid('Step ID is required');
+  if (stepId.length > 200) invalid('Step ID too long');
+  if (stepId.includes('\0')) invalid('Step ID contains null byte');
+  if (stepId.includes('/') || stepId.includes('\\')) invalid('Step ID must not contain path separators');
+  if (stepId === '.' || stepId === '..') invalid('Invalid step ID');
   return stepId;
 }
 
 export function assertSafeStateDir(stateDir) {
-  if (typeof stateDir !== 'string' || stateDir.length === 0) fail('state-dir is required');
-  if (stateDir.includes('\0')) fail('state-dir contains null byte');
-  if (isAbsolute(stateDir)) fail('state-dir must be a relative path');
+  const invalid = message => fail(message, undefined, 'INVALID_ARGUMENT');
+  if (typeof stateDir !== 'string' || stateDir.length === 0) invalid('state-dir is required');
+  if (stateDir.includes('\0')) invalid('state-dir contains null byte');
+  if (isAbsolute(stateDir)) invalid('state-dir must be a relative path');
   const normalized = stateDir.replace(/\\/g, '/');
   const parts = normalized.split('/').filter(Boolean);
-  if (parts.length === 0) fail('state-dir must not be empty');
-  if (parts.some(p => p === '.' || p === '..')) fail('state-dir must not contain "." or ".." segments');
+  if (parts.length === 0) invalid('state-dir must not be empty');
+  if (parts.some(p => p === '.' || p === '..')) invalid('state-dir must not contain "." or ".." segments');
   return stateDir;
 }
 
@@ -44,12 +72,12 @@ export function resolveStateDirAbs(stateDir) {
 }
 
 export function resolveInCwd(relPath) {
-  if (typeof relPath !== 'string' || relPath.length === 0) fail('Path is required');
-  if (relPath.includes('\0')) fail('Path contains null byte');
-  if (isAbsolute(relPath)) fail('Path must be relative');
+  if (typeof relPath !== 'string' || relPath.length === 0) fail('Path is required', undefined, 'INVALID_ARGUMENT');
+  if (relPath.includes('\0')) fail('Path contains null byte', undefined, 'INVALID_ARGUMENT');
+  if (isAbsolute(relPath)) fail('Path must be relative', undefined, 'INVALID_ARGUMENT');
   const abs = resolve(cwd(), relPath);
   const root = resolve(cwd()) + sep;
-  if (!abs.startsWith(root)) fail('Path escapes working directory', { relPath });
+  if (!abs.startsWith(root)) fail('Path escapes working directory', { relPath }, 'INVALID_ARGUMENT');
   return abs;
 }
 
@@ -69,6 +97,7 @@ export function readJsonFile(filePath, { allowMissing = false, maxBytes = 1024 *
     const raw = readFileSync(filePath, 'utf-8');
     return JSON.parse(raw);
   } catch (err) {
+    if (err instanceof RalphError) throw err;
     if (allowMissing && err && (err.code === 'ENOENT' || err.code === 'ENOTDIR')) return null;
     const message = err?.message || String(err);
     fail('Failed to read JSON file', { filePath, message });
@@ -116,6 +145,151 @@ export function tryUnlink(filePath) {
   }
 }
 
+/**
+ * Appends one line to <stateDir>/events.jsonl: { timestamp, type, actor: { role, id }, pid, payload }.
+ * A single small O_APPEND write is not interleaved with other writers. The log is for observers,
+ * so a failed append is reported to the caller but never fails the operation that produced it.
+ */
+export function appendEvent(stateDirAbs, type, actor, payload = {}) {
+  const event = {
+    timestamp: new Date().toISOString(),
+    type,
+    actor: { role: actor?.role || 'orchestrator', id: actor?.id ?? null },
+    pid: process.pid,
+    payload
+  };
+  try {
+    appendFileSync(join(stateDirAbs, EVENTS_FILE), `${JSON.stringify(event)}\n`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// One-line description of an event's payload, shared by ralph-watch.mjs and ralph-report.mjs.
+export function describeEventDetail(event) {
+  const p = event?.payload || {};
+  const type = String(event?.type || '');
+  let detail = '';
+  if (type === 'step.claimed') detail = p.stepId;
+  else if (type === 'step.completed' || type === 'step.awaiting-approval') detail = p.stepId;
+  else if (type === 'step.approved' || type === 'step.rejected') detail = `${p.stepId}${p.comment ? `: ${String(p.comment).substring(0, 80)}` : ''}`;
+  else if (type.startsWith('completion.')) detail = `iteration ${p.iteration}${p.comment ? `: ${String(p.comment).substring(0, 80)}` : ''}`;
+  else if (type === 'step.failed') detail = `${p.stepId} ${p.status} (${p.attempts}/${p.maxAttempts ?? '-'}): ${String(p.reason || '').substring(0, 80)}`;
+  else if (type === 'validation.recorded') detail = `iteration ${p.iteration} vote=${p.vote} overall=${p.overallComplete}`;
+  else if (type === 'iteration.advanced') detail = `${p.previousIteration} -> ${p.iteration}`;
+  else if (type === 'steps.changed') detail = `${p.action} ${(p.steps || []).join(', ')}`;
+  else if (type === 'steps.reclaimed') detail = (p.reclaimed || []).map(r => r.stepId).join(', ');
+  else if (type === 'rollback.applied') detail = p.mode === 'step' ? `step ${p.stepId}` : `iteration ${p.iteration}`;
+  else if (type === 'archive.restored') detail = `${p.archive} (${p.files} files${p.backup ? `, backup ${p.backup}` : ''})`;
+  else if (type === 'archives.pruned') detail = (p.removed || []).join(', ');
+  else if (type === 'run.finished') detail = `${p.stopReason} at iteration ${p.iteration} (${p.completedSteps}/${p.totalSteps} steps)`;
+  return detail;
+}
+
+function formatSchemaPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against the JSON Schema subset used by ralph-state.schema.json:
+ * type, const, enum, minimum, exclusiveMinimum, minLength, required, properties,
+ * additionalProperties and items. Errors read like `$.steps["step 1"].status: must be one of ...`.
+ */
+export function validateAgainstSchema(value, schema, path = '$', errors = []) {
+  if (!schema || typeof schema !== 'object') return errors;
+  const actual = schemaTypeOf(value);
+
+  if (schema.type !== undefined) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some(t => t === actual || (t === 'number' && actual === 'integer'));
+    if (!matches) {
+      errors.push(`${path}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
+  }
+  if ('const' in schema && value !== schema.const) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}, got ${JSON.stringify(value)}`);
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path}: must not be shorter than ${schema.minLength} character(s)`);
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => validateAgainstSchema(item, schema.items, formatSchemaPath(path, i), errors));
+  }
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${formatSchemaPath(path, key)}: is required`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = formatSchemaPath(path, key);
+      if (Object.hasOwn(properties, key)) validateAgainstSchema(child, properties[key], childPath, errors);
+      else if (schema.additionalProperties === false) errors.push(`${childPath}: is not allowed`);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(child, schema.additionalProperties, childPath, errors);
+      }
+    }
+  }
+  return errors;
+}
+
+let cachedStateSchema = null;
+
+export function loadStateSchema() {
+  if (!cachedStateSchema) cachedStateSchema = readJsonFile(STATE_SCHEMA_PATH, { allowMissing: false });
+  return cachedStateSchema;
+}
+
+// State files written before schemaVersion existed are version 1.
+export function getStateSchemaVersion(state) {
+  return state && typeof state === 'object' && state.schemaVersion !== undefined ? state.schemaVersion : 1;
+}
+
+export function validateStateSchema(state) {
+  const schemaVersion = getStateSchemaVersion(state);
+  if (schemaVersion !== STATE_SCHEMA_VERSION) {
+    return { valid: false, schemaVersion, errors: [`$.schemaVersion: expected ${STATE_SCHEMA_VERSION}, got ${JSON.stringify(schemaVersion)}`] };
+  }
+  const errors = validateAgainstSchema(state, loadStateSchema());
+  return { valid: errors.length === 0, schemaVersion, errors };
+}
+
+/**
+ * Reads <stateDir>/ralph-state.json and fails unless it matches the current schema. Older files get a
+ * pointer to ralph-migrate.mjs; files from a newer release are refused rather than rewritten.
+ */
+export function readStateFile(stateDirAbs) {
+  const stateFileAbs = join(stateDirAbs, STATE_FILE);
+  if (!existsSync(stateFileAbs)) fail('State file not found. Run ralph-init.mjs first.', { stateFile: stateFileAbs }, 'STATE_NOT_FOUND');
+  const state = readJsonFile(stateFileAbs, { allowMissing: false });
+  const schemaVersion = getStateSchemaVersion(state);
+  if (Number.isInteger(schemaVersion) && schemaVersion < STATE_SCHEMA_VERSION) {
+    fail(`State file uses schema version ${schemaVersion}; run ralph-migrate.mjs to upgrade it to ${STATE_SCHEMA_VERSION}`, { stateFile: stateFileAbs }, 'SCHEMA_OUTDATED');
+  }
+  if (Number.isInteger(schemaVersion) && schemaVersion > STATE_SCHEMA_VERSION) {
+    fail(`State file uses schema version ${schemaVersion}, newer than this release supports (${STATE_SCHEMA_VERSION})`, { stateFile: stateFileAbs }, 'SCHEMA_UNSUPPORTED');
+  }
+  const { valid, errors } = validateStateSchema(state);
+  if (!valid) fail('State file does not match schema', { stateFile: stateFileAbs, errors: errors.slice(0, 50) }, 'SCHEMA_INVALID');
+  return { stateFileAbs, state };
+}
+
 export function withLock(lockPath, fn, { timeoutMs = 5000, retryMs = 25 } = {}) {
   const start = Date.now();
   // eslint-disable-next-line no-constant-condition
@@ -129,15 +303,505 @@ export function withLock(lockPath, fn, { timeoutMs = 5000, retryMs = 25 } = {})
         fail('Failed to acquire lock', { lockPath, message });
       }
       if (Date.now() - start > timeoutMs) {
-        fail('Timed out acquiring lock', { lockPath, timeoutMs });
+        fail('Timed out acquiring lock', { lockPath, timeoutMs }, 'LOCK_TIMEOUT');
       }
       sleepMs(retryMs);
     }
   }
 
+  // process.exit() inside fn skips the finally block, so release the lock on exit as well.
+  const release = () => tryUnlink(lockPath);
+  process.once('exit', release);
   try {
     return fn();
   } finally {
-    tryUnlink(lockPath);
+    process.removeListener('exit', release);
+    release();
+  }
+}
+
+export function getStepDependencies(step) {
+  const deps = step?.dependsOn;
+  if (deps === undefined || deps === null) return [];
+  return Array.isArray(deps) ? deps : null;
+}
+
+export function validateStepGraph(steps) {
+  const errors = [];
+  const stepMap = steps && typeof steps === 'object' ? steps : {};
+  const stepIds = Object.keys(stepMap);
+  const known = new Set(stepIds);
+
+  for (const stepId of stepIds) {
+    const deps = getStepDependencies(stepMap[stepId]);
+    if (deps === null) {
+      errors.push(`Step ${stepId}: dependsOn must be an array of step IDs`);
+      continue;
+    }
+    for (const dep of deps) {
+      if (typeof dep !== 'string' || dep.length === 0) {
+        errors.push(`Step ${stepId}: dependsOn entries must be non-empty strings`);
+      } else if (dep === stepId) {
+        errors.push(`Step ${stepId}: depends on itself`);
+      } else if (!known.has(dep)) {
+        errors.push(`Step ${stepId}: depends on unknown step ${dep}`);
+      }
+    }
+  }
+
+  // Depth-first search with an explicit path so the reported cycle is readable.
+  const visiting = new Set();
+  const visited = new Set();
+  let cycle = null;
+
+  const visit = (stepId, path) => {
+    if (cycle || visited.has(stepId)) return;
+    if (visiting.has(stepId)) {
+      cycle = [...path.slice(path.indexOf(stepId)), stepId];
+      return;
+    }
+    visiting.add(stepId);
+    path.push(stepId);
+    for (const dep of getStepDependencies(stepMap[stepId]) || []) {
+      if (dep !== stepId && known.has(dep)) visit(dep, path);
+    }
+    path.pop();
+    visiting.delete(stepId);
+    visited.add(stepId);
+  };
+
+  for (const stepId of stepIds) visit(stepId, []);
+  if (cycle) errors.push(`Dependency cycle: ${cycle.join(' -> ')}`);
+
+  return { valid: errors.length === 0, errors, cycle };
+}
+
+export function assertValidStepGraph(steps) {
+  const graph = validateStepGraph(steps);
+  if (!graph.valid) fail('Invalid step dependency graph', { errors: graph.errors }, 'INVALID_STEP_GRAPH');
+  return graph;
+}
+
+export function computeReadyStepIds(steps, statusOf) {
+  const stepMap = steps && typeof steps === 'object' ? steps : {};
+  return Object.keys(stepMap).filter(stepId => {
+    // Failed steps are retried; exhausted steps have used up maxAttempts and stay out.
+    const status = statusOf(stepId) || 'pending';
+    if (status !== 'pending' && status !== 'failed') return false;
+    const deps = getStepDependencies(stepMap[stepId]);
+    if (deps === null) return false;
+    return deps.every(dep => Object.hasOwn(stepMap, dep) && statusOf(dep) === 'complete');
+  });
+}
+
+export function parseLeaseSeconds(value) {
+  const val = parseInt(value, 10);
+  if (!Number.isFinite(val) || val <= 0) fail('lease-seconds must be a positive integer', undefined, 'INVALID_ARGUMENT');
+  return val;
+}
+
+export function computeLeaseExpiry(leaseSeconds, fromMs = Date.now()) {
+  return new Date(fromMs + leaseSeconds * 1000).toISOString();
+}
+
+// Locks written before leases existed have no leaseExpiresAt and never expire on their own.
+export function isLeaseExpired(lockData, nowMs = Date.now()) {
+  const expiresMs = Date.parse(lockData?.leaseExpiresAt ?? '');
+  return Number.isFinite(expiresMs) && expiresMs <= nowMs;
+}
+
+/**
+ * Returns claimed steps to "pending" when shouldReclaim(lockData, stepId) says their worker is gone.
+ * The caller must hold ralph-state.lock and write `state` afterwards; state.steps is updated in place.
+ */
+export function reclaimStepClaims(stateDirAbs, state, { shouldReclaim, reason, dryRun = false, nowMs = Date.now() }) {
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const reclaimed = [];
+  if (!existsSync(stepsDirAbs)) return reclaimed;
+  if (!state.steps || typeof state.steps !== 'object') state.steps = {};
+
+  for (const file of readdirSync(stepsDirAbs).filter(f => f.endsWith('.lock'))) {
+    const stepId = file.replace(/\.lock$/, '');
+    const lockFileAbs = join(stepsDirAbs, file);
+    const lockData = tryReadJsonFile(lockFileAbs, { maxBytes: 16 * 1024 });
+    if (!lockData || !shouldReclaim(lockData, stepId)) continue;
+
+    const entry = {
+      stepId,
+      workerId: lockData.workerId || null,
+      claimedAt: lockData.claimedAt || null,
+      leaseExpiresAt: lockData.leaseExpiresAt || null,
+      reason
+    };
+    if (dryRun) {
+      reclaimed.push(entry);
+      continue;
+    }
+
+    // Move the lock aside first so a worker finishing concurrently cannot be confused with ours.
+    const asideAbs = `${lockFileAbs}.reclaim.${process.pid}`;
+    try {
+      renameSync(lockFileAbs, asideAbs);
+    } catch {
+      continue;
+    }
+    const movedLock = tryReadJsonFile(asideAbs, { maxBytes: 16 * 1024 });
+    if (movedLock?.workerId !== lockData.workerId || movedLock?.claimedAt !== lockData.claimedAt) {
+      // A different claim replaced the one we inspected; put it back untouched.
+      try {
+        linkSync(asideAbs, lockFileAbs);
+      } catch {
+        // ignore
+      }
+      tryUnlink(asideAbs);
+      continue;
+    }
+    tryUnlink(asideAbs);
+
+    const reclaimedAt = new Date(nowMs).toISOString();
+    const stepFileAbs = join(stepsDirAbs, `${stepId}.json`);
+    const stepData = tryReadJsonFile(stepFileAbs, { maxBytes: 512 * 1024 });
+    if (stepData && stepData.status === 'in-progress' && stepData.worker === lockData.workerId) {
+      const record = { workerId: entry.workerId, claimedAt: entry.claimedAt, leaseExpiresAt: entry.leaseExpiresAt, reclaimedAt, reason };
+      stepData.status = 'pending';
+      stepData.worker = null;
+      delete stepData.leaseExpiresAt;
+      stepData.lastReclaim = record;
+      stepData.reclaims = [...(Array.isArray(stepData.reclaims) ? stepData.reclaims : []), record].slice(-20);
+      writeJsonAtomic(stepFileAbs, stepData);
+    }
+
+    const stateStep = state.steps[stepId];
+    if (stateStep && typeof stateStep === 'object' && stateStep.status === 'in-progress' && stateStep.worker === lockData.workerId) {
+      stateStep.status = 'pending';
+      stateStep.reclaimedFrom = entry.workerId;
+      stateStep.reclaimedAt = reclaimedAt;
+      delete stateStep.worker;
+      delete stateStep.claimedAt;
+      delete stateStep.leaseExpiresAt;
+    }
+
+    reclaimed.push({ ...entry, reclaimedAt });
+  }
+
+  return reclaimed;
+}
+
+export const CHECK_SEVERITIES = ['required', 'advisory'];
+export const DEFAULT_CHECK_TIMEOUT_SECONDS = 300;
+
+const JSON_ASSERTION_OPERATORS = ['equals', 'notEquals', 'exists', 'lessThan', 'greaterThan', 'matches'];
+
+export function validateChecks(checks) {
+  const errors = [];
+  const normalized = [];
+  if (checks === undefined || checks === null) return { valid: true, errors, checks: normalized };
+  if (!Array.isArray(checks)) return { valid: false, errors: ['checks must be an array'], checks: normalized };
+
+  const names = new Set();
+  checks.forEach((check, i) => {
+    const label = typeof check?.name === 'string' && check.name ? `Check ${check.name}` : `Check #${i + 1}`;
+    if (!check || typeof check !== 'object') {
+      errors.push(`${label}: must be an object`);
+      return;
+    }
+    if (typeof check.name !== 'string' || check.name.length === 0) errors.push(`${label}: name is required`);
+    else if (names.has(check.name)) errors.push(`${label}: duplicate name`);
+    else names.add(check.name);
+    if (typeof check.command !== 'string' || check.command.length === 0) errors.push(`${label}: command is required`);
+
+    const expectedExitCode = check.expectedExitCode ?? 0;
+    if (!Number.isInteger(expectedExitCode)) errors.push(`${label}: expectedExitCode must be an integer`);
+
+    const timeoutSeconds = check.timeoutSeconds ?? DEFAULT_CHECK_TIMEOUT_SECONDS;
+    if (typeof timeoutSeconds !== 'number' || !(timeoutSeconds > 0)) errors.push(`${label}: timeoutSeconds must be a positive number`);
+
+    const severity = check.severity ?? 'required';
+    if (!CHECK_SEVERITIES.includes(severity)) errors.push(`${label}: severity must be one of ${CHECK_SEVERITIES.join(', ')}`);
+
+    if (check.stdoutMatch !== undefined && check.stdoutMatch !== null) {
+      try {
+        new RegExp(check.stdoutMatch);
+      } catch {
+        errors.push(`${label}: stdoutMatch is not a valid regular expression`);
+      }
+    }
+
+    const jsonAssertions = check.jsonAssertions ?? [];
+    if (!Array.isArray(jsonAssertions)) {
+      errors.push(`${label}: jsonAssertions must be an array`);
+    } else {
+      for (const assertion of jsonAssertions) {
+        if (typeof assertion?.path !== 'string' || !assertion.path.startsWith('$')) {
+          errors.push(`${label}: each jsonAssertion needs a path starting with "$"`);
+        } else if (!JSON_ASSERTION_OPERATORS.some(op => op in assertion)) {
+          errors.push(`${label}: jsonAssertion ${assertion.path} needs one of ${JSON_ASSERTION_OPERATORS.join(', ')}`);
+        }
+      }
+    }
+
+    normalized.push({
+      name: check.name,
+      command: check.command,
+      expectedExitCode,
+      stdoutMatch: check.stdoutMatch ?? null,
+      jsonAssertions: Array.isArray(jsonAssertions) ? jsonAssertions : [],
+      timeoutSeconds,
+      severity
+    });
+  });
+
+  return { valid: errors.length === 0, errors, checks: normalized };
+}
+
+// Supports "$", ".key", "[0]" and ["key"] segments, e.g. $.results[0]["num failed"].
+export function readJsonPath(value, path) {
+  if (typeof path !== 'string' || !path.startsWith('$')) return { found: false, value: undefined };
+  const segmentPattern = /\.([A-Za-z_$][\w$-]*)|\[(\d+)\]|\["([^"]*)"\]/y;
+  let current = value;
+  let pos = 1;
+  while (pos < path.length) {
+    segmentPattern.lastIndex = pos;
+    const m = segmentPattern.exec(path);
+    if (!m) return { found: false, value: undefined };
+    pos = segmentPattern.lastIndex;
+    const key = m[1] ?? (m[2] !== undefined ? Number(m[2]) : m[3]);
+    if (current === null || typeof current !== 'object' || !(key in current)) return { found: false, value: undefined };
+    current = current[key];
+  }
+  return { found: true, value: current };
+}
+
+export const CONSENSUS_POLICIES = ['latest', 'unanimous', 'majority', 'n-of-m'];
+
+export function validateConsensusConfig(consensus) {
+  const errors = [];
+  if (consensus === undefined || consensus === null) return { valid: true, errors, consensus: { policy: 'latest' } };
+  if (typeof consensus !== 'object') return { valid: false, errors: ['consensus must be an object'], consensus: null };
+
+  const policy = consensus.policy ?? 'latest';
+  if (!CONSENSUS_POLICIES.includes(policy)) errors.push(`consensus.policy must be one of ${CONSENSUS_POLICIES.join(', ')}`);
+  const monitors = consensus.monitors ?? null;
+  if (monitors !== null && (!Number.isInteger(monitors) || monitors < 1)) errors.push('consensus.monitors must be a positive integer');
+  const required = consensus.required ?? null;
+  if (policy === 'n-of-m') {
+    if (!Number.isInteger(required) || required < 1) errors.push('consensus.required must be a positive integer for n-of-m');
+    else if (monitors !== null && required > monitors) errors.push('consensus.required must not exceed consensus.monitors');
   }
+
+  return { valid: errors.length === 0, errors, consensus: { policy, required, monitors } };
+}
+
+// Without a declared monitor count, unanimous/majority never let one vote decide completion.
+const MIN_UNCOUNTED_VOTES = 2;
+
+/**
+ * Decides overallComplete from per-monitor votes ({ monitorId, overallComplete, timestamp }).
+ * "latest" keeps the single-authoritative-monitor behaviour; the others need enough votes to decide,
+ * and when `monitors` is set, unanimous/majority wait for all expected votes before declaring completion.
+ * Without `monitors` (state written before init required it), they wait for at least two votes.
+ */
+export function computeConsensus(votes, consensusConfig) {
+  const { policy, required, monitors } = consensusConfig || { policy: 'latest' };
+  const sorted = [...votes].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+  const votesComplete = sorted.filter(v => v.overallComplete === true).length;
+  const totalVotes = sorted.length;
+  const votesIncomplete = totalVotes - votesComplete;
+  const expected = monitors ?? Math.max(totalVotes, policy === 'n-of-m' ? 0 : MIN_UNCOUNTED_VOTES);
+
+  let needed;
+  if (policy === 'latest') needed = null;
+  else if (policy === 'unanimous') needed = expected;
+  else if (policy === 'majority') needed = Math.floor(expected / 2) + 1;
+  else needed = required;
+
+  let overallComplete;
+  if (policy === 'latest') {
+    overallComplete = totalVotes > 0 && sorted[totalVotes - 1].overallComplete === true;
+  } else if (policy === 'unanimous') {
+    overallComplete = totalVotes >= expected && votesIncomplete === 0 && totalVotes > 0;
+  } else {
+    overallComplete = totalVotes > 0 && votesComplete >= needed;
+  }
+
+  return {
+    policy,
+    required: needed,
+    expectedMonitors: monitors,
+    totalVotes,
+    votesComplete,
+    votesIncomplete,
+    awaitingVotes: monitors !== null || policy === 'unanimous' || policy === 'majority' ? Math.max(0, expected - totalVotes) : 0,
+    overallComplete
+  };
+}
+
+/**
+ * Normalizes completion promises: [{ text, files }], where files (optional) is a list of workspace
+ * paths or globs the promise must be found in. Without files the default sources are searched.
+ */
+export function validatePromises(promises) {
+  const errors = [];
+  const normalized = [];
+  if (promises === undefined || promises === null) return { valid: true, errors, promises: normalized };
+  if (!Array.isArray(promises)) return { valid: false, errors: ['promises must be an array'], promises: normalized };
+
+  const texts = new Set();
+  promises.forEach((promise, i) => {
+    const entry = typeof promise === 'string' ? { text: promise } : promise;
+    const label = typeof entry?.text === 'string' && entry.text ? `Promise "${entry.text}"` : `Promise #${i + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${label}: must be a string or an object`);
+      return;
+    }
+    if (typeof entry.text !== 'string' || !entry.text.trim()) errors.push(`${label}: text is required`);
+    else if (texts.has(entry.text)) errors.push(`${label}: duplicate text`);
+    else texts.add(entry.text);
+
+    const files = entry.files ?? null;
+    if (files !== null) {
+      if (!Array.isArray(files) || files.length === 0) {
+        errors.push(`${label}: files must be a non-empty array of paths or globs`);
+      } else {
+        for (const file of files) {
+          if (typeof file !== 'string' || !file || file.includes('\0')) errors.push(`${label}: each file must be a non-empty string`);
+          else if (isAbsolute(file) || file.split(/[\\/]/).includes('..')) errors.push(`${label}: ${file} must stay inside the workspace`);
+        }
+      }
+    }
+
+    normalized.push({ text: entry.text, files: Array.isArray(files) ? files : null });
+  });
+
+  return { valid: errors.length === 0, errors, promises: normalized };
+}
+
+// Loop-wide ceilings; null means unlimited. maxStepDurationSeconds applies to each claim separately.
+export const BUDGET_LIMITS = ['maxDurationSeconds', 'maxStepDurationSeconds', 'maxTokens', 'maxCost'];
+
+export function validateBudgets(budgets) {
+  const errors = [];
+  const normalized = Object.fromEntries(BUDGET_LIMITS.map(key => [key, null]));
+  if (budgets === undefined || budgets === null) return { valid: true, errors, budgets: normalized };
+  if (typeof budgets !== 'object' || Array.isArray(budgets)) return { valid: false, errors: ['budgets must be an object'], budgets: null };
+
+  for (const key of BUDGET_LIMITS) {
+    const value = budgets[key] ?? null;
+    if (value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) errors.push(`budgets.${key} must be a positive number`);
+    else if (key === 'maxTokens' && !Number.isInteger(value)) errors.push('budgets.maxTokens must be an integer');
+    else normalized[key] = value;
+  }
+  for (const key of Object.keys(budgets)) {
+    if (!BUDGET_LIMITS.includes(key)) errors.push(`budgets.${key} is not a known budget`);
+  }
+
+  return { valid: errors.length === 0, errors, budgets: normalized };
+}
+
+/**
+ * Normalizes a worker's usage report ({ inputTokens, outputTokens, model, cost, durationMs }).
+ * Every field is optional; missing token and cost figures count as zero in the running totals.
+ */
+export function validateUsage(usage) {
+  const errors = [];
+  if (usage === undefined || usage === null) return { valid: true, errors, usage: null };
+  if (typeof usage !== 'object' || Array.isArray(usage)) return { valid: false, errors: ['usage must be an object'], usage: null };
+
+  const normalized = {};
+  for (const key of ['inputTokens', 'outputTokens']) {
+    if (usage[key] === undefined || usage[key] === null) continue;
+    if (!Number.isInteger(usage[key]) || usage[key] < 0) errors.push(`usage.${key} must be a non-negative integer`);
+    else normalized[key] = usage[key];
+  }
+  for (const key of ['cost', 'durationMs']) {
+    if (usage[key] === undefined || usage[key] === null) continue;
+    if (typeof usage[key] !== 'number' || !Number.isFinite(usage[key]) || usage[key] < 0) errors.push(`usage.${key} must be a non-negative number`);
+    else normalized[key] = usage[key];
+  }
+  if (usage.model !== undefined && usage.model !== null) {
+    if (typeof usage.model !== 'string' || !usage.model) errors.push('usage.model must be a non-empty string');
+    else normalized.model = usage.model;
+  }
+
+  return { valid: errors.length === 0, errors, usage: normalized };
+}
+
+// CLI flags shared by ralph-worker-complete.mjs and ralph-worker-fail.mjs for reporting usage.
+const USAGE_FLAGS = {
+  '--input-tokens': ['inputTokens', v => Number(v)],
+  '--output-tokens': ['outputTokens', v => Number(v)],
+  '--cost': ['cost', v => Number(v)],
+  '--duration': ['durationMs', v => Number(v) * 1000],
+  '--model': ['model', v => v]
+};
+
+/**
+ * Applies one usage flag to `usage` and returns true, or returns false when `flag` is not a usage flag.
+ * Values are checked later by validateUsage; --duration is given in seconds.
+ */
+export function applyUsageFlag(usage, flag, value) {
+  const entry = USAGE_FLAGS[flag];
+  if (!entry) return false;
+  const [key, convert] = entry;
+  const converted = convert(value);
+  if (typeof converted === 'number' && Number.isNaN(converted)) fail(`${flag} must be a number`, undefined, 'INVALID_ARGUMENT');
+  usage[key] = converted;
+  return true;
+}
+
+export function emptyUsageTotals() {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, durationMs: 0, reports: 0, byModel: {} };
+}
+
+// Adds one normalized usage report to state.usage in place (creating it for loops started before budgets).
+export function addUsage(state, usage) {
+  if (!state.usage || typeof state.usage !== 'object') state.usage = emptyUsageTotals();
+  const totals = state.usage;
+  const inputTokens = usage.inputTokens || 0;
+  const outputTokens = usage.outputTokens || 0;
+  const cost = usage.cost || 0;
+  totals.inputTokens += inputTokens;
+  totals.outputTokens += outputTokens;
+  totals.totalTokens += inputTokens + outputTokens;
+  totals.cost += cost;
+  totals.durationMs += usage.durationMs || 0;
+  totals.reports += 1;
+  if (usage.model) {
+    if (!totals.byModel || typeof totals.byModel !== 'object') totals.byModel = {};
+    const entry = totals.byModel[usage.model] || { inputTokens: 0, outputTokens: 0, cost: 0, reports: 0 };
+    entry.inputTokens += inputTokens;
+    entry.outputTokens += outputTokens;
+    entry.cost += cost;
+    entry.reports += 1;
+    totals.byModel[usage.model] = entry;
+  }
+  return totals;
+}
+
+// Budget names used as stopReason when the matching limit is used up.
+const BUDGET_STOP_REASONS = { maxDurationSeconds: 'duration-budget', maxTokens: 'token-budget', maxCost: 'cost-budget' };
+
+/**
+ * Compares the loop's running totals with its budgets. Elapsed time counts from state.startedAt.
+ * Returns { limits, usage, elapsedSeconds, exhausted: [{ budget, stopReason, limit, used }] }.
+ */
+export function computeBudgetStatus(state, nowMs = Date.now()) {
+  const { budgets: limits } = validateBudgets(state.budgets);
+  const usage = state.usage && typeof state.usage === 'object' ? state.usage : emptyUsageTotals();
+  const startedMs = Date.parse(state.startedAt);
+  const elapsedSeconds = Number.isFinite(startedMs) ? Math.max(0, (nowMs - startedMs) / 1000) : 0;
+  const used = {
+    maxDurationSeconds: elapsedSeconds,
+    maxTokens: usage.totalTokens || 0,
+    maxCost: usage.cost || 0
+  };
+
+  const exhausted = [];
+  for (const [budget, stopReason] of Object.entries(BUDGET_STOP_REASONS)) {
+    const limit = limits?.[budget] ?? null;
+    if (limit !== null && used[budget] >= limit) exhausted.push({ budget, stopReason, limit, used: used[budget] });
+  }
+
+  return { limits: limits || validateBudgets(null).budgets, usage, elapsedSeconds, exhausted };
 }
@@ -0,0 +1,1932 @@
+/**
+ * Ralph Core
+ * Programmatic API for the loop operations behind the CLI scripts.
+ *
+ * Every function takes one options object using the camelCase form of the CLI flags
+ * (--state-dir -> stateDir, --worker-id -> workerId, ...), returns the object the matching
+ * script prints, and throws RalphError (with a stable `code`) instead of exiting.
+ * Relative paths, including stateDir, resolve against process.cwd() as they do for the CLIs.
+ */
+
+import { copyFileSync, existsSync, mkdirSync, readdirSync, readFileSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { cwd } from 'process';
+import { randomUUID } from 'crypto';
+import {
+  DEFAULT_CHECK_TIMEOUT_SECONDS,
+  DEFAULT_LEASE_SECONDS,
+  DEFAULT_STATE_DIR,
+  RalphError,
+  STATE_SCHEMA_VERSION,
+  addUsage,
+  appendEvent,
+  assertSafeStateDir,
+  assertSafeStepId,
+  assertValidStepGraph,
+  computeBudgetStatus,
+  computeConsensus,
+  computeLeaseExpiry,
+  computeReadyStepIds,
+  emptyUsageTotals,
+  encodeIdForFilename,
+  fail,
+  getStepDependencies,
+  isLeaseExpired,
+  parseLeaseSeconds,
+  readJsonFile,
+  readStateFile,
+  reclaimStepClaims,
+  resolveInCwd,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  tryUnlink,
+  validateBudgets,
+  validateChecks,
+  validateConsensusConfig,
+  validatePromises,
+  validateStateSchema,
+  validateStepGraph,
+  validateUsage,
+  withLock,
+  writeFileAtomic,
+  writeJsonAtomic
+} from './ralph-common.mjs';
+import { isTextArtifact, listArtifacts, storeArtifacts, verifyArtifact } from './ralph-artifacts.mjs';
+import { createArchive, pruneArchives } from './ralph-archive.mjs';
+import {
+  assertSafeLoopName,
+  defaultLoopStateDir,
+  filesOverlap,
+  findFileConflicts,
+  listActiveFileSteps,
+  readRegistry,
+  registerLoop,
+  unregisterLoops,
+  withRegistryLock
+} from './ralph-loops.mjs';
+import { detectTestCommand, runCheck } from './ralph-checks.mjs';
+import { evaluatePromise, expandFileGlobs, globToRegExp, readTextForScan } from './ralph-promises.mjs';
+import {
+  applyPatchToTree,
+  bookkeepingPaths,
+  captureWorkingTree,
+  changedFiles,
+  commitTree,
+  diffTrees,
+  gitTopLevel,
+  stepRefName,
+  updateRef
+} from './ralph-git.mjs';
+
+export { RalphError };
+
+const MAX_REASON_LENGTH = 2000;
+const MAX_FAILURE_HISTORY = 20;
+
+function resolveStateDir(stateDir = DEFAULT_STATE_DIR) {
+  assertSafeStateDir(stateDir);
+  return { stateDir, stateDirAbs: resolveStateDirAbs(stateDir) };
+}
+
+function requireStepId(stepId) {
+  if (!stepId) fail('Step ID is required', undefined, 'INVALID_ARGUMENT');
+  assertSafeStepId(stepId);
+  return stepId;
+}
+
+function normalizeUsage(usage) {
+  const result = validateUsage(usage);
+  if (!result.valid) fail('Invalid usage report', { errors: result.errors }, 'INVALID_ARGUMENT');
+  return result.usage || {};
+}
+
+// Measured claim-to-now time, used when the worker does not report its own duration.
+function measureStepDurationMs(stepData, nowMs) {
+  const claimedMs = Date.parse(stepData?.claimedAt);
+  return Number.isFinite(claimedMs) ? Math.max(0, nowMs - claimedMs) : null;
+}
+
+// ---------------------------------------------------------------------------
+// init
+// ---------------------------------------------------------------------------
+
+function loadChecks(checks, checksFile) {
+  if (checks === undefined || checks === null) {
+    if (!checksFile) return [];
+    const raw = readJsonFile(resolveInCwd(checksFile));
+    checks = Array.isArray(raw) ? raw : raw?.checks;
+  }
+  const result = validateChecks(checks);
+  if (!result.valid) fail(checksFile ? 'Invalid checks file' : 'Invalid checks', { errors: result.errors }, 'INVALID_ARGUMENT');
+  return result.checks;
+}
+
+// completionPromise stays the first promise; the file can add scoped ones ([{ text, files }] or { promises }).
+function loadPromises(completionPromise, promises, promisesFile) {
+  const list = [];
+  if (completionPromise) list.push({ text: completionPromise });
+  if (promises !== undefined && promises !== null) {
+    if (!Array.isArray(promises)) fail('promises must be an array', undefined, 'INVALID_ARGUMENT');
+    list.push(...promises);
+  }
+  if (promisesFile) {
+    const raw = readJsonFile(resolveInCwd(promisesFile));
+    const fromFile = Array.isArray(raw) ? raw : raw?.promises;
+    if (!Array.isArray(fromFile)) fail('Promises file must hold an array or { "promises": [...] }', { promisesFile }, 'INVALID_ARGUMENT');
+    list.push(...fromFile);
+  }
+  const result = validatePromises(list);
+  if (!result.valid) fail(promisesFile ? 'Invalid promises file' : 'Invalid promises', { errors: result.errors }, 'INVALID_ARGUMENT');
+  return result.promises;
+}
+
+/**
+ * Creates the state directory and ralph-state.json for a new loop.
+ * Options: task, completionPromise, promises ([{ text, files }]) or promisesFile, maxIterations (null for unlimited), checks or checksFile,
+ * consensus ({ policy, required, monitors }), budgets ({ maxDurationSeconds, maxStepDurationSeconds,
+ * maxTokens, maxCost }), requireApproval, git, loop (registers the loop under that name; stateDir then
+ * defaults to .ralph-loops/<loop>), stateDir.
+ */
+export function init(options = {}) {
+  const { task, completionPromise = null, promises = null, promisesFile = null, maxIterations = null, checks, checksFile = null, consensus = {}, budgets = null, requireApproval = false, git = false, loop = null } = options;
+  if (typeof task !== 'string' || !task.trim()) fail('Task description is required', undefined, 'INVALID_ARGUMENT');
+  if (maxIterations !== null && !(Number.isInteger(maxIterations) && maxIterations >= 1)) {
+    fail('maxIterations must be a positive integer or null', { maxIterations }, 'INVALID_ARGUMENT');
+  }
+  const consensusResult = validateConsensusConfig(consensus);
+  if (!consensusResult.valid) fail('Invalid consensus options', { errors: consensusResult.errors }, 'INVALID_ARGUMENT');
+  // Counting votes against the votes received lets the first monitor decide alone.
+  if (['unanimous', 'majority'].includes(consensusResult.consensus.policy) && consensusResult.consensus.monitors === null) {
+    fail(`consensus ${consensusResult.consensus.policy} requires the number of monitors (--monitors <m>)`, undefined, 'INVALID_ARGUMENT');
+  }
+  const budgetResult = validateBudgets(budgets);
+  if (!budgetResult.valid) fail('Invalid budget options', { errors: budgetResult.errors }, 'INVALID_ARGUMENT');
+  const { stateDir, stateDirAbs } = resolveStateDir(options.stateDir ?? (loop !== null ? defaultLoopStateDir(loop) : undefined));
+
+  const checkList = loadChecks(checks, checksFile);
+  const promiseList = loadPromises(completionPromise, promises, promisesFile);
+  const stepsDir = join(stateDirAbs, 'steps');
+  const progressDir = join(stateDirAbs, 'progress');
+  const validationDir = join(stateDirAbs, 'validation');
+
+  // Create directories
+  try {
+    mkdirSync(stateDirAbs, { recursive: true });
+    mkdirSync(stepsDir, { recursive: true });
+    mkdirSync(progressDir, { recursive: true });
+    mkdirSync(validationDir, { recursive: true });
+  } catch (error) {
+    fail('Failed to create directories', { message: error.message });
+  }
+
+  const stateFileAbs = join(stateDirAbs, 'ralph-state.json');
+
+  // Check if state file already exists
+  if (existsSync(stateFileAbs)) {
+    fail('State file already exists. Use cleanup script or choose different state-dir.', undefined, 'STATE_EXISTS');
+  }
+
+  // Register before the state file exists, so a refused name leaves no half-made loop behind.
+  if (loop !== null) registerLoop(loop, { stateDir, task });
+
+  // Create initial state
+  const startedAt = new Date().toISOString();
+  const state = {
+    schemaVersion: STATE_SCHEMA_VERSION,
+    task,
+    iteration: 1,
+    maxIterations,
+    completionPromise: promiseList[0]?.text ?? null,
+    promises: promiseList,
+    startedAt: startedAt,
+    iterationStartedAt: startedAt,
+    iterations: [],
+    checks: checkList,
+    consensus: consensusResult.consensus,
+    budgets: budgetResult.budgets,
+    usage: emptyUsageTotals(),
+    requiresApproval: requireApproval === true,
+    completionApproval: null,
+    loop,
+    git: { enabled: false },
+    steps: {},
+    workers: [],
+    monitors: []
+  };
+
+  // Record the tree each iteration starts from so ralph-rollback.mjs can return to it
+  if (git) {
+    try {
+      state.git = { enabled: true, iterationBases: { 1: captureWorkingTree(stateDirAbs) } };
+    } catch (error) {
+      fail('Failed to enable git tracking', { message: error?.message || String(error) });
+    }
+  }
+
+  const schema = validateStateSchema(state);
+  if (!schema.valid) fail('Initial state does not match schema', { errors: schema.errors }, 'SCHEMA_INVALID');
+
+  try {
+    writeJsonAtomic(stateFileAbs, state);
+  } catch (error) {
+    fail('Failed to write state file', { message: error.message });
+  }
+
+  appendEvent(stateDirAbs, 'loop.initialized', null, {
+    task: state.task,
+    maxIterations: state.maxIterations,
+    completionPromise: state.completionPromise,
+    budgets: state.budgets,
+    requiresApproval: state.requiresApproval,
+    loop,
+    git: state.git.enabled
+  });
+
+  return {
+    stateDir,
+    stateDirAbs,
+    stateFileAbs,
+    stateFile: join(stateDir, 'ralph-state.json'),
+    state: state
+  };
+}
+
+// ---------------------------------------------------------------------------
+// readState
+// ---------------------------------------------------------------------------
+
+function readStepFiles(stateDirAbs) {
+  const stepsDir = join(stateDirAbs, 'steps');
+  if (!existsSync(stepsDir)) {
+    return [];
+  }
+
+  const files = readdirSync(stepsDir).filter(f => f.endsWith('.json'));
+  const steps = [];
+
+  for (const file of files) {
+    try {
+      const stepData = JSON.parse(readFileSync(join(stepsDir, file), 'utf-8'));
+      const stepId = stepData?.stepId || file.replace(/\.json$/, '');
+      steps.push({ ...stepData, stepId });
+    } catch (error) {
+      // Skip corrupted files
+    }
+  }
+
+  return steps;
+}
+
+function readExpiredClaims(stateDirAbs) {
+  const stepsDir = join(stateDirAbs, 'steps');
+  if (!existsSync(stepsDir)) {
+    return [];
+  }
+
+  const nowMs = Date.now();
+  const expired = [];
+  for (const file of readdirSync(stepsDir).filter(f => f.endsWith('.lock'))) {
+    const lockData = tryReadJsonFile(join(stepsDir, file));
+    if (lockData && isLeaseExpired(lockData, nowMs)) {
+      expired.push({
+        stepId: file.replace(/\.lock$/, ''),
+        workerId: lockData.workerId || null,
+        leaseExpiresAt: lockData.leaseExpiresAt
+      });
+    }
+  }
+
+  return expired;
+}
+
+function readLatestValidation(stateDirAbs, iteration) {
+  const validationDir = join(stateDirAbs, 'validation');
+  if (!existsSync(validationDir)) {
+    return null;
+  }
+
+  // Try to read validation for current iteration
+  const validationFile = join(validationDir, `iteration-${iteration}.json`);
+  if (existsSync(validationFile)) {
+    try {
+      return JSON.parse(readFileSync(validationFile, 'utf-8'));
+    } catch (error) {
+      // Return null if file is corrupted
+    }
+  }
+
+  // Try to find latest validation file
+  const files = readdirSync(validationDir).filter(f => f.startsWith('iteration-') && f.endsWith('.json'));
+  let best = null;
+  let bestIter = -1;
+  for (const file of files) {
+    const m = file.match(/^iteration-(\d+)\.json$/);
+    if (!m) continue;
+    const n = parseInt(m[1], 10);
+    if (!Number.isFinite(n)) continue;
+    if (n > bestIter) {
+      const candidate = tryReadJsonFile(join(validationDir, file));
+      if (candidate) {
+        bestIter = n;
+        best = candidate;
+      }
+    }
+  }
+
+  return best;
+}
+
+function aggregateState(stateDirAbs, state) {
+  const stepFiles = readStepFiles(stateDirAbs);
+  const lastValidation = readLatestValidation(stateDirAbs, state.iteration);
+
+  const expected = Object.keys(state.steps || {});
+  const index = new Map();
+
+  for (const stepId of expected) {
+    index.set(stepId, {
+      stepId,
+      status: state.steps?.[stepId]?.status || 'pending',
+      worker: state.steps?.[stepId]?.worker || null,
+      description: state.steps?.[stepId]?.description || null,
+      dependsOn: Array.isArray(state.steps?.[stepId]?.dependsOn) ? state.steps[stepId].dependsOn : [],
+      attempts: state.steps?.[stepId]?.attempts || 0,
+      claimedAt: state.steps?.[stepId]?.claimedAt || null,
+      source: 'state'
+    });
+  }
+
+  for (const sf of stepFiles) {
+    const stepId = sf.stepId;
+    const current = index.get(stepId) || { stepId, status: 'pending', worker: null, description: null, dependsOn: [], attempts: 0, claimedAt: null, source: 'file' };
+    index.set(stepId, {
+      ...current,
+      status: sf.status || current.status,
+      worker: sf.worker || current.worker,
+      attempts: Number.isInteger(sf.attempts) ? sf.attempts : current.attempts,
+      claimedAt: sf.claimedAt || current.claimedAt,
+      source: 'file'
+    });
+  }
+
+  const steps = [...index.values()];
+  const pendingStepIds = steps.filter(s => s.status === 'pending' || !s.status).map(s => s.stepId);
+  const inProgressStepIds = steps.filter(s => s.status === 'in-progress').map(s => s.stepId);
+  const completedStepIds = steps.filter(s => s.status === 'complete').map(s => s.stepId);
+  const failedStepIds = steps.filter(s => s.status === 'failed').map(s => s.stepId);
+  const exhaustedStepIds = steps.filter(s => s.status === 'exhausted').map(s => s.stepId);
+  const awaitingApprovalStepIds = steps.filter(s => s.status === 'awaiting-approval').map(s => s.stepId);
+  const readyStepIds = computeReadyStepIds(state.steps, stepId => index.get(stepId)?.status);
+  const graph = validateStepGraph(state.steps);
+
+  const nowMs = Date.now();
+  const budgets = computeBudgetStatus(state, nowMs);
+  const maxStepMs = budgets.limits.maxStepDurationSeconds !== null ? budgets.limits.maxStepDurationSeconds * 1000 : null;
+  const overdueSteps = maxStepMs === null ? [] : steps
+    .filter(s => s.status === 'in-progress' && Number.isFinite(Date.parse(s.claimedAt)) && nowMs - Date.parse(s.claimedAt) > maxStepMs)
+    .map(s => ({ stepId: s.stepId, worker: s.worker, runningSeconds: Math.round((nowMs - Date.parse(s.claimedAt)) / 1000) }));
+
+  // With a completion gate the monitors' verdict only counts once a reviewer approves it.
+  const completionApproval = state.completionApproval || null;
+  const verdict = lastValidation ? lastValidation.overallComplete === true : false;
+  const approved = completionApproval?.status === 'approved' && completionApproval.iteration === lastValidation?.iteration;
+  const isComplete = verdict && (state.requiresApproval !== true || approved);
+  let stopReason = null;
+  if (isComplete) stopReason = 'complete';
+  else if (verdict && completionApproval?.status === 'awaiting-approval') stopReason = 'awaiting-approval';
+  else if (budgets.exhausted.length > 0) stopReason = budgets.exhausted[0].stopReason;
+  else if (exhaustedStepIds.length > 0) stopReason = 'blocked';
+  else if (state.maxIterations !== null && state.iteration >= state.maxIterations) stopReason = 'max-iterations';
+  else if (awaitingApprovalStepIds.length > 0 && readyStepIds.length === 0 && inProgressStepIds.length === 0) stopReason = 'awaiting-approval';
+  const canContinue = stopReason === null;
+
+  return {
+    iteration: state.iteration,
+    task: state.task,
+    maxIterations: state.maxIterations,
+    completionPromise: state.completionPromise,
+    promises: resolvePromises(state),
+    startedAt: state.startedAt,
+    iterationStartedAt: state.iterationStartedAt || state.startedAt || null,
+    iterationHistory: Array.isArray(state.iterations) ? state.iterations : [],
+    totalSteps: steps.length,
+    completedSteps: completedStepIds.length,
+    completedStepIds,
+    pendingSteps: pendingStepIds,
+    readySteps: readyStepIds,
+    inProgressSteps: inProgressStepIds,
+    expiredClaims: readExpiredClaims(stateDirAbs),
+    failedSteps: failedStepIds,
+    exhaustedSteps: exhaustedStepIds,
+    awaitingApproval: awaitingApprovalStepIds,
+    dependencyErrors: graph.errors,
+    lastValidation: lastValidation,
+    isComplete: isComplete,
+    requiresApproval: state.requiresApproval === true,
+    completionApproval,
+    canContinue: canContinue,
+    stopReason,
+    budgets,
+    overdueSteps,
+    artifacts: listArtifacts(stepFiles),
+    workers: Array.isArray(state.workers) ? state.workers : [],
+    monitors: Array.isArray(state.monitors) ? state.monitors : []
+  };
+}
+
+/**
+ * Reads ralph-state.json and merges in step files, expired leases and the latest validation.
+ * Options: stateDir.
+ */
+export function readState(options = {}) {
+  const { stateDirAbs } = resolveStateDir(options.stateDir);
+  const { state } = readStateFile(stateDirAbs);
+  return aggregateState(stateDirAbs, state);
+}
+
+// Renders the object returned by readState() as the human-readable summary.
+export function formatSummary(aggregated) {
+  let output = `Ralph Loop State - Iteration ${aggregated.iteration}\n`;
+  output += `Task: ${aggregated.task}\n`;
+  output += `Started: ${aggregated.startedAt}\n`;
+  if (aggregated.iterationHistory.length > 0) {
+    output += `\nIteration History:\n`;
+    for (const record of aggregated.iterationHistory) {
+      const statusCounts = Object.entries(record.stepStatus || {}).map(([status, n]) => `${n} ${status}`).join(', ');
+      output += `  ${record.iteration}: ${record.startedAt} -> ${record.endedAt}${statusCounts ? ` (${statusCounts})` : ''}\n`;
+    }
+  }
+  output += `\nSteps: ${aggregated.completedSteps}/${aggregated.totalSteps} complete\n`;
+
+  if (aggregated.pendingSteps.length > 0) {
+    output += `Pending: ${aggregated.pendingSteps.join(', ')}\n`;
+  }
+  if (aggregated.readySteps.length > 0) {
+    output += `Ready: ${aggregated.readySteps.join(', ')}\n`;
+  }
+  if (aggregated.inProgressSteps.length > 0) {
+    output += `In Progress: ${aggregated.inProgressSteps.join(', ')}\n`;
+  }
+  if (aggregated.expiredClaims.length > 0) {
+    output += `Expired Claims: ${aggregated.expiredClaims.map(c => `${c.stepId} (${c.workerId})`).join(', ')}\n`;
+  }
+  if (aggregated.failedSteps.length > 0) {
+    output += `Failed: ${aggregated.failedSteps.join(', ')}\n`;
+  }
+  if (aggregated.exhaustedSteps.length > 0) {
+    output += `Exhausted: ${aggregated.exhaustedSteps.join(', ')}\n`;
+  }
+  if (aggregated.awaitingApproval.length > 0) {
+    output += `Awaiting Approval: ${aggregated.awaitingApproval.join(', ')}\n`;
+  }
+  if (aggregated.dependencyErrors.length > 0) {
+    output += `Dependency Errors: ${aggregated.dependencyErrors.join('; ')}\n`;
+  }
+  if (aggregated.overdueSteps.length > 0) {
+    output += `Over Step Time Budget: ${aggregated.overdueSteps.map(s => `${s.stepId} (${s.runningSeconds}s)`).join(', ')}\n`;
+  }
+
+  const { limits, usage, elapsedSeconds } = aggregated.budgets;
+  const budgetLines = [];
+  if (limits.maxDurationSeconds !== null) budgetLines.push(`  Elapsed: ${Math.round(elapsedSeconds)}s / ${limits.maxDurationSeconds}s`);
+  if (limits.maxStepDurationSeconds !== null) budgetLines.push(`  Per Step: ${limits.maxStepDurationSeconds}s`);
+  if (limits.maxTokens !== null || usage.totalTokens > 0) {
+    budgetLines.push(`  Tokens: ${usage.totalTokens}${limits.maxTokens !== null ? ` / ${limits.maxTokens}` : ''} (${usage.inputTokens} in, ${usage.outputTokens} out)`);
+  }
+  if (limits.maxCost !== null || usage.cost > 0) {
+    budgetLines.push(`  Cost: ${usage.cost.toFixed(4)}${limits.maxCost !== null ? ` / ${limits.maxCost}` : ''}`);
+  }
+  if (budgetLines.length > 0) output += `\nBudgets:\n${budgetLines.join('\n')}\n`;
+
+  if (aggregated.artifacts.length > 0) {
+    output += `\nArtifacts:\n`;
+    for (const artifact of aggregated.artifacts) {
+      output += `  ${artifact.stepId}/${artifact.name}: ${artifact.file} (${artifact.kind}, ${artifact.mimeType}, ${artifact.size} bytes)\n`;
+    }
+  }
+
+  if (aggregated.lastValidation) {
+    output += `\nLast Validation:\n`;
+    output += `  All Steps Complete: ${aggregated.lastValidation.allStepsComplete}\n`;
+    if (aggregated.lastValidation.checksPassing !== null && aggregated.lastValidation.checksPassing !== undefined) {
+      output += `  Checks Passing: ${aggregated.lastValidation.checksPassing}\n`;
+    }
+    for (const check of Array.isArray(aggregated.lastValidation.checks) ? aggregated.lastValidation.checks : []) {
+      const verdict = check.passed ? 'PASS' : check.severity === 'advisory' ? 'WARN' : 'FAIL';
+      output += `    ${verdict} ${check.name} (${check.durationMs}ms)\n`;
+    }
+    // Validation files written before named checks existed carry a single testsPassing flag.
+    if (aggregated.lastValidation.testsPassing !== null && aggregated.lastValidation.testsPassing !== undefined) {
+      output += `  Tests Passing: ${aggregated.lastValidation.testsPassing}\n`;
+    }
+    output += `  Promise Found: ${aggregated.lastValidation.promiseFound}\n`;
+    output += `  Overall Complete: ${aggregated.lastValidation.overallComplete}\n`;
+    const consensus = aggregated.lastValidation.consensus;
+    if (consensus) {
+      const needed = consensus.required !== null ? `, ${consensus.required} needed` : '';
+      const awaiting = consensus.awaitingVotes > 0 ? `, awaiting ${consensus.awaitingVotes}` : '';
+      output += `  Consensus (${consensus.policy}): ${consensus.votesComplete}/${consensus.totalVotes} voted complete${needed}${awaiting}\n`;
+      for (const vote of Array.isArray(aggregated.lastValidation.votes) ? aggregated.lastValidation.votes : []) {
+        output += `    ${vote.monitorId}: ${vote.overallComplete ? 'COMPLETE' : 'CONTINUE'}\n`;
+      }
+    }
+    for (const dissent of Array.isArray(aggregated.lastValidation.dissent) ? aggregated.lastValidation.dissent : []) {
+      output += `  Dissent from ${dissent.monitorId}: ${dissent.notes.length > 0 ? dissent.notes.join('; ') : '(no notes)'}\n`;
+    }
+    if (aggregated.lastValidation.notes.length > 0) {
+      output += `  Notes: ${aggregated.lastValidation.notes.join('; ')}\n`;
+    }
+  }
+
+  const approval = aggregated.completionApproval;
+  if (aggregated.requiresApproval) {
+    const reviewed = approval?.reviewer ? ` by ${approval.reviewer}${approval.comment ? `: ${approval.comment}` : ''}` : '';
+    output += `Completion Approval: ${approval ? `${approval.status} (iteration ${approval.iteration})${reviewed}` : 'not requested yet'}\n`;
+  }
+
+  output += `\nStatus: ${aggregated.isComplete ? 'COMPLETE' : aggregated.canContinue ? 'CONTINUE' : `STOPPED (${aggregated.stopReason})`}\n`;
+
+  if (aggregated.maxIterations) {
+    output += `Max Iterations: ${aggregated.maxIterations}\n`;
+  }
+
+  return output;
+}
+
+// ---------------------------------------------------------------------------
+// claimStep
+// ---------------------------------------------------------------------------
+
+function readStepStatus(stepsDirAbs, state, stepId) {
+  const stepData = tryReadJsonFile(join(stepsDirAbs, `${stepId}.json`), { maxBytes: 512 * 1024 });
+  return stepData?.status || state.steps?.[stepId]?.status || 'pending';
+}
+
+function assertDependenciesComplete(stepsDirAbs, state, stepId) {
+  const deps = getStepDependencies(state.steps?.[stepId]) || [];
+  const blockedBy = deps.filter(dep => readStepStatus(stepsDirAbs, state, dep) !== 'complete');
+  if (blockedBy.length > 0) {
+    fail(`Step ${stepId} has incomplete dependencies`, { stepId, blockedBy }, 'DEPENDENCIES_INCOMPLETE');
+  }
+}
+
+// Returns null instead of failing when another worker won the race (used by --next).
+function claimOne(config, stepId, { skipIfTaken = false, trackGit = false } = {}) {
+  const { stateDirAbs } = config;
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const stepFileAbs = join(stepsDirAbs, `${stepId}.json`);
+  const lockFileAbs = join(stepsDirAbs, `${stepId}.lock`);
+  mkdirSync(stepsDirAbs, { recursive: true });
+
+  // Check if step already exists and is claimed
+  let existing = null;
+  if (existsSync(stepFileAbs)) {
+    existing = tryReadJsonFile(stepFileAbs, { maxBytes: 512 * 1024 });
+    if (!existing) {
+      if (!config.forceOverwrite) {
+        fail('Step file is corrupted; rerun with --force-overwrite to reset', { stepId, stepFile: stepFileAbs }, 'STEP_FILE_CORRUPT');
+      }
+    } else if (['in-progress', 'awaiting-approval', 'complete', 'exhausted'].includes(existing?.status)) {
+      if (skipIfTaken) return null;
+      fail(`Step ${stepId} is already ${existing.status}`, { stepId, status: existing.status }, 'STEP_TAKEN');
+    }
+  }
+
+  // Create lock file atomically (exclusive create); the lease must be renewed with ralph-worker-heartbeat.mjs
+  const claimedAtMs = Date.now();
+  const lockData = {
+    workerId: config.workerId,
+    claimedAt: new Date(claimedAtMs).toISOString(),
+    pid: process.pid,
+    leaseSeconds: config.leaseSeconds,
+    leaseExpiresAt: computeLeaseExpiry(config.leaseSeconds, claimedAtMs)
+  };
+  try {
+    writeFileSync(lockFileAbs, JSON.stringify(lockData), { flag: 'wx' });
+  } catch (error) {
+    if (error?.code === 'EEXIST') {
+      if (skipIfTaken) return null;
+      fail(`Step ${stepId} is currently locked`, { stepId }, 'STEP_LOCKED');
+    }
+    fail('Failed to create lock file', { message: error?.message || String(error) });
+  }
+
+  // Create/update step file, carrying attempt history over from earlier failed claims
+  const stepData = {
+    stepId: stepId,
+    status: 'in-progress',
+    worker: config.workerId,
+    claimedAt: lockData.claimedAt,
+    leaseExpiresAt: lockData.leaseExpiresAt
+  };
+  if (Number.isInteger(existing?.attempts)) stepData.attempts = existing.attempts;
+  if (Array.isArray(existing?.failures)) stepData.failures = existing.failures;
+  if (existing?.lastFailure) stepData.lastFailure = existing.lastFailure;
+  // Reviewer feedback from a rejection is what the next worker needs to act on.
+  if (Array.isArray(existing?.reviews)) stepData.reviews = existing.reviews;
+  if (existing?.feedback) stepData.feedback = existing.feedback;
+  if (Array.isArray(existing?.artifacts)) stepData.artifacts = existing.artifacts;
+
+  // Snapshot the working tree so completion can record exactly what this step changed
+  if (trackGit) {
+    try {
+      const base = captureWorkingTree(stateDirAbs);
+      stepData.git = { baseTree: base.tree, baseHead: base.head };
+    } catch (error) {
+      stepData.git = { error: error?.message || String(error) };
+    }
+  }
+
+  try {
+    writeJsonAtomic(stepFileAbs, stepData);
+  } catch (error) {
+    // Clean up lock file on failure
+    tryUnlink(lockFileAbs);
+    fail('Failed to write step file', { message: error?.message || String(error) });
+  }
+
+  // Update state file
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    if (!latestState.steps[stepId] || typeof latestState.steps[stepId] !== 'object') latestState.steps[stepId] = {};
+    latestState.steps[stepId].status = 'in-progress';
+    latestState.steps[stepId].worker = config.workerId;
+    latestState.steps[stepId].claimedAt = stepData.claimedAt;
+    latestState.steps[stepId].leaseExpiresAt = stepData.leaseExpiresAt;
+
+    if (!latestState.workers.includes(config.workerId)) latestState.workers.push(config.workerId);
+
+    writeJsonAtomic(stateFileAbs, latestState);
+  });
+
+  appendEvent(stateDirAbs, 'step.claimed', { role: 'worker', id: config.workerId }, {
+    stepId,
+    claimedAt: stepData.claimedAt,
+    leaseExpiresAt: stepData.leaseExpiresAt,
+    attempts: stepData.attempts || 0
+  });
+
+  return {
+    stepId: stepId,
+    workerId: config.workerId,
+    stateDir: config.stateDir,
+    stateDirAbs,
+    lockFile: lockFileAbs,
+    stepFile: stepFileAbs,
+    stepData
+  };
+}
+
+// Steps that declare files are claimed under the loop registry lock, so two loops cannot both start
+// on the same files; returns { conflicts } instead while another loop's step is working on them.
+function claimWithFileGuard(config, state, stepId, claimOptions) {
+  const files = state.steps?.[stepId]?.files;
+  if (!Array.isArray(files) || files.length === 0) return { claimed: claimOne(config, stepId, claimOptions) };
+  return withRegistryLock(() => {
+    const conflicts = findFileConflicts(config.stateDirAbs, files);
+    if (conflicts.length > 0) return { conflicts };
+    return { claimed: claimOne(config, stepId, claimOptions) };
+  });
+}
+
+function failFilesConflict(stepIds, conflicts) {
+  const others = [...new Set(conflicts.map(c => `${c.loop}/${c.stepId}`))].join(', ');
+  fail(`Step ${stepIds.join(', ')} touches files another loop is working on (${others})`, { stepIds, conflicts }, 'FILES_CONFLICT');
+}
+
+function claimNextReadyStep(config, state) {
+  const stepsDirAbs = join(config.stateDirAbs, 'steps');
+  const readyStepIds = computeReadyStepIds(state.steps, stepId => readStepStatus(stepsDirAbs, state, stepId));
+  const conflicted = [];
+  const conflicts = [];
+
+  for (const stepId of readyStepIds) {
+    assertSafeStepId(stepId);
+    const result = claimWithFileGuard(config, state, stepId, { skipIfTaken: true, trackGit: state.git?.enabled === true });
+    if (result.claimed) return result.claimed;
+    if (result.conflicts) {
+      conflicted.push(stepId);
+      conflicts.push(...result.conflicts);
+    }
+  }
+
+  // Every ready step is held back by another loop; say so rather than "nothing to do".
+  if (conflicted.length > 0) failFilesConflict(conflicted, conflicts);
+  fail('No ready steps to claim', { readySteps: readyStepIds }, 'NO_READY_STEPS');
+}
+
+/**
+ * Claims a step for a worker: stepId, or next: true for the first ready step.
+ * Options: stepId | next, workerId (generated when omitted), leaseSeconds, forceOverwrite, stateDir.
+ */
+export function claimStep(options = {}) {
+  const { stepId = null, next = false, forceOverwrite = false, leaseSeconds = DEFAULT_LEASE_SECONDS } = options;
+  if (next && stepId) fail('Pass either a step ID or --next, not both', undefined, 'INVALID_ARGUMENT');
+  if (!stepId && !next) fail('Step ID is required (or use --next)', undefined, 'INVALID_ARGUMENT');
+  if (stepId) assertSafeStepId(stepId);
+  if (!Number.isInteger(leaseSeconds) || leaseSeconds <= 0) {
+    fail('lease-seconds must be a positive integer', { leaseSeconds }, 'INVALID_ARGUMENT');
+  }
+  const config = {
+    ...resolveStateDir(options.stateDir),
+    workerId: options.workerId || `worker-${randomUUID().substring(0, 8)}`,
+    forceOverwrite,
+    leaseSeconds
+  };
+
+  const { state } = readStateFile(config.stateDirAbs);
+  assertValidStepGraph(state.steps);
+  const { exhausted } = computeBudgetStatus(state);
+  if (exhausted.length > 0) {
+    fail(`Loop budget exhausted (${exhausted.map(b => b.stopReason).join(', ')}); no new steps can be claimed`, { exhausted }, 'BUDGET_EXHAUSTED');
+  }
+
+  if (next) return claimNextReadyStep(config, state);
+  assertDependenciesComplete(join(config.stateDirAbs, 'steps'), state, stepId);
+  const { claimed, conflicts } = claimWithFileGuard(config, state, stepId, { trackGit: state.git?.enabled === true });
+  if (conflicts) failFilesConflict([stepId], conflicts);
+  return claimed;
+}
+
+// ---------------------------------------------------------------------------
+// completeStep
+// ---------------------------------------------------------------------------
+
+/**
+ * Stores the step's diff as a patch and as a commit under refs/ralph/ (never on the user's branch).
+ * The diff covers the worktree between claim and completion, so it also holds whatever parallel
+ * workers changed in that window. A step that declares `files` records only changes to those files
+ * (scope "declared"; other changed files are listed as `unattributed`); otherwise scope is "worktree".
+ * claimedAt/completedAt bound the window so ralph-rollback.mjs can spot overlapping steps.
+ */
+function recordGitChanges(config, stepData, state) {
+  const iteration = state.iteration;
+  const topLevel = gitTopLevel();
+  if (!topLevel) throw new Error('Not inside a git work tree');
+
+  const end = captureWorkingTree(config.stateDirAbs);
+  const { baseTree, baseHead } = stepData.git;
+  const exclude = bookkeepingPaths(topLevel, config.stateDirAbs);
+  const changed = changedFiles(topLevel, baseTree, end.tree, null, { exclude });
+  const declared = state.steps?.[config.stepId]?.files;
+  const scoped = Array.isArray(declared) && declared.length > 0;
+  let files = changed;
+  let unattributed = [];
+  if (scoped) {
+    // Declared files are workspace (cwd) relative globs; git reports paths relative to the top level.
+    const patterns = declared.map(globToRegExp);
+    const inScope = file => {
+      const workspacePath = relative(cwd(), join(topLevel, file)).split(sep).join('/');
+      return patterns.some(pattern => pattern.test(workspacePath));
+    };
+    files = changed.filter(inScope);
+    unattributed = changed.filter(file => !inScope(file));
+  }
+  const record = {
+    baseTree,
+    baseHead,
+    endTree: end.tree,
+    iteration,
+    scope: scoped ? 'declared' : 'worktree',
+    claimedAt: stepData.claimedAt || null,
+    completedAt: stepData.completedAt || stepData.submittedAt || end.capturedAt,
+    files,
+    unattributed,
+    patch: null,
+    commit: null,
+    ref: null
+  };
+  if (files.length === 0) return record;
+
+  const patch = diffTrees(topLevel, baseTree, end.tree, scoped ? files : null, { exclude });
+  const patchRel = join(config.stateDir, 'git', `iteration-${iteration}`, `${config.stepId}.patch`);
+  writeFileAtomic(resolveInCwd(patchRel), patch);
+
+  const stepTree = applyPatchToTree(topLevel, baseTree, patch);
+  const baseCommit = commitTree(topLevel, baseTree, baseHead ? [baseHead] : [], `ralph: base for step ${config.stepId}`);
+  const message = `ralph: iteration ${iteration} step ${config.stepId}\n\n${config.result || 'Step completed'}\n\nRalph-Step: ${config.stepId}\nRalph-Iteration: ${iteration}`;
+  const commit = commitTree(topLevel, stepTree, [baseCommit], message);
+  const ref = stepRefName(iteration, config.stepId);
+  updateRef(topLevel, ref, commit);
+
+  return { ...record, patch: patchRel, commit, ref };
+}
+
+/**
+ * Marks a claimed step complete, releases its lock and records the worker's progress. Steps defined
+ * with requiresApproval become "awaiting-approval" instead, until approve() or reject() is called.
+ * Completing an already complete step is not an error; the result then carries a `note`.
+ * Options: stepId, workerId, result, outputFile, usage ({ inputTokens, outputTokens, model, cost,
+ * durationMs }), artifacts ([{ name, kind, path } | { name, kind: 'json', data }]), stateDir.
+ * Usage is added to the loop totals; durationMs defaults to the time since claim.
+ */
+export function completeStep(options = {}) {
+  const config = {
+    ...resolveStateDir(options.stateDir),
+    stepId: requireStepId(options.stepId),
+    workerId: options.workerId || null,
+    result: options.result || null,
+    outputFile: options.outputFile || null,
+    usage: normalizeUsage(options.usage),
+    artifacts: options.artifacts || []
+  };
+  const { stepId, stateDirAbs } = config;
+  const { state } = readStateFile(stateDirAbs);
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const stepFileAbs = join(stepsDirAbs, `${stepId}.json`);
+  const lockFileAbs = join(stepsDirAbs, `${stepId}.lock`);
+
+  // Read step file
+  if (!existsSync(stepFileAbs)) {
+    fail(`Step file not found: ${stepId}`, { stepId }, 'STEP_NOT_FOUND');
+  }
+
+  let stepData;
+  try {
+    stepData = readJsonFile(stepFileAbs);
+  } catch (error) {
+    fail('Failed to read step file', { message: error?.message || String(error) }, 'STEP_FILE_CORRUPT');
+  }
+
+  // Validate worker-id matches
+  if (config.workerId && stepData.worker !== config.workerId) {
+    fail(`Worker ID mismatch. Step claimed by ${stepData.worker}, provided ${config.workerId}`, { stepId, worker: stepData.worker }, 'WORKER_MISMATCH');
+  }
+
+  const workerId = config.workerId || stepData.worker;
+  if (!workerId) {
+    fail('Worker ID required (from claim or --worker-id)', { stepId }, 'INVALID_ARGUMENT');
+  }
+
+  if (stepData.status === 'complete') {
+    return {
+      stepId,
+      workerId,
+      status: 'complete',
+      completedAt: stepData.completedAt || null,
+      note: 'Step already complete'
+    };
+  }
+  if (stepData.status === 'awaiting-approval') {
+    return {
+      stepId,
+      workerId,
+      status: 'awaiting-approval',
+      submittedAt: stepData.submittedAt || null,
+      note: 'Step already awaiting approval'
+    };
+  }
+
+  // Check lock file exists
+  if (!existsSync(lockFileAbs)) {
+    fail('Lock file not found. Step may not have been properly claimed.', { stepId }, 'LOCK_MISSING');
+  }
+
+  const lockData = readJsonFile(lockFileAbs, { allowMissing: false, maxBytes: 16 * 1024 });
+  if (lockData?.workerId && lockData.workerId !== workerId) {
+    fail('Lock file workerId mismatch', { stepId, lockWorkerId: lockData.workerId, workerId }, 'WORKER_MISMATCH');
+  }
+
+  // Update step file; steps that require approval wait for ralph-approve.mjs instead of completing
+  const requiresApproval = state.steps?.[stepId]?.requiresApproval === true;
+  const completedMs = Date.now();
+  const durationMs = config.usage.durationMs ?? measureStepDurationMs(stepData, completedMs);
+  const usage = { ...config.usage, durationMs };
+  stepData.status = requiresApproval ? 'awaiting-approval' : 'complete';
+  stepData[requiresApproval ? 'submittedAt' : 'completedAt'] = new Date(completedMs).toISOString();
+  stepData.durationMs = durationMs;
+  stepData.usage = usage;
+  delete stepData.leaseExpiresAt;
+  if (config.result) {
+    stepData.result = config.result;
+  }
+  if (config.artifacts.length > 0) {
+    stepData.artifacts = storeArtifacts(stateDirAbs, stepId, config.artifacts, stepData.artifacts);
+  }
+
+  if (stepData.git?.baseTree) {
+    try {
+      stepData.git = recordGitChanges(config, stepData, state);
+    } catch (error) {
+      stepData.git = { ...stepData.git, error: error?.message || String(error) };
+    }
+  }
+
+  try {
+    writeJsonAtomic(stepFileAbs, stepData);
+  } catch (error) {
+    fail('Failed to write step file', { message: error?.message || String(error) });
+  }
+
+  // Write output file if provided
+  if (config.outputFile) {
+    try {
+      const outputPath = resolveInCwd(config.outputFile);
+      mkdirSync(dirname(outputPath), { recursive: true });
+      writeFileSync(outputPath, config.result || 'Step completed', 'utf-8');
+    } catch (error) {
+      fail('Failed to write output file', { message: error?.message || String(error) });
+    }
+  }
+
+  // Update progress file
+  const progressDirAbs = join(stateDirAbs, 'progress');
+  const progressFileAbs = join(progressDirAbs, `worker-${encodeIdForFilename(workerId)}.json`);
+
+  let progressData = {
+    workerId: workerId,
+    status: 'complete',
+    stepsCompleted: [],
+    lastUpdated: new Date().toISOString()
+  };
+
+  if (existsSync(progressFileAbs)) {
+    const existing = tryReadJsonFile(progressFileAbs, { maxBytes: 512 * 1024 });
+    if (existing && typeof existing === 'object') progressData = existing;
+  }
+
+  if (!progressData.stepsCompleted.includes(stepId)) {
+    progressData.stepsCompleted.push(stepId);
+  }
+  progressData.lastUpdated = new Date().toISOString();
+
+  try {
+    writeJsonAtomic(progressFileAbs, progressData);
+  } catch (error) {
+    fail('Failed to write progress file', { message: error?.message || String(error) });
+  }
+
+  // Remove lock file
+  const lockRemoved = tryUnlink(lockFileAbs);
+
+  // Update state file
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    if (!latestState.steps[stepId] || typeof latestState.steps[stepId] !== 'object') latestState.steps[stepId] = {};
+    latestState.steps[stepId].status = stepData.status;
+    if (requiresApproval) latestState.steps[stepId].submittedAt = stepData.submittedAt;
+    else latestState.steps[stepId].completedAt = stepData.completedAt;
+    latestState.steps[stepId].durationMs = durationMs;
+    latestState.steps[stepId].usage = usage;
+    delete latestState.steps[stepId].leaseExpiresAt;
+    addUsage(latestState, usage);
+
+    if (!latestState.workers.includes(workerId)) latestState.workers.push(workerId);
+
+    writeJsonAtomic(stateFileAbs, latestState);
+  });
+
+  appendEvent(stateDirAbs, requiresApproval ? 'step.awaiting-approval' : 'step.completed', { role: 'worker', id: workerId }, {
+    stepId,
+    completedAt: stepData.completedAt || null,
+    submittedAt: stepData.submittedAt || null,
+    durationMs,
+    usage,
+    artifacts: (stepData.artifacts || []).map(a => a.name),
+    files: stepData.git?.files || null
+  });
+
+  return {
+    stepId: stepId,
+    workerId: workerId,
+    status: stepData.status,
+    completedAt: stepData.completedAt || null,
+    submittedAt: stepData.submittedAt || null,
+    durationMs,
+    usage,
+    artifacts: stepData.artifacts || [],
+    lockRemoved,
+    progressFile: progressFileAbs,
+    git: stepData.git || null
+  };
+}
+
+// ---------------------------------------------------------------------------
+// failStep
+// ---------------------------------------------------------------------------
+
+/**
+ * Records a failed attempt on a claimed step and releases its lock; the step becomes
+ * "failed" (retriable) or "exhausted" once maxAttempts is reached.
+ * Options: stepId, reason, workerId, usage (as for completeStep), stateDir.
+ */
+export function failStep(options = {}) {
+  const stepId = requireStepId(options.stepId);
+  if (!options.reason) fail('Failure reason is required (--reason)', undefined, 'INVALID_ARGUMENT');
+  const reportedUsage = normalizeUsage(options.usage);
+  const { stateDirAbs } = resolveStateDir(options.stateDir);
+  const { state } = readStateFile(stateDirAbs);
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const stepFileAbs = join(stepsDirAbs, `${stepId}.json`);
+  const lockFileAbs = join(stepsDirAbs, `${stepId}.lock`);
+
+  if (!existsSync(stepFileAbs)) {
+    fail(`Step file not found: ${stepId}`, { stepId }, 'STEP_NOT_FOUND');
+  }
+
+  const stepData = readJsonFile(stepFileAbs);
+
+  if (options.workerId && stepData.worker !== options.workerId) {
+    fail(`Worker ID mismatch. Step claimed by ${stepData.worker}, provided ${options.workerId}`, { stepId, worker: stepData.worker }, 'WORKER_MISMATCH');
+  }
+
+  const workerId = options.workerId || stepData.worker;
+  if (!workerId) {
+    fail('Worker ID required (from claim or --worker-id)', { stepId }, 'INVALID_ARGUMENT');
+  }
+
+  if (stepData.status !== 'in-progress') {
+    fail(`Step ${stepId} is not in progress (status: ${stepData.status || 'pending'})`, { stepId, status: stepData.status || 'pending' }, 'STEP_NOT_IN_PROGRESS');
+  }
+
+  const lockData = tryReadJsonFile(lockFileAbs, { maxBytes: 16 * 1024 });
+  if (lockData?.workerId && lockData.workerId !== workerId) {
+    fail('Lock file workerId mismatch', { stepId, lockWorkerId: lockData.workerId, workerId }, 'WORKER_MISMATCH');
+  }
+
+  // maxAttempts lives on the step definition; the step file may carry a copy from an earlier failure.
+  const maxAttempts = state.steps?.[stepId]?.maxAttempts ?? stepData.maxAttempts ?? null;
+  const attempts = (Number.isInteger(stepData.attempts) ? stepData.attempts : 0) + 1;
+  const exhausted = Number.isInteger(maxAttempts) && attempts >= maxAttempts;
+  const failedMs = Date.now();
+  const usage = { ...reportedUsage, durationMs: reportedUsage.durationMs ?? measureStepDurationMs(stepData, failedMs) };
+  const failure = {
+    attempt: attempts,
+    workerId,
+    reason: String(options.reason).substring(0, MAX_REASON_LENGTH),
+    failedAt: new Date(failedMs).toISOString(),
+    usage
+  };
+
+  stepData.status = exhausted ? 'exhausted' : 'failed';
+  stepData.attempts = attempts;
+  stepData.maxAttempts = maxAttempts;
+  stepData.lastFailure = failure;
+  delete stepData.leaseExpiresAt;
+  stepData.failures = [...(Array.isArray(stepData.failures) ? stepData.failures : []), failure].slice(-MAX_FAILURE_HISTORY);
+
+  writeJsonAtomic(stepFileAbs, stepData);
+
+  // Record the failure in the worker's progress file
+  const progressFileAbs = join(stateDirAbs, 'progress', `worker-${encodeIdForFilename(workerId)}.json`);
+  let progressData = tryReadJsonFile(progressFileAbs, { maxBytes: 512 * 1024 });
+  if (!progressData || typeof progressData !== 'object') {
+    progressData = { workerId, status: 'failed', stepsCompleted: [] };
+  }
+  if (!Array.isArray(progressData.stepsFailed)) progressData.stepsFailed = [];
+  if (!progressData.stepsFailed.includes(stepId)) progressData.stepsFailed.push(stepId);
+  progressData.lastUpdated = failure.failedAt;
+  writeJsonAtomic(progressFileAbs, progressData);
+
+  const lockRemoved = tryUnlink(lockFileAbs);
+
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    if (!latestState.steps[stepId] || typeof latestState.steps[stepId] !== 'object') latestState.steps[stepId] = {};
+    latestState.steps[stepId].status = stepData.status;
+    latestState.steps[stepId].attempts = attempts;
+    latestState.steps[stepId].lastError = failure.reason;
+    latestState.steps[stepId].failedAt = failure.failedAt;
+    delete latestState.steps[stepId].leaseExpiresAt;
+    // Failed attempts still spent tokens and time, so they count against the budgets.
+    addUsage(latestState, usage);
+
+    if (!latestState.workers.includes(workerId)) latestState.workers.push(workerId);
+
+    writeJsonAtomic(stateFileAbs, latestState);
+  });
+
+  appendEvent(stateDirAbs, 'step.failed', { role: 'worker', id: workerId }, {
+    stepId,
+    status: stepData.status,
+    attempts,
+    maxAttempts,
+    reason: failure.reason,
+    usage
+  });
+
+  return {
+    stepId,
+    workerId,
+    status: stepData.status,
+    attempts,
+    maxAttempts,
+    reason: failure.reason,
+    failedAt: failure.failedAt,
+    usage,
+    lockRemoved
+  };
+}
+
+// ---------------------------------------------------------------------------
+// heartbeat
+// ---------------------------------------------------------------------------
+
+/**
+ * Extends the lease on a claimed step so ralph-reclaim.mjs leaves it alone.
+ * Options: stepId, workerId, leaseSeconds (defaults to the claim's lease), stateDir.
+ */
+export function heartbeat(options = {}) {
+  const stepId = requireStepId(options.stepId);
+  if (!options.workerId) fail('Worker ID is required (--worker-id)', undefined, 'INVALID_ARGUMENT');
+  const leaseSecondsOverride = options.leaseSeconds ? parseLeaseSeconds(options.leaseSeconds) : null;
+  const { stateDirAbs } = resolveStateDir(options.stateDir);
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const stepFileAbs = join(stepsDirAbs, `${stepId}.json`);
+  const lockFileAbs = join(stepsDirAbs, `${stepId}.lock`);
+
+  // Heartbeats and reclaims both run under the state lock, so a lease is never extended mid-reclaim.
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  return withLock(stateLockAbs, () => {
+    if (!existsSync(lockFileAbs)) {
+      fail('Lock file not found. Step may have been reclaimed or completed.', { stepId }, 'LOCK_MISSING');
+    }
+
+    const lockData = readJsonFile(lockFileAbs, { allowMissing: false, maxBytes: 16 * 1024 });
+    if (lockData?.workerId !== options.workerId) {
+      fail('Lock file workerId mismatch', { stepId, lockWorkerId: lockData?.workerId, workerId: options.workerId }, 'WORKER_MISMATCH');
+    }
+
+    const leaseSeconds = leaseSecondsOverride || lockData.leaseSeconds;
+    if (!leaseSeconds) {
+      fail('Claim has no lease; pass --lease-seconds to start one', { stepId }, 'INVALID_ARGUMENT');
+    }
+
+    const heartbeatAt = new Date();
+    lockData.leaseSeconds = leaseSeconds;
+    lockData.leaseExpiresAt = computeLeaseExpiry(leaseSeconds, heartbeatAt.getTime());
+    lockData.heartbeatAt = heartbeatAt.toISOString();
+    writeJsonAtomic(lockFileAbs, lockData);
+
+    const stepData = tryReadJsonFile(stepFileAbs, { maxBytes: 512 * 1024 });
+    if (stepData && stepData.worker === options.workerId) {
+      stepData.leaseExpiresAt = lockData.leaseExpiresAt;
+      stepData.heartbeatAt = lockData.heartbeatAt;
+      writeJsonAtomic(stepFileAbs, stepData);
+    }
+
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    if (latestState.steps?.[stepId] && typeof latestState.steps[stepId] === 'object') {
+      latestState.steps[stepId].leaseExpiresAt = lockData.leaseExpiresAt;
+      writeJsonAtomic(stateFileAbs, latestState);
+    }
+
+    return {
+      stepId,
+      workerId: options.workerId,
+      leaseSeconds,
+      leaseExpiresAt: lockData.leaseExpiresAt,
+      heartbeatAt: lockData.heartbeatAt
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// validate
+// ---------------------------------------------------------------------------
+
+function loadStepIndex(stateDirAbs, state, notes) {
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const expectedStepIds = Object.keys(state?.steps || {});
+  const index = new Map();
+
+  for (const stepId of expectedStepIds) {
+    index.set(stepId, {
+      stepId,
+      status: state.steps?.[stepId]?.status || 'pending',
+      worker: state.steps?.[stepId]?.worker || null,
+      result: null,
+      attempts: state.steps?.[stepId]?.attempts || 0,
+      maxAttempts: state.steps?.[stepId]?.maxAttempts ?? null,
+      lastError: state.steps?.[stepId]?.lastError || null,
+      artifacts: [],
+      source: 'state'
+    });
+  }
+
+  if (!existsSync(stepsDirAbs)) return { index, expectedStepIds };
+
+  const files = readdirSync(stepsDirAbs).filter(f => f.endsWith('.json'));
+  for (const file of files) {
+    const filePath = join(stepsDirAbs, file);
+    const stepData = tryReadJsonFile(filePath, { maxBytes: 512 * 1024 });
+    if (!stepData) {
+      notes.push(`Corrupted step file: ${file}`);
+      continue;
+    }
+    const stepId = stepData?.stepId || file.replace(/\.json$/, '');
+    const current = index.get(stepId) || { stepId, status: 'pending', worker: null, result: null, attempts: 0, maxAttempts: null, lastError: null, artifacts: [], source: 'file' };
+    index.set(stepId, {
+      ...current,
+      status: stepData?.status || current.status,
+      worker: stepData?.worker || current.worker,
+      result: typeof stepData?.result === 'string' ? stepData.result : current.result,
+      attempts: Number.isInteger(stepData?.attempts) ? stepData.attempts : current.attempts,
+      maxAttempts: stepData?.maxAttempts ?? current.maxAttempts,
+      lastError: stepData?.lastFailure?.reason || current.lastError,
+      artifacts: Array.isArray(stepData?.artifacts) ? stepData.artifacts : current.artifacts,
+      source: 'file'
+    });
+  }
+
+  return { index, expectedStepIds };
+}
+
+function collectChecks(config, state, notes) {
+  const { valid, errors, checks } = validateChecks(state.checks);
+  if (!valid) fail('Invalid checks in state file', { errors }, 'SCHEMA_INVALID');
+
+  // --run-tests / --test-command add an ad-hoc required "tests" check next to the configured ones.
+  if (config.runTests) {
+    const command = config.testCommand || detectTestCommand();
+    if (command) {
+      const name = checks.some(c => c.name === 'tests') ? 'tests (cli)' : 'tests';
+      checks.push({
+        name,
+        command,
+        expectedExitCode: 0,
+        stdoutMatch: null,
+        jsonAssertions: [],
+        timeoutSeconds: DEFAULT_CHECK_TIMEOUT_SECONDS,
+        severity: 'required'
+      });
+    } else {
+      notes.push('Test framework not detected or no tests found');
+    }
+  }
+  return checks;
+}
+
+// Loops created before promise lists have only completionPromise; it becomes a single unscoped promise.
+function resolvePromises(state) {
+  const { valid, errors, promises } = validatePromises(state.promises);
+  if (!valid) fail('Invalid promises in state file', { errors }, 'SCHEMA_INVALID');
+  if (promises.length > 0) return promises;
+  return state.completionPromise ? [{ text: state.completionPromise, files: null }] : [];
+}
+
+// Where an unscoped promise is looked for: step results, text artifacts, and notes under steps/ and progress/.
+function defaultPromiseSources(config, stepIndex) {
+  const { stateDir, stateDirAbs } = config;
+  const label = rel => join(stateDir, rel).split(sep).join('/');
+  const sources = [];
+
+  for (const step of stepIndex.values()) {
+    if (typeof step.result === 'string') sources.push({ source: `${label(join('steps', `${step.stepId}.json`))}#result`, read: () => step.result });
+  }
+  for (const artifact of listArtifacts(stepIndex.values())) {
+    if (isTextArtifact(artifact)) sources.push({ source: label(artifact.file), read: () => readTextForScan(join(stateDirAbs, artifact.file)) });
+  }
+  for (const dirName of ['steps', 'progress']) {
+    const dirAbs = join(stateDirAbs, dirName);
+    if (!existsSync(dirAbs)) continue;
+    for (const file of readdirSync(dirAbs).filter(f => f.endsWith('.md') || f.endsWith('.txt') || f.endsWith('.log'))) {
+      sources.push({ source: label(join(dirName, file)), read: () => readTextForScan(join(dirAbs, file)) });
+    }
+  }
+  return sources;
+}
+
+function checkPromises(config, promises, stepIndex) {
+  let defaultSources = null;
+  return promises.map(promise => {
+    if (!promise.files) {
+      defaultSources = defaultSources || defaultPromiseSources(config, stepIndex);
+      return evaluatePromise(promise, defaultSources);
+    }
+    const files = expandFileGlobs(promise.files, cwd());
+    return evaluatePromise(promise, files.map(file => ({ source: file, read: () => readTextForScan(resolve(cwd(), file)) })));
+  });
+}
+
+function readVotes(votesDirAbs) {
+  if (!existsSync(votesDirAbs)) return [];
+  const votes = [];
+  for (const file of readdirSync(votesDirAbs).filter(f => f.startsWith('monitor-') && f.endsWith('.json'))) {
+    const vote = tryReadJsonFile(join(votesDirAbs, file), { maxBytes: 1024 * 1024 });
+    if (!vote || typeof vote.monitorId !== 'string') continue;
+    votes.push({
+      monitorId: vote.monitorId,
+      overallComplete: vote.overallComplete === true,
+      allStepsComplete: vote.allStepsComplete ?? null,
+      checksPassing: vote.checksPassing ?? null,
+      promiseFound: vote.promiseFound ?? null,
+      notes: Array.isArray(vote.notes) ? vote.notes : [],
+      timestamp: vote.timestamp || null
+    });
+  }
+  return votes.sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+}
+
+/**
+ * Runs the monitor's completion checks for an iteration, records this monitor's vote and
+ * returns the iteration verdict recomputed from all votes under the consensus policy.
+ * Options: iteration (defaults to the current one), monitorId, runTests, testCommand, stateDir.
+ */
+export function validate(options = {}) {
+  const { iteration: requestedIteration = null, testCommand = null } = options;
+  if (requestedIteration !== null && !(Number.isInteger(requestedIteration) && requestedIteration > 0)) {
+    fail('iteration must be a positive integer', { iteration: requestedIteration }, 'INVALID_ARGUMENT');
+  }
+  const config = {
+    ...resolveStateDir(options.stateDir),
+    monitorId: options.monitorId || `monitor-${Date.now()}`,
+    runTests: options.runTests === true || Boolean(testCommand),
+    testCommand
+  };
+  const { stateDirAbs } = config;
+  const { state } = readStateFile(stateDirAbs);
+  const iteration = requestedIteration || state.iteration;
+  const notes = [];
+  const { index: stepIndex, expectedStepIds } = loadStepIndex(stateDirAbs, state, notes);
+
+  const stepEntries = [...stepIndex.values()];
+  const allStepsComplete = expectedStepIds.length > 0
+    ? expectedStepIds.every(id => (stepIndex.get(id)?.status === 'complete'))
+    : (stepEntries.length > 0 && stepEntries.every(step => step.status === 'complete'));
+
+  const checks = collectChecks(config, state, notes);
+
+  const checkResults = checks.map(runCheck);
+  const requiredResults = checkResults.filter(r => r.severity === 'required');
+  const checksPassing = checkResults.length > 0 ? requiredResults.every(r => r.passed) : null;
+  for (const result of checkResults.filter(r => !r.passed)) {
+    const label = result.severity === 'advisory' ? 'Advisory check' : 'Check';
+    notes.push(`${label} "${result.name}" failed: ${result.failures.join('; ').substring(0, 200)}`);
+  }
+
+  const promiseResults = checkPromises(config, resolvePromises(state), stepIndex);
+  const promiseFound = promiseResults.length > 0 && promiseResults.every(p => p.found);
+
+  const overallComplete = allStepsComplete &&
+    (checksPassing !== false) &&
+    (promiseResults.length > 0 ? promiseFound : true);
+
+  if (!allStepsComplete) {
+    const incomplete = stepEntries.filter(s => s.status !== 'complete');
+    notes.push(`${incomplete.length} step(s) not complete: ${incomplete.map(s => s.stepId).join(', ')}`);
+    for (const step of incomplete.filter(s => s.status === 'awaiting-approval')) notes.push(`Step ${step.stepId} awaiting approval`);
+  }
+
+  // Exhausted steps will never be retried, so the loop cannot finish without intervention.
+  const exhaustedStepIds = stepEntries.filter(s => s.status === 'exhausted').map(s => s.stepId);
+  const blockers = stepEntries
+    .filter(s => s.status === 'exhausted')
+    .map(s => `Step ${s.stepId} exhausted after ${s.attempts}/${s.maxAttempts ?? s.attempts} attempt(s)${s.lastError ? `: ${s.lastError.substring(0, 200)}` : ''}`);
+  notes.push(...blockers);
+
+  for (const result of promiseResults.filter(p => !p.found)) {
+    if (result.negated) {
+      const where = result.locations.filter(l => l.negated).map(l => `${l.source}:${l.line}`).join(', ');
+      notes.push(`Completion promise "${result.text}" is negated in ${where}`);
+    } else {
+      notes.push(`Completion promise "${result.text}" not found${result.files ? ` in ${result.files.join(', ')}` : ''}`);
+    }
+  }
+
+  const artifacts = listArtifacts(stepIndex.values()).map(artifact => {
+    const problem = verifyArtifact(stateDirAbs, artifact);
+    if (problem) notes.push(`Artifact ${artifact.stepId}/${artifact.name}: ${problem}`);
+    return { stepId: artifact.stepId, name: artifact.name, kind: artifact.kind, file: artifact.file, size: artifact.size, sha256: artifact.sha256, mimeType: artifact.mimeType, verified: !problem };
+  });
+
+  const validation = {
+    iteration: iteration,
+    monitorId: config.monitorId,
+    allStepsComplete: allStepsComplete,
+    checksPassing: checksPassing,
+    checks: checkResults,
+    promiseFound: promiseFound,
+    promises: promiseResults,
+    overallComplete: overallComplete,
+    exhaustedSteps: exhaustedStepIds,
+    blockers: blockers,
+    artifacts,
+    notes: notes,
+    timestamp: new Date().toISOString()
+  };
+
+  // Record this monitor's vote, then recompute the iteration verdict from all votes under the state lock
+  const validationDirAbs = join(stateDirAbs, 'validation');
+  const votesDirAbs = join(validationDirAbs, `iteration-${iteration}`);
+  writeJsonAtomic(join(votesDirAbs, `monitor-${encodeIdForFilename(config.monitorId)}.json`), validation);
+
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const { valid, errors, consensus: consensusConfig } = validateConsensusConfig(latestState.consensus);
+    if (!valid) fail('Invalid consensus configuration in state file', { errors }, 'SCHEMA_INVALID');
+
+    const votes = readVotes(votesDirAbs);
+    const consensus = computeConsensus(votes, consensusConfig);
+    const dissent = votes
+      .filter(v => v.overallComplete !== consensus.overallComplete)
+      .map(v => ({ monitorId: v.monitorId, overallComplete: v.overallComplete, notes: v.notes }));
+
+    // The iteration file keeps the latest vote's details so single-monitor readers see what they always did.
+    const aggregate = {
+      ...validation,
+      overallComplete: consensus.overallComplete,
+      vote: { monitorId: config.monitorId, overallComplete: validation.overallComplete },
+      consensus,
+      votes,
+      dissent
+    };
+    writeJsonAtomic(join(validationDirAbs, `iteration-${iteration}.json`), aggregate);
+
+    if (!latestState.monitors.includes(config.monitorId)) latestState.monitors.push(config.monitorId);
+    latestState.lastValidation = {
+      iteration,
+      overallComplete: consensus.overallComplete,
+      allStepsComplete,
+      checksPassing,
+      failedChecks: checkResults.filter(r => !r.passed).map(r => r.name),
+      promiseFound,
+      missingPromises: promiseResults.filter(p => !p.found).map(p => p.text),
+      exhaustedSteps: exhaustedStepIds,
+      consensus: { policy: consensus.policy, votesComplete: consensus.votesComplete, totalVotes: consensus.totalVotes },
+      timestamp: validation.timestamp
+    };
+
+    // A completion verdict on a gated loop waits for ralph-approve.mjs --completion.
+    const approval = latestState.completionApproval;
+    const alreadyRequested = approval?.iteration === iteration && ['awaiting-approval', 'approved'].includes(approval.status);
+    const approvalRequested = latestState.requiresApproval === true && consensus.overallComplete && !alreadyRequested;
+    if (approvalRequested) {
+      latestState.completionApproval = { status: 'awaiting-approval', iteration, requestedAt: validation.timestamp };
+    }
+    aggregate.completionApproval = latestState.completionApproval ?? null;
+    writeJsonAtomic(stateFileAbs, latestState);
+
+    appendEvent(stateDirAbs, 'validation.recorded', { role: 'monitor', id: config.monitorId }, {
+      iteration,
+      vote: validation.overallComplete,
+      overallComplete: consensus.overallComplete,
+      allStepsComplete,
+      checksPassing,
+      failedChecks: latestState.lastValidation.failedChecks,
+      promiseFound,
+      consensus: latestState.lastValidation.consensus
+    });
+    if (approvalRequested) appendEvent(stateDirAbs, 'completion.awaiting-approval', { role: 'monitor', id: config.monitorId }, { iteration });
+
+    return aggregate;
+  });
+}
+
+// ---------------------------------------------------------------------------
+// approve / reject
+// ---------------------------------------------------------------------------
+
+const MAX_REVIEW_HISTORY = 20;
+
+function buildReview(decision, options) {
+  if (typeof options.reviewer !== 'string' || !options.reviewer.trim()) {
+    fail('Reviewer is required (--reviewer)', undefined, 'INVALID_ARGUMENT');
+  }
+  if (decision === 'rejected' && (typeof options.comment !== 'string' || !options.comment.trim())) {
+    fail('A rejection needs a comment explaining what to change (--comment)', undefined, 'INVALID_ARGUMENT');
+  }
+  if (!options.completion) requireStepId(options.stepId);
+  return {
+    decision,
+    reviewer: options.reviewer,
+    comment: options.comment ? String(options.comment).substring(0, MAX_REASON_LENGTH) : null,
+    reviewedAt: new Date().toISOString()
+  };
+}
+
+function reviewStep(stateDirAbs, stepId, review) {
+  const stepFileAbs = join(stateDirAbs, 'steps', `${stepId}.json`);
+  if (!existsSync(stepFileAbs)) fail(`Step file not found: ${stepId}`, { stepId }, 'STEP_NOT_FOUND');
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+
+  return withLock(stateLockAbs, () => {
+    const stepData = readJsonFile(stepFileAbs);
+    if (stepData.status !== 'awaiting-approval') {
+      fail(`Step ${stepId} is not awaiting approval (status: ${stepData.status || 'pending'})`, { stepId, status: stepData.status || 'pending' }, 'NOT_AWAITING_APPROVAL');
+    }
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    if (!latestState.steps[stepId] || typeof latestState.steps[stepId] !== 'object') latestState.steps[stepId] = {};
+    const stateStep = latestState.steps[stepId];
+
+    const record = { ...review, workerId: stepData.worker || null, submittedAt: stepData.submittedAt || null };
+    stepData.reviews = [...(Array.isArray(stepData.reviews) ? stepData.reviews : []), record].slice(-MAX_REVIEW_HISTORY);
+    stepData.lastReview = record;
+    stateStep.lastReview = record;
+
+    if (review.decision === 'approved') {
+      stepData.status = 'complete';
+      stepData.completedAt = review.reviewedAt;
+      delete stepData.feedback;
+      stateStep.status = 'complete';
+      stateStep.completedAt = review.reviewedAt;
+      delete stateStep.feedback;
+    } else {
+      // Back to pending with the feedback attached; a rejection is not a failed attempt.
+      stepData.status = 'pending';
+      stepData.feedback = review.comment;
+      delete stepData.worker;
+      delete stepData.submittedAt;
+      stateStep.status = 'pending';
+      stateStep.feedback = review.comment;
+      delete stateStep.worker;
+      delete stateStep.submittedAt;
+    }
+    delete stateStep.leaseExpiresAt;
+
+    writeJsonAtomic(stepFileAbs, stepData);
+    writeJsonAtomic(stateFileAbs, latestState);
+    appendEvent(stateDirAbs, `step.${review.decision}`, { role: 'reviewer', id: review.reviewer }, { stepId, comment: review.comment });
+
+    return { stepId, status: stepData.status, review: record };
+  });
+}
+
+function reviewCompletion(stateDirAbs, review) {
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const pending = latestState.completionApproval;
+    if (!latestState.requiresApproval || pending?.status !== 'awaiting-approval') {
+      fail('Loop completion is not awaiting approval', { status: pending?.status || null }, 'NOT_AWAITING_APPROVAL');
+    }
+    latestState.completionApproval = {
+      status: review.decision,
+      iteration: pending.iteration,
+      requestedAt: pending.requestedAt,
+      reviewer: review.reviewer,
+      comment: review.comment,
+      reviewedAt: review.reviewedAt
+    };
+    writeJsonAtomic(stateFileAbs, latestState);
+    appendEvent(stateDirAbs, `completion.${review.decision}`, { role: 'reviewer', id: review.reviewer }, {
+      iteration: pending.iteration,
+      comment: review.comment
+    });
+    return { completion: true, status: review.decision, ...latestState.completionApproval };
+  });
+}
+
+/**
+ * Approves a step in "awaiting-approval" (it becomes complete) or, with `completion: true`, the loop's
+ * completion verdict. Options: stepId or completion, reviewer, comment, stateDir.
+ */
+export function approve(options = {}) {
+  const review = buildReview('approved', options);
+  const { stateDirAbs } = resolveStateDir(options.stateDir);
+  return options.completion ? reviewCompletion(stateDirAbs, review) : reviewStep(stateDirAbs, options.stepId, review);
+}
+
+/**
+ * Rejects a step in "awaiting-approval", sending it back to pending with the comment as feedback, or,
+ * with `completion: true`, the loop's completion verdict so the loop keeps going.
+ * Options: stepId or completion, reviewer, comment (required), stateDir.
+ */
+export function reject(options = {}) {
+  const review = buildReview('rejected', options);
+  const { stateDirAbs } = resolveStateDir(options.stateDir);
+  return options.completion ? reviewCompletion(stateDirAbs, review) : reviewStep(stateDirAbs, options.stepId, review);
+}
+
+// ---------------------------------------------------------------------------
+// releaseClaim
+// ---------------------------------------------------------------------------
+
+/**
+ * Hands a claimed step back to pending without counting an attempt, for a worker that was
+ * stopped rather than failed. Options: stepId, workerId, reason, stateDir.
+ */
+export function releaseClaim(options = {}) {
+  const stepId = requireStepId(options.stepId);
+  if (!options.workerId) fail('Worker ID is required (--worker-id)', undefined, 'INVALID_ARGUMENT');
+  const reason = options.reason || 'released';
+  const { stateDirAbs } = resolveStateDir(options.stateDir);
+
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const released = reclaimStepClaims(stateDirAbs, latestState, {
+      shouldReclaim: (lockData, lockStepId) => lockStepId === stepId && lockData.workerId === options.workerId,
+      reason
+    });
+    if (released.length > 0) {
+      writeJsonAtomic(stateFileAbs, latestState);
+      appendEvent(stateDirAbs, 'steps.reclaimed', { role: 'worker', id: options.workerId }, { reclaimed: released });
+    }
+    return { stepId, workerId: options.workerId, released: released.length > 0, reason };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// advanceIteration
+// ---------------------------------------------------------------------------
+
+const SNAPSHOT_DIRS = {
+  steps: f => f.endsWith('.json') || f.endsWith('.md') || f.endsWith('.txt') || f.endsWith('.log'),
+  progress: f => f.endsWith('.json')
+};
+
+function snapshotIteration(stateDirAbs, iteration) {
+  const snapshotDirAbs = join(stateDirAbs, 'iterations', String(iteration));
+  const counts = {};
+
+  for (const [dirName, filterFn] of Object.entries(SNAPSHOT_DIRS)) {
+    const srcDir = join(stateDirAbs, dirName);
+    const destDir = join(snapshotDirAbs, dirName);
+    mkdirSync(destDir, { recursive: true });
+    counts[dirName] = 0;
+    if (!existsSync(srcDir)) continue;
+    for (const file of readdirSync(srcDir).filter(filterFn)) {
+      try {
+        copyFileSync(join(srcDir, file), join(destDir, file));
+        counts[dirName]++;
+      } catch (error) {
+        fail('Failed to snapshot file', { file: join(dirName, file), message: error?.message || String(error) });
+      }
+    }
+  }
+
+  return { snapshotDirAbs, counts };
+}
+
+function countStepStatuses(stateDirAbs, state) {
+  const counts = {};
+  for (const stepId of Object.keys(state.steps || {})) {
+    const stepData = tryReadJsonFile(join(stateDirAbs, 'steps', `${stepId}.json`), { maxBytes: 512 * 1024 });
+    const status = stepData?.status || state.steps[stepId]?.status || 'pending';
+    counts[status] = (counts[status] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Closes the current iteration (snapshot, history record, abandoned claims back to pending)
+ * and starts the next one. Options: resetClaims, stateDir.
+ */
+export function advanceIteration(options = {}) {
+  const resetClaims = options.resetClaims === true;
+  const { stateDir, stateDirAbs } = resolveStateDir(options.stateDir);
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const iteration = Number.isInteger(latestState.iteration) ? latestState.iteration : 1;
+
+    if (latestState.maxIterations !== null && latestState.maxIterations !== undefined && iteration >= latestState.maxIterations) {
+      fail('Maximum iterations reached', { iteration, maxIterations: latestState.maxIterations }, 'MAX_ITERATIONS_REACHED');
+    }
+
+    const { snapshotDirAbs, counts } = snapshotIteration(stateDirAbs, iteration);
+
+    // A claim belongs to a gone worker if its lease expired or its lock file is missing;
+    // --reset-claims treats every open claim as abandoned.
+    const nowMs = Date.now();
+    const reclaimed = reclaimStepClaims(stateDirAbs, latestState, {
+      shouldReclaim: lockData => resetClaims || isLeaseExpired(lockData, nowMs),
+      reason: resetClaims ? 'iteration-reset' : 'lease-expired',
+      nowMs
+    });
+    for (const [stepId, step] of Object.entries(latestState.steps || {})) {
+      if (step?.status !== 'in-progress') continue;
+      if (existsSync(join(stateDirAbs, 'steps', `${stepId}.lock`))) continue;
+      const stepFileAbs = join(stateDirAbs, 'steps', `${stepId}.json`);
+      const stepData = tryReadJsonFile(stepFileAbs, { maxBytes: 512 * 1024 });
+      if (stepData && stepData.status !== 'in-progress') continue;
+      if (stepData) {
+        stepData.status = 'pending';
+        stepData.worker = null;
+        writeJsonAtomic(stepFileAbs, stepData);
+      }
+      reclaimed.push({ stepId, workerId: step.worker || null, claimedAt: step.claimedAt || null, leaseExpiresAt: null, reason: 'lock-missing' });
+      step.status = 'pending';
+      step.reclaimedFrom = step.worker || null;
+      delete step.worker;
+      delete step.claimedAt;
+      delete step.leaseExpiresAt;
+    }
+
+    const endedAt = new Date(nowMs).toISOString();
+    const record = {
+      iteration,
+      startedAt: latestState.iterationStartedAt || latestState.startedAt || null,
+      endedAt,
+      stepStatus: countStepStatuses(stateDirAbs, latestState),
+      snapshot: { dir: join(stateDir, 'iterations', String(iteration)), files: counts },
+      reclaimed: reclaimed.map(r => ({ stepId: r.stepId, workerId: r.workerId, reason: r.reason })),
+      lastValidation: latestState.lastValidation?.iteration === iteration ? latestState.lastValidation : null
+    };
+    writeJsonAtomic(join(snapshotDirAbs, 'iteration.json'), record);
+
+    latestState.iterations = latestState.iterations.filter(r => r?.iteration !== iteration);
+    latestState.iterations.push({ iteration, startedAt: record.startedAt, endedAt, stepStatus: record.stepStatus });
+    latestState.iteration = iteration + 1;
+    latestState.iterationStartedAt = endedAt;
+
+    let gitError = null;
+    if (latestState.git?.enabled) {
+      try {
+        if (!latestState.git.iterationBases || typeof latestState.git.iterationBases !== 'object') latestState.git.iterationBases = {};
+        latestState.git.iterationBases[latestState.iteration] = captureWorkingTree(stateDirAbs);
+      } catch (error) {
+        gitError = error?.message || String(error);
+      }
+    }
+
+    writeJsonAtomic(stateFileAbs, latestState);
+
+    appendEvent(stateDirAbs, 'iteration.advanced', null, {
+      previousIteration: iteration,
+      iteration: latestState.iteration,
+      stepStatus: record.stepStatus,
+      reclaimed: record.reclaimed
+    });
+
+    return {
+      stateDir,
+      previousIteration: iteration,
+      iteration: latestState.iteration,
+      maxIterations: latestState.maxIterations,
+      snapshotDir: record.snapshot.dir,
+      reclaimed: record.reclaimed,
+      gitError
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// loops
+// ---------------------------------------------------------------------------
+
+function describeLoop(name, entry) {
+  const summary = { name, stateDir: entry.stateDir, task: entry.task || '', createdAt: entry.createdAt || null };
+  let aggregate;
+  try {
+    const stateDirAbs = resolveStateDirAbs(entry.stateDir);
+    if (!existsSync(join(stateDirAbs, 'ralph-state.json'))) return { ...summary, status: 'missing' };
+    const { state } = readStateFile(stateDirAbs);
+    aggregate = aggregateState(stateDirAbs, state);
+  } catch (error) {
+    return { ...summary, status: 'unreadable', error: error?.message || String(error), code: error?.code || null };
+  }
+  const status = aggregate.isComplete ? 'complete' : aggregate.canContinue ? 'running' : 'stopped';
+  return {
+    ...summary,
+    task: aggregate.task,
+    status,
+    stopReason: aggregate.stopReason,
+    iteration: aggregate.iteration,
+    maxIterations: aggregate.maxIterations,
+    progress: {
+      completed: aggregate.completedSteps,
+      total: aggregate.totalSteps,
+      inProgress: aggregate.inProgressSteps.length,
+      awaitingApproval: aggregate.awaitingApproval.length
+    }
+  };
+}
+
+// Pairs of active steps in different loops whose declared files overlap.
+function findCrossLoopConflicts() {
+  const active = listActiveFileSteps();
+  const conflicts = [];
+  for (let i = 0; i < active.length; i++) {
+    for (let j = i + 1; j < active.length; j++) {
+      if (active[i].loop === active[j].loop) continue;
+      const overlap = filesOverlap(active[i].files, active[j].files);
+      if (overlap.length === 0) continue;
+      conflicts.push({
+        steps: [active[i], active[j]].map(({ loop, stepId, status, worker }) => ({ loop, stepId, status, worker })),
+        overlap
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Lists the loops in the workspace registry with their status, iteration and step progress, plus
+ * steps of different loops that are working on the same files.
+ */
+export function listLoops() {
+  const loops = Object.entries(readRegistry().loops)
+    .map(([name, entry]) => describeLoop(name, entry))
+    .sort((a, b) => a.name.localeCompare(b.name));
+  return { loops, conflicts: findCrossLoopConflicts() };
+}
+
+/**
+ * Removes a loop from the registry without touching its state dir. Options: loop.
+ */
+export function unregisterLoop(options = {}) {
+  const { loop } = options;
+  const removed = unregisterLoops({ name: assertSafeLoopName(loop) });
+  if (removed.length === 0) fail(`Loop not registered: ${loop}`, { loop }, 'LOOP_NOT_FOUND');
+  return { unregistered: loop };
+}
+
+// ---------------------------------------------------------------------------
+// cleanup
+// ---------------------------------------------------------------------------
+
+function cleanupLocks(stateDirAbs) {
+  const stepsDir = join(stateDirAbs, 'steps');
+  if (!existsSync(stepsDir)) {
+    return 0;
+  }
+
+  const lockFiles = readdirSync(stepsDir).filter(f => f.endsWith('.lock'));
+  let removed = 0;
+
+  for (const file of lockFiles) {
+    try {
+      unlinkSync(join(stepsDir, file));
+      removed++;
+    } catch (error) {
+      // Continue on errors
+    }
+  }
+
+  // Also remove the global state lock if present.
+  try {
+    unlinkSync(join(stateDirAbs, 'ralph-state.lock'));
+    removed++;
+  } catch {
+    // ignore
+  }
+
+  return removed;
+}
+
+function removeStateDir(stateDirAbs) {
+  if (!existsSync(stateDirAbs)) {
+    return { removed: false, error: 'State directory does not exist' };
+  }
+
+  const cwdAbs = resolve(cwd());
+  if (resolve(stateDirAbs) === cwdAbs) {
+    return { removed: false, error: 'Refusing to remove working directory' };
+  }
+
+  try {
+    rmSync(stateDirAbs, { recursive: true, force: true });
+    return { removed: true };
+  } catch (error) {
+    return { removed: false, error: error.message };
+  }
+}
+
+/**
+ * Removes stale locks, optionally archives the loop's files, prunes old archives and optionally
+ * deletes the state directory (removeAll requires force).
+ * Options: archive, keepArchives, maxArchiveAgeDays, removeAll, force, stateDir.
+ */
+export function cleanup(options = {}) {
+  const { archive = false, removeAll = false, force = false, keepArchives = null, maxArchiveAgeDays = null } = options;
+  if (removeAll && !force) {
+    fail('Refusing --remove-all without --force', undefined, 'INVALID_ARGUMENT');
+  }
+  const prune = keepArchives !== null || maxArchiveAgeDays !== null;
+  const { stateDir, stateDirAbs } = resolveStateDir(options.stateDir);
+  const result = {
+    locksRemoved: 0,
+    archived: null,
+    pruned: null,
+    removed: null,
+    unregistered: null
+  };
+
+  // Always remove locks
+  result.locksRemoved = cleanupLocks(stateDirAbs);
+
+  // Archive if requested
+  if (archive) {
+    result.archived = createArchive(stateDirAbs, { reason: 'cleanup' });
+  }
+
+  // Retention runs after archiving so the archive just written counts towards keepArchives
+  if (prune && !removeAll) {
+    result.pruned = pruneArchives({ keep: keepArchives, maxAgeDays: maxArchiveAgeDays, stateDir: options.stateDir }).removed.map(r => r.name);
+  }
+
+  // Log before --remove-all deletes the log itself, so watchers see why the loop went away
+  if (existsSync(stateDirAbs)) {
+    appendEvent(stateDirAbs, 'cleanup.finished', null, {
+      locksRemoved: result.locksRemoved,
+      archived: result.archived,
+      pruned: result.pruned,
+      removeAll
+    });
+  }
+
+  // Remove all if requested; a deleted loop no longer belongs in the registry
+  if (removeAll) {
+    result.removed = removeStateDir(stateDirAbs);
+    if (result.removed.removed) result.unregistered = unregisterLoops({ stateDir });
+  }
+
+  return result;
+}
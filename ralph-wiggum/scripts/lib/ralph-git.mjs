@@ -0,0 +1,136 @@
+import { spawnSync } from 'child_process';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, relative, sep } from 'path';
+import { cwd } from 'process';
+import { encodeIdForFilename } from './ralph-common.mjs';
+import { loopBookkeepingDirsAbs } from './ralph-loops.mjs';
+
+// Git helpers use plumbing only (temporary index, write-tree, commit-tree, update-ref) so the
+// user's branch, index and stash are never touched. Errors are thrown; callers decide whether to fail.
+
+export function runGit(args, { cwd: dir = cwd(), env = {}, input } = {}) {
+  const proc = spawnSync('git', args, {
+    cwd: dir,
+    env: { ...process.env, ...env },
+    encoding: 'utf-8',
+    input,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  if (proc.error) throw new Error(`git ${args[0]} failed: ${proc.error.message}`);
+  return { status: proc.status, stdout: proc.stdout || '', stderr: proc.stderr || '' };
+}
+
+function gitOrThrow(args, options) {
+  const res = runGit(args, options);
+  if (res.status !== 0) throw new Error(`git ${args[0]} failed: ${res.stderr.trim() || `exit ${res.status}`}`);
+  return res.stdout;
+}
+
+export function gitTopLevel() {
+  const res = runGit(['rev-parse', '--show-toplevel']);
+  return res.status === 0 ? res.stdout.trim() : null;
+}
+
+export function gitHead(topLevel) {
+  const res = runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], { cwd: topLevel });
+  return res.status === 0 ? res.stdout.trim() : null;
+}
+
+/**
+ * Top-level relative paths of the loop bookkeeping inside the work tree: this loop's state dir,
+ * .ralph-loops/ and every registered loop's state dir. They never belong to a step.
+ */
+export function bookkeepingPaths(topLevel, stateDirAbs) {
+  const paths = new Set();
+  for (const dirAbs of [stateDirAbs, ...loopBookkeepingDirsAbs()]) {
+    const rel = relative(topLevel, dirAbs);
+    if (rel && !rel.startsWith('..')) paths.add(rel.split(sep).join('/'));
+  }
+  return [...paths];
+}
+
+/**
+ * Writes the current working tree (tracked and untracked, honouring .gitignore) as a tree object,
+ * leaving loop bookkeeping (see bookkeepingPaths) out so it never shows up in step diffs.
+ */
+export function snapshotWorkingTree(topLevel, stateDirAbs) {
+  const indexDir = mkdtempSync(join(tmpdir(), 'ralph-git-'));
+  const env = { GIT_INDEX_FILE: join(indexDir, 'index') };
+  try {
+    const pathspec = ['.', ...bookkeepingPaths(topLevel, stateDirAbs).map(path => `:(top,exclude)${path}`)];
+    gitOrThrow(['add', '-A', '--', ...pathspec], { cwd: topLevel, env });
+    return gitOrThrow(['write-tree'], { cwd: topLevel, env }).trim();
+  } finally {
+    rmSync(indexDir, { recursive: true, force: true });
+  }
+}
+
+// `paths` (top-level relative, literal) limits a diff to those files; null means the whole tree.
+// `exclude` (top-level relative dirs) is left out, so trees recorded before a dir was excluded
+// from snapshots still never diff it.
+function pathArgs(paths, exclude) {
+  if (paths) return ['--', ...paths.map(path => `:(top,literal)${path}`)];
+  return exclude.length > 0 ? ['--', '.', ...exclude.map(path => `:(top,exclude)${path}`)] : [];
+}
+
+export function diffTrees(topLevel, fromTree, toTree, paths = null, { exclude = [] } = {}) {
+  return gitOrThrow(['diff', '--binary', '--no-color', '--full-index', fromTree, toTree, ...pathArgs(paths, exclude)], { cwd: topLevel });
+}
+
+export function changedFiles(topLevel, fromTree, toTree, paths = null, { exclude = [] } = {}) {
+  return gitOrThrow(['diff', '--name-only', fromTree, toTree, ...pathArgs(paths, exclude)], { cwd: topLevel }).split('\n').filter(Boolean);
+}
+
+// The tree `baseTree` becomes once `patch` is applied, built in a temporary index.
+export function applyPatchToTree(topLevel, baseTree, patch) {
+  const indexDir = mkdtempSync(join(tmpdir(), 'ralph-git-'));
+  const env = { GIT_INDEX_FILE: join(indexDir, 'index') };
+  try {
+    gitOrThrow(['read-tree', baseTree], { cwd: topLevel, env });
+    gitOrThrow(['apply', '--cached', '--binary', '--whitespace=nowarn', '-'], { cwd: topLevel, env, input: patch });
+    return gitOrThrow(['write-tree'], { cwd: topLevel, env }).trim();
+  } finally {
+    rmSync(indexDir, { recursive: true, force: true });
+  }
+}
+
+export function commitTree(topLevel, tree, parents, message) {
+  const args = ['commit-tree', tree, ...parents.flatMap(p => ['-p', p]), '-m', message];
+  const env = {
+    GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || 'ralph',
+    GIT_AUTHOR_EMAIL: process.env.GIT_AUTHOR_EMAIL || 'ralph@localhost',
+    GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || 'ralph',
+    GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || 'ralph@localhost'
+  };
+  return gitOrThrow(args, { cwd: topLevel, env }).trim();
+}
+
+export function updateRef(topLevel, ref, commit) {
+  gitOrThrow(['update-ref', ref, commit], { cwd: topLevel });
+}
+
+// Step IDs may contain characters git forbids in ref names, so they are base64url-encoded.
+export function stepRefName(iteration, stepId) {
+  return `refs/ralph/iteration-${iteration}/${encodeIdForFilename(stepId)}`;
+}
+
+export function applyPatch(topLevel, patchPath, { reverse = false, check = false, exclude = [] } = {}) {
+  const args = ['apply', '--binary', '--whitespace=nowarn'];
+  if (reverse) args.push('-R');
+  if (check) args.push('--check');
+  for (const path of exclude) args.push(`--exclude=${path}/*`);
+  args.push(patchPath);
+  const res = runGit(args, { cwd: topLevel });
+  return { ok: res.status === 0, message: res.stderr.trim() };
+}
+
+export function captureWorkingTree(stateDirAbs) {
+  const topLevel = gitTopLevel();
+  if (!topLevel) throw new Error('Not inside a git work tree');
+  return {
+    tree: snapshotWorkingTree(topLevel, stateDirAbs),
+    head: gitHead(topLevel),
+    capturedAt: new Date().toISOString()
+  };
+}
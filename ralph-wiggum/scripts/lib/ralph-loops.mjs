@@ -0,0 +1,183 @@
+import { existsSync, mkdirSync } from 'fs';
+import { join, resolve } from 'path';
+import { cwd } from 'process';
+import {
+  STATE_FILE,
+  assertSafeStateDir,
+  fail,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  withLock,
+  writeJsonAtomic
+} from './ralph-common.mjs';
+import { expandFileGlobs, globToRegExp } from './ralph-promises.mjs';
+
+// The loop registry (.ralph-loops/loops.json in the workspace) maps loop names to state dirs so
+// several loops can share one repo. ralph-init.mjs --loop registers a loop, every script accepts
+// --loop <name> instead of --state-dir, and steps that declare the files they touch are not claimed
+// while a step of another registered loop is working on the same files.
+
+export const LOOPS_DIR = '.ralph-loops';
+export const REGISTRY_FILE = 'loops.json';
+export const REGISTRY_VERSION = 1;
+
+const LOOP_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+// A step still counts as touching its files until it is complete (a rejected review reopens it).
+const ACTIVE_STATUSES = ['in-progress', 'awaiting-approval'];
+
+export function assertSafeLoopName(name) {
+  if (typeof name !== 'string' || !LOOP_NAME_PATTERN.test(name)) {
+    fail('Loop name must be 1-64 letters, digits, "-" or "_", starting with a letter or digit', { loop: name ?? null }, 'INVALID_ARGUMENT');
+  }
+  return name;
+}
+
+// Named loops live side by side under .ralph-loops/ unless --state-dir says otherwise.
+export function defaultLoopStateDir(name) {
+  return `${LOOPS_DIR}/${assertSafeLoopName(name)}`;
+}
+
+function registryFileAbs() {
+  return join(cwd(), LOOPS_DIR, REGISTRY_FILE);
+}
+
+export function readRegistry() {
+  const registry = tryReadJsonFile(registryFileAbs());
+  if (!registry || typeof registry.loops !== 'object' || registry.loops === null) return { version: REGISTRY_VERSION, loops: {} };
+  return registry;
+}
+
+// Runs fn under the registry lock; without a registry there are no other loops to coordinate with.
+export function withRegistryLock(fn, { create = false } = {}) {
+  const dirAbs = join(cwd(), LOOPS_DIR);
+  if (!existsSync(dirAbs)) {
+    if (!create) return fn();
+    mkdirSync(dirAbs, { recursive: true });
+  }
+  return withLock(join(dirAbs, 'loops.lock'), fn);
+}
+
+function sameStateDir(a, b) {
+  return resolve(resolveStateDirAbs(a)) === resolve(resolveStateDirAbs(b));
+}
+
+/**
+ * Adds a loop to the registry. A name may be reused once its old state dir is gone; two names can
+ * not point at the same state dir.
+ */
+export function registerLoop(name, { stateDir, task = '' }) {
+  assertSafeLoopName(name);
+  assertSafeStateDir(stateDir);
+  return withRegistryLock(() => {
+    const registry = readRegistry();
+    const existing = registry.loops[name];
+    if (existing && !sameStateDir(existing.stateDir, stateDir) && existsSync(join(resolveStateDirAbs(existing.stateDir), STATE_FILE))) {
+      fail(`Loop ${name} is already registered for ${existing.stateDir}`, { loop: name, stateDir: existing.stateDir }, 'LOOP_EXISTS');
+    }
+    const alias = Object.entries(registry.loops).find(([other, entry]) => other !== name && sameStateDir(entry.stateDir, stateDir));
+    if (alias) fail(`${stateDir} is already registered as loop ${alias[0]}`, { loop: alias[0], stateDir }, 'LOOP_EXISTS');
+
+    const entry = { stateDir, task, createdAt: new Date().toISOString() };
+    registry.loops[name] = entry;
+    writeJsonAtomic(registryFileAbs(), { version: REGISTRY_VERSION, loops: registry.loops });
+    return { name, ...entry };
+  }, { create: true });
+}
+
+// Drops loops from the registry by name, or every name pointing at stateDir. Files are left alone.
+export function unregisterLoops({ name = null, stateDir = null } = {}) {
+  return withRegistryLock(() => {
+    const registry = readRegistry();
+    const removed = Object.keys(registry.loops).filter(n => (name !== null && n === name) ||
+      (stateDir !== null && sameStateDir(registry.loops[n].stateDir, stateDir)));
+    if (removed.length === 0) return removed;
+    for (const n of removed) delete registry.loops[n];
+    writeJsonAtomic(registryFileAbs(), { version: REGISTRY_VERSION, loops: registry.loops });
+    return removed;
+  });
+}
+
+/**
+ * Absolute dirs holding loop bookkeeping: .ralph-loops/ and every registered state dir. Git
+ * snapshots leave them out so one loop's step diffs and rollbacks never touch another loop's state.
+ */
+export function loopBookkeepingDirsAbs() {
+  const dirs = [join(cwd(), LOOPS_DIR)];
+  for (const entry of Object.values(readRegistry().loops)) {
+    try {
+      dirs.push(resolveStateDirAbs(entry.stateDir));
+    } catch {
+      // An unsafe registry entry is not a state dir we manage.
+    }
+  }
+  return dirs;
+}
+
+/**
+ * The state dir registered for a loop name; what --loop <name> resolves to.
+ */
+export function resolveLoopStateDir(name) {
+  assertSafeLoopName(name);
+  const entry = readRegistry().loops[name];
+  if (!entry) fail(`Loop not registered: ${name} (see ralph-loops.mjs)`, { loop: name }, 'LOOP_NOT_FOUND');
+  return entry.stateDir;
+}
+
+/**
+ * Paths and patterns two file lists have in common. Identical patterns, a pattern matching the
+ * other side's literal path, and workspace files matched by both sides all count.
+ */
+export function filesOverlap(a, b, rootAbs = cwd()) {
+  const overlap = new Set();
+  for (const pa of a) {
+    for (const pb of b) {
+      if (pa === pb || globToRegExp(pa).test(pb)) overlap.add(pb);
+      else if (globToRegExp(pb).test(pa)) overlap.add(pa);
+    }
+  }
+  if (overlap.size === 0) {
+    const matchedByB = new Set(expandFileGlobs(b, rootAbs));
+    for (const file of expandFileGlobs(a, rootAbs)) if (matchedByB.has(file)) overlap.add(file);
+  }
+  return [...overlap].sort();
+}
+
+/**
+ * Steps of registered loops that declare files and are still working on them:
+ * [{ loop, stateDir, stepId, status, worker, files }].
+ */
+export function listActiveFileSteps() {
+  const active = [];
+  for (const [name, entry] of Object.entries(readRegistry().loops)) {
+    let stateDirAbs;
+    try {
+      stateDirAbs = resolveStateDirAbs(entry.stateDir);
+    } catch {
+      continue;
+    }
+    const state = tryReadJsonFile(join(stateDirAbs, STATE_FILE));
+    if (!state || typeof state.steps !== 'object' || state.steps === null) continue;
+    for (const [stepId, step] of Object.entries(state.steps)) {
+      if (!Array.isArray(step?.files) || step.files.length === 0) continue;
+      const stepFile = tryReadJsonFile(join(stateDirAbs, 'steps', `${stepId}.json`), { maxBytes: 512 * 1024 });
+      const status = stepFile?.status || step.status;
+      if (!ACTIVE_STATUSES.includes(status)) continue;
+      active.push({ loop: name, stateDir: entry.stateDir, stepId, status, worker: stepFile?.worker || step.worker || null, files: step.files });
+    }
+  }
+  return active;
+}
+
+/**
+ * Active steps of other registered loops whose files overlap `files`.
+ */
+export function findFileConflicts(stateDirAbs, files) {
+  const self = resolve(stateDirAbs);
+  const conflicts = [];
+  for (const step of listActiveFileSteps()) {
+    if (resolve(resolveStateDirAbs(step.stateDir)) === self) continue;
+    const overlap = filesOverlap(files, step.files);
+    if (overlap.length > 0) conflicts.push({ ...step, overlap });
+  }
+  return conflicts;
+}
@@ -0,0 +1,172 @@
+import { existsSync, readFileSync, readdirSync, statSync } from 'fs';
+import { join, relative, sep } from 'path';
+
+// Completion promises are matched as <promise>TEXT</promise>. An occurrence is negated when the tag
+// itself says <promise>NOT TEXT</promise> or when a negation directly governs the tag ("do not
+// output <promise>DONE</promise> yet", "never <promise>DONE</promise>"). A negation elsewhere in the
+// sentence ("All tests pass with no failures <promise>DONE</promise>") does not count. Within one
+// source the last occurrence wins, and a promise only counts as found when no source currently
+// negates it.
+
+export const MAX_PROMISE_SCAN_BYTES = 1024 * 1024;
+export const MAX_GLOB_FILES = 2000;
+const MAX_LOCATIONS = 20;
+const NEGATION_WINDOW = 40;
+// A negation, an optional verb of saying and an optional article, then only the tag: the negation
+// must end right before the tag, so it cannot belong to another phrase in the sentence.
+const GOVERNING_NEGATION_PATTERN = /\b(?:not|never|don't|dont|doesn't|won't|cannot|can't|shouldn't|mustn't)(?:\s+yet)?(?:\s+(?:output|emit|print|write|say|add|include|send|return|claim|use)s?)?(?:\s+(?:the|a|an|this|that))?\s*["'`:]?\s*$/i;
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Patterns for one promise: `match` finds the promise, `negatedTag` finds <promise>NOT TEXT</promise>.
+export function buildPromisePatterns(text) {
+  if (!text) return null;
+  const escaped = escapeRegExp(text);
+  // A promise configured with its own tags is matched literally, as before.
+  if (text.toLowerCase().includes('<promise>')) {
+    return { match: new RegExp(escaped, 'gi'), negatedTag: null };
+  }
+  return {
+    match: new RegExp(`<promise>\\s*${escaped}\\s*</promise>`, 'gi'),
+    negatedTag: new RegExp(`<promise>\\s*(?:not|no)\\s+${escaped}\\s*</promise>`, 'gi')
+  };
+}
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = text.indexOf('\n'); i !== -1 && i < index; i = text.indexOf('\n', i + 1)) line++;
+  return line;
+}
+
+// Every occurrence of the promise in `text`, in order: [{ index, line, negated }].
+export function scanPromise(text, patterns) {
+  const occurrences = [];
+  for (const match of text.matchAll(patterns.match)) {
+    const lineStart = text.lastIndexOf('\n', match.index - 1) + 1;
+    const before = text.slice(Math.max(lineStart, match.index - NEGATION_WINDOW), match.index);
+    occurrences.push({ index: match.index, line: lineAt(text, match.index), negated: GOVERNING_NEGATION_PATTERN.test(before) });
+  }
+  if (patterns.negatedTag) {
+    for (const match of text.matchAll(patterns.negatedTag)) {
+      occurrences.push({ index: match.index, line: lineAt(text, match.index), negated: true });
+    }
+  }
+  return occurrences.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Checks one promise against a list of sources ({ source, read: () => string | null }).
+ * Returns { text, files, found, negated, locations: [{ source, line, negated }] }.
+ */
+export function evaluatePromise(promise, sources) {
+  const patterns = buildPromisePatterns(promise.text);
+  const locations = [];
+  let positive = false;
+  let negated = false;
+
+  for (const { source, read } of sources) {
+    let content;
+    try {
+      content = read();
+    } catch {
+      continue;
+    }
+    if (typeof content !== 'string' || !content) continue;
+    const occurrences = scanPromise(content, patterns);
+    if (occurrences.length === 0) continue;
+    for (const occurrence of occurrences) {
+      if (locations.length < MAX_LOCATIONS) locations.push({ source, line: occurrence.line, negated: occurrence.negated });
+    }
+    if (occurrences[occurrences.length - 1].negated) negated = true;
+    else positive = true;
+  }
+
+  return { text: promise.text, files: promise.files, found: positive && !negated, negated, locations };
+}
+
+// Converts a workspace glob (*, ?, **, {a,b}) to an anchored RegExp over "/"-separated paths.
+export function globToRegExp(glob) {
+  let pattern = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        pattern += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else if (char === '{') {
+      const end = glob.indexOf('}', i);
+      if (end === -1) {
+        pattern += '\\{';
+        continue;
+      }
+      pattern += `(?:${glob.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+      i = end;
+    } else {
+      pattern += escapeRegExp(char);
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+function hasGlobChars(segment) {
+  return /[*?{]/.test(segment);
+}
+
+/**
+ * Resolves paths and globs relative to rootAbs into a sorted list of workspace-relative file paths
+ * ("/"-separated). Skips .git and node_modules and stops after MAX_GLOB_FILES files.
+ */
+export function expandFileGlobs(patterns, rootAbs) {
+  const matches = new Set();
+  for (const raw of patterns) {
+    const glob = raw.split(sep).join('/').replace(/^\.\//, '');
+    const segments = glob.split('/');
+    const firstGlob = segments.findIndex(hasGlobChars);
+    if (firstGlob === -1) {
+      const fileAbs = join(rootAbs, ...segments);
+      if (existsSync(fileAbs) && statSync(fileAbs).isFile()) matches.add(segments.join('/'));
+      continue;
+    }
+
+    const regex = globToRegExp(glob);
+    const baseAbs = join(rootAbs, ...segments.slice(0, firstGlob));
+    const pending = existsSync(baseAbs) ? [baseAbs] : [];
+    let visited = 0;
+    while (pending.length > 0 && visited < MAX_GLOB_FILES) {
+      const dirAbs = pending.pop();
+      let entries;
+      try {
+        entries = readdirSync(dirAbs, { withFileTypes: true });
+      } catch {
+        continue;
+      }
+      for (const entry of entries) {
+        const entryAbs = join(dirAbs, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIPPED_DIRS.has(entry.name)) pending.push(entryAbs);
+          continue;
+        }
+        if (!entry.isFile() || ++visited > MAX_GLOB_FILES) continue;
+        const rel = relative(rootAbs, entryAbs).split(sep).join('/');
+        if (regex.test(rel)) matches.add(rel);
+      }
+    }
+  }
+  return [...matches].sort();
+}
+
+// Reads a text file for scanning; oversized files are skipped rather than half-read.
+export function readTextForScan(fileAbs) {
+  const st = statSync(fileAbs);
+  if (!st.isFile() || st.size > MAX_PROMISE_SCAN_BYTES) return null;
+  return readFileSync(fileAbs, 'utf-8');
+}
@@ -0,0 +1,500 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { join } from 'path';
+import { EVENTS_FILE, STATE_FILE, describeEventDetail, fail, readJsonFile, resolveStateDirAbs, tryReadJsonFile } from './ralph-common.mjs';
+import { readState } from './ralph-core.mjs';
+import { archiveFileAbs, listArchives, resolveArchive } from './ralph-archive.mjs';
+
+// A report is gathered from one loop directory: the live state dir, or an archive written by
+// ralph-cleanup.mjs --archive (read through its manifest, so legacy flattened archives work too).
+// collectReport() returns plain data; renderReport() turns it into a list of blocks and prints
+// those as Markdown or as a self-contained HTML page.
+
+export const REPORT_FORMATS = ['markdown', 'html'];
+
+const MAX_EVENTS_BYTES = 20 * 1024 * 1024;
+const MAX_EVENTS_PER_ITERATION = 200;
+const MAX_EXCERPT_LINES = 20;
+const MAX_RESULT_CHARS = 200;
+
+function readEvents(eventsFileAbs) {
+  if (!eventsFileAbs || !existsSync(eventsFileAbs) || statSync(eventsFileAbs).size > MAX_EVENTS_BYTES) return null;
+  const events = [];
+  for (const line of readFileSync(eventsFileAbs, 'utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Skip lines that are not valid JSON
+    }
+  }
+  return events;
+}
+
+// Paths are state-dir-relative ("steps/<id>.json"); fileAbsOf maps them into the live dir or an archive.
+function readLoopFiles(paths, fileAbsOf) {
+  const stepFiles = [];
+  const validations = new Map();
+  for (const path of paths) {
+    let m = path.match(/^steps\/([^/]+)\.json$/);
+    if (m) {
+      const stepData = tryReadJsonFile(fileAbsOf(path), { maxBytes: 512 * 1024 });
+      if (stepData) stepFiles.push({ ...stepData, stepId: stepData.stepId || m[1] });
+      continue;
+    }
+    m = path.match(/^validation\/iteration-(\d+)\.json$/);
+    if (m) {
+      const validation = tryReadJsonFile(fileAbsOf(path));
+      if (validation) validations.set(parseInt(m[1], 10), validation);
+    }
+  }
+  return { stepFiles, validations };
+}
+
+function listLiveLoopFiles(stateDirAbs) {
+  const paths = [];
+  for (const dirName of ['steps', 'validation']) {
+    const dirAbs = join(stateDirAbs, dirName);
+    if (existsSync(dirAbs)) paths.push(...readdirSync(dirAbs).map(file => `${dirName}/${file}`));
+  }
+  return paths;
+}
+
+// Events carry no iteration number, so they are assigned by replaying iteration.advanced.
+function groupEventsByIteration(events) {
+  const byIteration = new Map();
+  let iteration = 1;
+  for (const event of events) {
+    const owner = event.type === 'validation.recorded' && Number.isInteger(event.payload?.iteration) ? event.payload.iteration : iteration;
+    if (!byIteration.has(owner)) byIteration.set(owner, []);
+    byIteration.get(owner).push({
+      timestamp: event.timestamp || null,
+      type: event.type,
+      actor: event.actor?.id ? `${event.actor.role}:${event.actor.id}` : event.actor?.role || null,
+      detail: describeEventDetail(event) || ''
+    });
+    if (event.type === 'iteration.advanced' && Number.isInteger(event.payload?.iteration)) iteration = event.payload.iteration;
+  }
+  return byIteration;
+}
+
+function summarizeValidation(validation) {
+  if (!validation) return null;
+  return {
+    overallComplete: validation.overallComplete === true,
+    allStepsComplete: validation.allStepsComplete ?? null,
+    checksPassing: validation.checksPassing ?? null,
+    testsPassing: validation.testsPassing ?? null,
+    // A loop without promises reports promiseFound false; there was nothing to find.
+    promiseFound: Array.isArray(validation.promises) && validation.promises.length === 0 ? null : validation.promiseFound ?? null,
+    consensus: validation.consensus || null,
+    votes: Array.isArray(validation.votes) ? validation.votes.map(v => ({ monitorId: v.monitorId, overallComplete: v.overallComplete })) : [],
+    checks: (Array.isArray(validation.checks) ? validation.checks : []).map(check => ({
+      name: check.name,
+      severity: check.severity || 'required',
+      passed: check.passed === true,
+      exitCode: check.exitCode ?? null,
+      durationMs: check.durationMs ?? null,
+      failures: Array.isArray(check.failures) ? check.failures : [],
+      stdout: check.stdout || '',
+      stderr: check.stderr || ''
+    })),
+    notes: Array.isArray(validation.notes) ? validation.notes : [],
+    timestamp: validation.timestamp || null
+  };
+}
+
+function summarizeSteps(state, stepFiles) {
+  const files = new Map(stepFiles.map(step => [step.stepId, step]));
+  const ids = [...new Set([...Object.keys(state.steps || {}), ...files.keys()])];
+  return ids.map(stepId => {
+    const definition = state.steps?.[stepId] || {};
+    const file = files.get(stepId) || {};
+    const result = typeof file.result === 'string' ? file.result.trim() : '';
+    return {
+      stepId,
+      description: definition.description || '',
+      status: file.status || definition.status || 'pending',
+      attempts: Number.isInteger(file.attempts) ? file.attempts : definition.attempts || 0,
+      maxAttempts: file.maxAttempts ?? definition.maxAttempts ?? null,
+      worker: file.worker || definition.worker || null,
+      claimedAt: file.claimedAt || definition.claimedAt || null,
+      completedAt: file.completedAt || definition.completedAt || null,
+      durationMs: file.durationMs ?? definition.durationMs ?? null,
+      failures: Array.isArray(file.failures) ? file.failures.map(f => ({ attempt: f.attempt, workerId: f.workerId, reason: f.reason, failedAt: f.failedAt })) : [],
+      reviews: Array.isArray(file.reviews) ? file.reviews : [],
+      artifacts: Array.isArray(file.artifacts) ? file.artifacts.map(a => a.name) : [],
+      result: result.length > MAX_RESULT_CHARS ? `${result.substring(0, MAX_RESULT_CHARS)}...` : result
+    };
+  });
+}
+
+function summarizeParticipants(state, events, steps) {
+  const workers = new Map();
+  const monitors = new Map();
+  const worker = id => {
+    if (!workers.has(id)) workers.set(id, { workerId: id, claimed: 0, completed: 0, failed: 0, durationMs: 0 });
+    return workers.get(id);
+  };
+  const monitor = id => {
+    if (!monitors.has(id)) monitors.set(id, { monitorId: id, votes: 0, iterations: [], lastVote: null });
+    return monitors.get(id);
+  };
+  (Array.isArray(state.workers) ? state.workers : []).forEach(worker);
+  (Array.isArray(state.monitors) ? state.monitors : []).forEach(monitor);
+
+  if (events) {
+    for (const event of events) {
+      const id = event.actor?.id;
+      if (!id) continue;
+      const p = event.payload || {};
+      if (event.type === 'step.claimed') worker(id).claimed++;
+      else if (event.type === 'step.completed' || event.type === 'step.awaiting-approval') {
+        worker(id).completed++;
+        if (Number.isFinite(p.durationMs)) worker(id).durationMs += p.durationMs;
+      } else if (event.type === 'step.failed') {
+        worker(id).failed++;
+        if (Number.isFinite(p.usage?.durationMs)) worker(id).durationMs += p.usage.durationMs;
+      } else if (event.type === 'validation.recorded') {
+        const entry = monitor(id);
+        entry.votes++;
+        if (!entry.iterations.includes(p.iteration)) entry.iterations.push(p.iteration);
+        entry.lastVote = p.vote === true ? 'complete' : 'continue';
+      }
+    }
+  } else {
+    // Without an event log, fall back to what the step files remember.
+    for (const step of steps) {
+      if (step.worker && step.status === 'complete') {
+        worker(step.worker).completed++;
+        if (Number.isFinite(step.durationMs)) worker(step.worker).durationMs += step.durationMs;
+      }
+      for (const failure of step.failures) if (failure.workerId) worker(failure.workerId).failed++;
+    }
+  }
+  return { workers: [...workers.values()], monitors: [...monitors.values()] };
+}
+
+function readLoopStatus(state, stateDir, archived, lastValidation) {
+  if (!archived) {
+    const aggregated = readState({ stateDir });
+    return { isComplete: aggregated.isComplete, stopReason: aggregated.stopReason, completionApproval: aggregated.completionApproval };
+  }
+  const isComplete = lastValidation?.overallComplete === true &&
+    (state.requiresApproval !== true || state.completionApproval?.status === 'approved');
+  return { isComplete, stopReason: isComplete ? 'complete' : null, completionApproval: state.completionApproval || null };
+}
+
+/**
+ * Gathers everything the report shows for the loop in stateDir, or for one of its archives.
+ * Options: stateDir, archive (name of a directory under <stateDir>/archive), includeArchives.
+ */
+export function collectReport(options = {}) {
+  const stateDir = options.stateDir;
+  const stateDirAbs = resolveStateDirAbs(stateDir);
+  const archived = Boolean(options.archive);
+  let paths = null;
+  let fileAbsOf = null;
+  if (archived) {
+    const archive = resolveArchive(stateDirAbs, options.archive);
+    if (!archiveFileAbs(archive, STATE_FILE)) fail(`Archive ${options.archive} has no ${STATE_FILE}`, { archive: options.archive }, 'ARCHIVE_CORRUPT');
+    paths = archive.manifest.files.map(f => f.path);
+    fileAbsOf = path => archiveFileAbs(archive, path);
+  } else {
+    if (!existsSync(join(stateDirAbs, STATE_FILE))) fail('State file not found. Run ralph-init.mjs first.', { stateDir }, 'STATE_NOT_FOUND');
+    paths = listLiveLoopFiles(stateDirAbs);
+    fileAbsOf = path => join(stateDirAbs, ...path.split('/'));
+  }
+
+  // Archived state may predate the current schema, so it is read as-is rather than validated.
+  const state = readJsonFile(fileAbsOf(STATE_FILE));
+  const { stepFiles, validations } = readLoopFiles(paths, fileAbsOf);
+  const events = readEvents(archived ? fileAbsOf(EVENTS_FILE) : join(stateDirAbs, EVENTS_FILE));
+  const eventsByIteration = events ? groupEventsByIteration(events) : new Map();
+  const history = new Map((Array.isArray(state.iterations) ? state.iterations : []).map(r => [r.iteration, r]));
+  const currentIteration = Number.isInteger(state.iteration) ? state.iteration : 1;
+
+  const iterations = [];
+  for (let n = 1; n <= currentIteration; n++) {
+    const record = history.get(n);
+    const timeline = eventsByIteration.get(n) || [];
+    iterations.push({
+      iteration: n,
+      startedAt: record?.startedAt || (n === currentIteration ? state.iterationStartedAt || state.startedAt : null) || null,
+      endedAt: record?.endedAt || null,
+      stepStatus: record?.stepStatus || null,
+      events: timeline.slice(0, MAX_EVENTS_PER_ITERATION),
+      omittedEvents: Math.max(0, timeline.length - MAX_EVENTS_PER_ITERATION),
+      validation: summarizeValidation(validations.get(n))
+    });
+  }
+
+  const steps = summarizeSteps(state, stepFiles);
+  const lastValidation = validations.get(currentIteration) || null;
+  return {
+    task: state.task || '',
+    stateDir,
+    archive: options.archive || null,
+    generatedAt: new Date().toISOString(),
+    startedAt: state.startedAt || null,
+    iteration: currentIteration,
+    maxIterations: state.maxIterations ?? null,
+    status: readLoopStatus(state, stateDir, archived, lastValidation),
+    usage: state.usage || null,
+    eventsAvailable: events !== null,
+    iterations,
+    steps,
+    ...summarizeParticipants(state, events, steps),
+    archives: options.includeArchives === false || archived ? [] : listArchives({ stateDir }).archives
+  };
+}
+
+// ---------------------------------------------------------------------------
+// rendering
+// ---------------------------------------------------------------------------
+
+export function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return '-';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
+
+function yesNo(value) {
+  if (value === null || value === undefined) return '-';
+  return value ? 'yes' : 'no';
+}
+
+function excerpt(text) {
+  const lines = String(text || '').trimEnd().split('\n');
+  if (lines.length <= MAX_EXCERPT_LINES) return lines.join('\n');
+  return [`[${lines.length - MAX_EXCERPT_LINES} earlier lines omitted]`, ...lines.slice(-MAX_EXCERPT_LINES)].join('\n');
+}
+
+function describeStatus(report) {
+  const { isComplete, stopReason, completionApproval } = report.status;
+  if (isComplete) return 'Complete';
+  if (stopReason) return `Stopped (${stopReason})`;
+  if (completionApproval?.status === 'awaiting-approval') return 'Awaiting completion approval';
+  return 'In progress';
+}
+
+function iterationBlocks(entry) {
+  const blocks = [];
+  const range = `${entry.startedAt || '?'} to ${entry.endedAt || 'open'}`;
+  blocks.push({ type: 'heading', level: 3, text: `Iteration ${entry.iteration}` });
+  const fields = [['Window', range]];
+  if (entry.stepStatus) fields.push(['Step status at close', Object.entries(entry.stepStatus).map(([s, n]) => `${n} ${s}`).join(', ') || '-']);
+  const validation = entry.validation;
+  fields.push(['Verdict', validation ? (validation.overallComplete ? 'COMPLETE' : 'CONTINUE') : 'not validated']);
+  blocks.push({ type: 'fields', items: fields });
+
+  if (entry.events.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Time', 'Event', 'Actor', 'Detail'],
+      rows: entry.events.map(e => [e.timestamp || '-', e.type, e.actor || '-', e.detail])
+    });
+    if (entry.omittedEvents > 0) blocks.push({ type: 'paragraph', text: `${entry.omittedEvents} more event(s) not shown.` });
+  }
+
+  if (!validation) return blocks;
+  blocks.push({ type: 'heading', level: 4, text: 'Validation' });
+  const validationFields = [
+    ['All steps complete', yesNo(validation.allStepsComplete)],
+    ['Checks passing', yesNo(validation.checksPassing ?? validation.testsPassing)],
+    ['Promise found', yesNo(validation.promiseFound)]
+  ];
+  if (validation.consensus) {
+    const votes = validation.votes.map(v => `${v.monitorId}: ${v.overallComplete ? 'complete' : 'continue'}`).join(', ');
+    validationFields.push(['Consensus', `${validation.consensus.policy}, ${validation.consensus.votesComplete}/${validation.consensus.totalVotes} voted complete${votes ? ` (${votes})` : ''}`]);
+  }
+  blocks.push({ type: 'fields', items: validationFields });
+  if (validation.checks.length > 0) {
+    blocks.push({
+      type: 'table',
+      headers: ['Check', 'Result', 'Severity', 'Exit code', 'Duration', 'Failures'],
+      rows: validation.checks.map(c => [c.name, c.passed ? 'PASS' : c.severity === 'advisory' ? 'WARN' : 'FAIL', c.severity, c.exitCode ?? '-', formatDuration(c.durationMs), c.failures.join('; ') || '-'])
+    });
+  }
+  if (validation.notes.length > 0) {
+    blocks.push({ type: 'paragraph', text: 'Notes:' });
+    blocks.push({ type: 'list', items: validation.notes });
+  }
+  for (const check of validation.checks) {
+    for (const stream of ['stdout', 'stderr']) {
+      if (check[stream].trim()) blocks.push({ type: 'code', title: `${check.name} (${stream})`, text: excerpt(check[stream]) });
+    }
+  }
+  return blocks;
+}
+
+// The report as a list of blocks: heading, paragraph, fields, table, list and code.
+export function buildReportBlocks(report) {
+  const blocks = [];
+  const title = report.archive ? `Ralph Loop Report (archive ${report.archive})` : 'Ralph Loop Report';
+  blocks.push({ type: 'heading', level: 1, text: title });
+
+  const completedSteps = report.steps.filter(s => s.status === 'complete').length;
+  const overview = [
+    ['Task', report.task],
+    ['Status', describeStatus(report)],
+    ['Iteration', `${report.iteration}${report.maxIterations ? ` of ${report.maxIterations}` : ''}`],
+    ['Steps complete', `${completedSteps}/${report.steps.length}`],
+    ['Started', report.startedAt || '-'],
+    ['Generated', report.generatedAt],
+    ['State directory', report.stateDir]
+  ];
+  const approval = report.status.completionApproval;
+  if (approval) overview.push(['Completion approval', `${approval.status}${approval.reviewer ? ` by ${approval.reviewer}` : ''}${approval.comment ? `: ${approval.comment}` : ''}`]);
+  const usage = report.usage;
+  if (usage && (usage.totalTokens > 0 || usage.cost > 0)) {
+    overview.push(['Usage', `${usage.totalTokens} tokens (${usage.inputTokens} in, ${usage.outputTokens} out), cost ${Number(usage.cost).toFixed(4)}`]);
+  }
+  blocks.push({ type: 'fields', items: overview });
+
+  blocks.push({ type: 'heading', level: 2, text: 'Timeline' });
+  if (!report.eventsAvailable) blocks.push({ type: 'paragraph', text: `No ${EVENTS_FILE} found; the timeline shows iteration windows and validations only.` });
+  for (const entry of report.iterations) blocks.push(...iterationBlocks(entry));
+
+  blocks.push({ type: 'heading', level: 2, text: 'Steps' });
+  if (report.steps.length === 0) {
+    blocks.push({ type: 'paragraph', text: 'No steps defined.' });
+  } else {
+    blocks.push({
+      type: 'table',
+      headers: ['Step', 'Description', 'Status', 'Failed attempts', 'Duration', 'Worker', 'Completed', 'Artifacts'],
+      rows: report.steps.map(s => [
+        s.stepId,
+        s.description || '-',
+        s.status,
+        s.maxAttempts ? `${s.attempts}/${s.maxAttempts}` : String(s.attempts),
+        formatDuration(s.durationMs),
+        s.worker || '-',
+        s.completedAt || '-',
+        s.artifacts.join(', ') || '-'
+      ])
+    });
+    const failures = report.steps.flatMap(s => s.failures.map(f => `${s.stepId} attempt ${f.attempt ?? '?'} (${f.workerId || 'unknown worker'}): ${f.reason}`));
+    if (failures.length > 0) {
+      blocks.push({ type: 'heading', level: 3, text: 'Failed Attempts' });
+      blocks.push({ type: 'list', items: failures });
+    }
+    const reviews = report.steps.flatMap(s => s.reviews.map(r => `${s.stepId} ${r.decision} by ${r.reviewer} at ${r.reviewedAt}${r.comment ? `: ${r.comment}` : ''}`));
+    if (reviews.length > 0) {
+      blocks.push({ type: 'heading', level: 3, text: 'Reviews' });
+      blocks.push({ type: 'list', items: reviews });
+    }
+    const results = report.steps.filter(s => s.result);
+    if (results.length > 0) {
+      blocks.push({ type: 'heading', level: 3, text: 'Results' });
+      blocks.push({ type: 'list', items: results.map(s => `${s.stepId}: ${s.result}`) });
+    }
+  }
+
+  blocks.push({ type: 'heading', level: 2, text: 'Workers' });
+  blocks.push(report.workers.length === 0 ? { type: 'paragraph', text: 'No workers recorded.' } : {
+    type: 'table',
+    headers: ['Worker', 'Claimed', 'Completed', 'Failed', 'Time on steps'],
+    rows: report.workers.map(w => [w.workerId, report.eventsAvailable ? w.claimed : '-', w.completed, w.failed, formatDuration(w.durationMs)])
+  });
+
+  blocks.push({ type: 'heading', level: 2, text: 'Monitors' });
+  blocks.push(report.monitors.length === 0 ? { type: 'paragraph', text: 'No monitors recorded.' } : {
+    type: 'table',
+    headers: ['Monitor', 'Votes', 'Iterations', 'Last vote'],
+    rows: report.monitors.map(m => [m.monitorId, report.eventsAvailable ? m.votes : '-', m.iterations.join(', ') || '-', m.lastVote || '-'])
+  });
+
+  if (report.archives.length > 0) {
+    blocks.push({ type: 'heading', level: 2, text: 'Archives' });
+    blocks.push({
+      type: 'table',
+      headers: ['Archive', 'Created', 'Reason', 'Task', 'Iterations', 'Steps complete', 'Complete'],
+      rows: report.archives.map(a => {
+        const total = Object.values(a.stepStatus).reduce((sum, n) => sum + n, 0);
+        return [a.name, a.createdAt || '-', a.reason || '-', a.task || '', a.iteration ?? '-', `${a.stepStatus.complete || 0}/${total}`, yesNo(a.overallComplete)];
+      })
+    });
+  }
+  return blocks;
+}
+
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderMarkdown(blocks) {
+  const parts = blocks.map(block => {
+    if (block.type === 'heading') return `${'#'.repeat(block.level)} ${block.text}`;
+    if (block.type === 'paragraph') return block.text;
+    if (block.type === 'fields') return block.items.map(([label, value]) => `- **${label}:** ${String(value).replace(/\r?\n/g, ' ')}`).join('\n');
+    if (block.type === 'list') return block.items.map(item => `- ${String(item).replace(/\r?\n/g, ' ')}`).join('\n');
+    if (block.type === 'table') {
+      return [
+        `| ${block.headers.map(markdownCell).join(' | ')} |`,
+        `| ${block.headers.map(() => '---').join(' | ')} |`,
+        ...block.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`)
+      ].join('\n');
+    }
+    // A fence longer than any backtick run in the text keeps the excerpt verbatim.
+    const fence = '`'.repeat(Math.max(3, ...[...block.text.matchAll(/`+/g)].map(m => m[0].length + 1)));
+    return `**${block.title}**\n\n${fence}\n${block.text}\n${fence}`;
+  });
+  return `${parts.join('\n\n')}\n`;
+}
+
+export function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const HTML_STYLE = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 1100px; margin: 2rem auto; padding: 0 1rem; color: #1f2328; line-height: 1.45; }
+h1, h2 { border-bottom: 1px solid #d0d7de; padding-bottom: .3rem; }
+table { border-collapse: collapse; width: 100%; margin: .75rem 0; font-size: .9rem; }
+th, td { border: 1px solid #d0d7de; padding: .3rem .5rem; text-align: left; vertical-align: top; }
+th { background: #f6f8fa; }
+pre { background: #f6f8fa; padding: .75rem; overflow-x: auto; font-size: .85rem; }
+ul.fields { list-style: none; padding-left: 0; }
+.label { font-weight: 600; }
+`.trim();
+
+function renderHtml(blocks, title) {
+  const body = blocks.map(block => {
+    if (block.type === 'heading') return `<h${block.level}>${escapeHtml(block.text)}</h${block.level}>`;
+    if (block.type === 'paragraph') return `<p>${escapeHtml(block.text)}</p>`;
+    if (block.type === 'fields') {
+      return `<ul class="fields">${block.items.map(([label, value]) => `<li><span class="label">${escapeHtml(label)}:</span> ${escapeHtml(value)}</li>`).join('')}</ul>`;
+    }
+    if (block.type === 'list') return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+    if (block.type === 'table') {
+      const head = `<tr>${block.headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr>`;
+      const rows = block.rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('\n');
+      return `<table>\n<thead>${head}</thead>\n<tbody>\n${rows}\n</tbody>\n</table>`;
+    }
+    return `<p class="label">${escapeHtml(block.title)}</p>\n<pre><code>${escapeHtml(block.text)}</code></pre>`;
+  });
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>\n${HTML_STYLE}\n</style>`,
+    '</head>',
+    '<body>',
+    ...body,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+// Renders a report from collectReport() as 'markdown' or 'html'.
+export function renderReport(report, format = 'markdown') {
+  if (!REPORT_FORMATS.includes(format)) fail(`Format must be one of: ${REPORT_FORMATS.join(', ')}`, { format }, 'INVALID_ARGUMENT');
+  const blocks = buildReportBlocks(report);
+  return format === 'html' ? renderHtml(blocks, `Ralph Loop Report: ${report.task}`) : renderMarkdown(blocks);
+}
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Archive
+ * Lists, inspects, compares, restores and prunes the archives written by ralph-cleanup.mjs --archive
+ */
+
+import { DEFAULT_STATE_DIR, assertSafeStateDir, exitWithError, fail } from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { diffArchives, listArchives, pruneArchives, restoreArchive, showArchive } from './lib/ralph-archive.mjs';
+
+const ACTIONS = ['list', 'show', 'diff', 'restore', 'prune'];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    action: null,
+    names: [],
+    target: null,
+    force: false,
+    keep: null,
+    maxAgeDays: null,
+    dryRun: false,
+    stateDir: DEFAULT_STATE_DIR
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--target' && i + 1 < args.length) {
+      result.target = args[++i];
+    } else if (arg === '--force') {
+      result.force = true;
+    } else if (arg === '--keep' && i + 1 < args.length) {
+      result.keep = Number(args[++i]);
+      if (!Number.isInteger(result.keep) || result.keep < 0) fail('--keep must be a non-negative integer');
+    } else if (arg === '--max-age-days' && i + 1 < args.length) {
+      result.maxAgeDays = Number(args[++i]);
+      if (!Number.isFinite(result.maxAgeDays) || result.maxAgeDays <= 0) fail('--max-age-days must be a positive number');
+    } else if (arg === '--dry-run') {
+      result.dryRun = true;
+    } else if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (!arg.startsWith('--')) {
+      if (!result.action) {
+        result.action = arg;
+      } else {
+        result.names.push(arg);
+      }
+    }
+  }
+
+  if (!ACTIONS.includes(result.action)) {
+    fail(`Action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  if (['show', 'diff', 'restore'].includes(result.action) && result.names.length === 0) {
+    fail('Archive name is required (see: ralph-archive.mjs list)');
+  }
+  if (result.action === 'diff' && result.names.length > 2) {
+    fail('diff takes one archive (compared with the live state) or two archives');
+  }
+
+  assertSafeStateDir(result.stateDir);
+  if (result.target) assertSafeStateDir(result.target);
+  return result;
+}
+
+function runAction(config) {
+  const { stateDir } = config;
+  const [name, other] = config.names;
+  if (config.action === 'list') return listArchives({ stateDir });
+  if (config.action === 'show') return showArchive({ name, stateDir });
+  if (config.action === 'diff') return diffArchives({ from: name, to: other || null, stateDir });
+  if (config.action === 'restore') return restoreArchive({ name, target: config.target, force: config.force, stateDir });
+  return pruneArchives({ keep: config.keep, maxAgeDays: config.maxAgeDays, dryRun: config.dryRun, stateDir });
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = runAction(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
@@ -5,31 +5,71 @@
  * Creates state structure for iterative development loops
  */
 
-import { mkdirSync, existsSync } from 'fs';
-import { join } from 'path';
-import { DEFAULT_STATE_DIR, assertSafeStateDir, fail, resolveStateDirAbs, writeJsonAtomic } from './lib/ralph-common.mjs';
+import { DEFAULT_STATE_DIR, exitWithError, fail } from './lib/ralph-common.mjs';
+import { init } from './lib/ralph-core.mjs';
+
+const BUDGET_FLAGS = {
+  '--max-duration': 'maxDurationSeconds',
+  '--max-step-duration': 'maxStepDurationSeconds',
+  '--max-tokens': 'maxTokens',
+  '--max-cost': 'maxCost'
+};
 
 function parseArgs() {
   const args = process.argv.slice(2);
   const result = {
     task: null,
-    completionPromise: null,
+    promises: [],
+    promisesFile: null,
     maxIterations: null,
-    stateDir: DEFAULT_STATE_DIR
+    checksFile: null,
+    consensus: {},
+    budgets: {},
+    requireApproval: false,
+    git: false,
+    loop: null,
+    stateDir: null
   };
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
     if (arg === '--completion-promise' && i + 1 < args.length) {
-      result.completionPromise = args[++i];
+      result.promises.push({ text: args[++i], files: null });
+    } else if (arg === '--promise-in' && i + 1 < args.length) {
+      // Scopes the preceding --completion-promise to a file or glob; repeat for several.
+      const promise = result.promises[result.promises.length - 1];
+      if (!promise) fail('--promise-in must follow a --completion-promise');
+      promise.files = [...(promise.files || []), args[++i]];
+    } else if (arg === '--promises-file' && i + 1 < args.length) {
+      result.promisesFile = args[++i];
     } else if (arg === '--max-iterations' && i + 1 < args.length) {
       const val = parseInt(args[++i], 10);
       if (isNaN(val) || val < 0) {
         fail('max-iterations must be a non-negative integer');
       }
       result.maxIterations = val === 0 ? null : val;
+    } else if (BUDGET_FLAGS[arg] && i + 1 < args.length) {
+      const val = Number(args[++i]);
+      if (!Number.isFinite(val) || val <= 0) {
+        fail(`${arg} must be a positive number`);
+      }
+      result.budgets[BUDGET_FLAGS[arg]] = val;
+    } else if (arg === '--consensus' && i + 1 < args.length) {
+      result.consensus.policy = args[++i];
+    } else if (arg === '--quorum' && i + 1 < args.length) {
+      result.consensus.required = parseInt(args[++i], 10);
+    } else if (arg === '--monitors' && i + 1 < args.length) {
+      result.consensus.monitors = parseInt(args[++i], 10);
+    } else if (arg === '--require-approval') {
+      result.requireApproval = true;
+    } else if (arg === '--git') {
+      result.git = true;
+    } else if (arg === '--checks-file' && i + 1 < args.length) {
+      result.checksFile = args[++i];
     } else if (arg === '--state-dir' && i + 1 < args.length) {
       result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.loop = args[++i];
     } else if (!arg.startsWith('--')) {
       if (!result.task) {
         result.task = arg;
@@ -43,73 +83,33 @@ function parseArgs() {
     fail('Task description is required');
   }
 
-  assertSafeStateDir(result.stateDir);
-  return result;
-}
-
-function initializeState(config) {
-  const stateDirAbs = resolveStateDirAbs(config.stateDir);
-  const stepsDir = join(stateDirAbs, 'steps');
-  const progressDir = join(stateDirAbs, 'progress');
-  const validationDir = join(stateDirAbs, 'validation');
-
-  // Create directories
-  try {
-    mkdirSync(stateDirAbs, { recursive: true });
-    mkdirSync(stepsDir, { recursive: true });
-    mkdirSync(progressDir, { recursive: true });
-    mkdirSync(validationDir, { recursive: true });
-  } catch (error) {
-    fail('Failed to create directories', { message: error.message });
-  }
-
-  const stateFileAbs = join(stateDirAbs, 'ralph-state.json');
+  // A named loop defaults to its own directory under .ralph-loops/ (see lib/ralph-loops.mjs).
+  if (result.stateDir === null && result.loop === null) result.stateDir = DEFAULT_STATE_DIR;
 
-  // Check if state file already exists
-  if (existsSync(stateFileAbs)) {
-    fail('State file already exists. Use cleanup script or choose different state-dir.');
-  }
-
-  // Create initial state
-  const state = {
-    task: config.task,
-    iteration: 1,
-    maxIterations: config.maxIterations,
-    completionPromise: config.completionPromise,
-    startedAt: new Date().toISOString(),
-    steps: {},
-    workers: [],
-    monitors: []
-  };
-
-  try {
-    writeJsonAtomic(stateFileAbs, state);
-  } catch (error) {
-    fail('Failed to write state file', { message: error.message });
-  }
-
-  return {
-    stateDir: config.stateDir,
-    stateDirAbs,
-    stateFileAbs,
-    stateFile: join(config.stateDir, 'ralph-state.json'),
-    state: state
-  };
+  return result;
 }
 
 // Main execution
 try {
   const config = parseArgs();
-  const result = initializeState(config);
+  const result = init(config);
   console.log(JSON.stringify({
     stateDir: result.stateDir,
     stateDirAbs: result.stateDirAbs,
     stateFile: result.stateFile,
     stateFileAbs: result.stateFileAbs,
+    schemaVersion: result.state.schemaVersion,
     iteration: result.state.iteration,
     maxIterations: result.state.maxIterations,
-    completionPromise: result.state.completionPromise
+    completionPromise: result.state.completionPromise,
+    promises: result.state.promises,
+    checks: result.state.checks.map(c => c.name),
+    consensus: result.state.consensus,
+    budgets: result.state.budgets,
+    requiresApproval: result.state.requiresApproval,
+    loop: result.state.loop,
+    git: result.state.git.enabled
   }));
 } catch (error) {
-  fail(error?.message || String(error));
+  exitWithError(error);
 }
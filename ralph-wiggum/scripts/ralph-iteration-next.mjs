@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Iteration Advance
+ * Closes the current iteration (snapshot + history record) and starts the next one
+ */
+
+import { DEFAULT_STATE_DIR, exitWithError } from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { advanceIteration } from './lib/ralph-core.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stateDir: DEFAULT_STATE_DIR,
+    resetClaims: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--reset-claims') {
+      result.resetClaims = true;
+    }
+  }
+
+  return result;
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = advanceIteration(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
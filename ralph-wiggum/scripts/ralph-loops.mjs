@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Loops
+ * Lists the loops registered in this workspace with their status and progress, or unregisters one
+ */
+
+import { exitWithError, fail } from './lib/ralph-common.mjs';
+import { listLoops, unregisterLoop } from './lib/ralph-core.mjs';
+
+const ACTIONS = ['list', 'remove'];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    action: null,
+    loop: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      if (!result.action) {
+        result.action = arg;
+      } else if (!result.loop) {
+        result.loop = arg;
+      }
+    }
+  }
+
+  if (!result.action) result.action = 'list';
+  if (!ACTIONS.includes(result.action)) {
+    fail(`Action must be one of: ${ACTIONS.join(', ')}`);
+  }
+  if (result.action === 'remove' && !result.loop) {
+    fail('Loop name is required');
+  }
+
+  return result;
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = config.action === 'remove' ? unregisterLoop({ loop: config.loop }) : listLoops();
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph State Migration
+ * Upgrades ralph-state.json from older schema versions to the current one, keeping a backup
+ */
+
+import { copyFileSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import {
+  CONSENSUS_POLICIES,
+  DEFAULT_STATE_DIR,
+  STATE_FILE,
+  STATE_SCHEMA_VERSION,
+  appendEvent,
+  assertSafeStateDir,
+  exitWithError,
+  fail,
+  getStateSchemaVersion,
+  loadStateSchema,
+  readJsonFile,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  validateStateSchema,
+  withLock,
+  writeJsonAtomic
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stateDir: DEFAULT_STATE_DIR,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--dry-run') {
+      result.dryRun = true;
+    }
+  }
+
+  assertSafeStateDir(result.stateDir);
+  return result;
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Version 1 is every state file written before schemaVersion existed: steps without dependsOn,
+ * attempts or a guaranteed status, and none of the iteration, checks, consensus or git fields.
+ * Step statuses that are missing or unknown are taken from the step file when it has a valid one.
+ */
+function migrateV1ToV2(state, stateDirAbs, changes) {
+  const stepStatuses = loadStateSchema().properties.steps.additionalProperties.properties.status.enum;
+  const setDefault = (key, value) => {
+    if (state[key] !== undefined) return;
+    state[key] = value;
+    changes.push(`added ${key}`);
+  };
+
+  if (!Number.isInteger(state.iteration) || state.iteration < 1) {
+    changes.push(`reset iteration ${JSON.stringify(state.iteration)} to 1`);
+    state.iteration = 1;
+  }
+  if (state.maxIterations !== undefined && state.maxIterations !== null && !(Number.isInteger(state.maxIterations) && state.maxIterations >= 1)) {
+    changes.push(`cleared invalid maxIterations ${JSON.stringify(state.maxIterations)}`);
+    state.maxIterations = null;
+  }
+  setDefault('maxIterations', null);
+  setDefault('completionPromise', null);
+  setDefault('startedAt', new Date().toISOString());
+  setDefault('iterationStartedAt', state.startedAt);
+  setDefault('iterations', []);
+  setDefault('checks', []);
+  setDefault('consensus', { policy: 'latest', required: null, monitors: null });
+  setDefault('git', { enabled: false });
+  setDefault('workers', []);
+  setDefault('monitors', []);
+  if (isObject(state.consensus) && !CONSENSUS_POLICIES.includes(state.consensus.policy)) {
+    changes.push(`set consensus.policy to "latest" (was ${JSON.stringify(state.consensus.policy)})`);
+    state.consensus.policy = 'latest';
+  }
+
+  if (!isObject(state.steps)) {
+    changes.push(state.steps === undefined ? 'added steps' : 'replaced non-object steps with {}');
+    state.steps = {};
+  }
+  for (const [stepId, step] of Object.entries(state.steps)) {
+    if (!isObject(step)) {
+      state.steps[stepId] = {};
+      changes.push(`steps.${stepId}: replaced non-object definition`);
+    }
+    const def = state.steps[stepId];
+    if (!stepStatuses.includes(def.status)) {
+      const stepData = tryReadJsonFile(join(stateDirAbs, 'steps', `${stepId}.json`), { maxBytes: 512 * 1024 });
+      const status = stepStatuses.includes(stepData?.status) ? stepData.status : 'pending';
+      changes.push(`steps.${stepId}: status ${JSON.stringify(def.status)} -> "${status}"`);
+      def.status = status;
+    }
+    if (typeof def.dependsOn === 'string') {
+      def.dependsOn = def.dependsOn.split(',').map(s => s.trim()).filter(Boolean);
+      changes.push(`steps.${stepId}: converted dependsOn string to an array`);
+    } else if (def.dependsOn !== undefined && !Array.isArray(def.dependsOn)) {
+      delete def.dependsOn;
+      changes.push(`steps.${stepId}: removed invalid dependsOn`);
+    }
+  }
+}
+
+// MIGRATIONS[n] upgrades a version-n state object to version n + 1 in place.
+const MIGRATIONS = {
+  1: migrateV1ToV2
+};
+
+function migrate(config) {
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const stateFileAbs = join(stateDirAbs, STATE_FILE);
+  if (!existsSync(stateFileAbs)) fail('State file not found. Run ralph-init.mjs first.');
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+
+  return withLock(stateLockAbs, () => {
+    const state = readJsonFile(stateFileAbs, { allowMissing: false });
+    if (!isObject(state)) fail('State file must contain a JSON object');
+    const fromVersion = getStateSchemaVersion(state);
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) fail(`Unrecognized schemaVersion ${JSON.stringify(fromVersion)}`);
+    if (fromVersion > STATE_SCHEMA_VERSION) {
+      fail(`State file uses schema version ${fromVersion}, newer than this release supports (${STATE_SCHEMA_VERSION})`);
+    }
+
+    const changes = [];
+    for (let version = fromVersion; version < STATE_SCHEMA_VERSION; version++) {
+      MIGRATIONS[version](state, stateDirAbs, changes);
+      state.schemaVersion = version + 1;
+    }
+
+    const { valid, errors } = validateStateSchema(state);
+    if (!valid) {
+      fail(fromVersion === STATE_SCHEMA_VERSION ? 'State file does not match schema' : 'Migrated state still does not match schema; fix these fields by hand', { errors });
+    }
+
+    const result = {
+      stateDir: config.stateDir,
+      dryRun: config.dryRun,
+      fromVersion,
+      toVersion: STATE_SCHEMA_VERSION,
+      upToDate: fromVersion === STATE_SCHEMA_VERSION,
+      changes,
+      backup: null
+    };
+    if (config.dryRun || result.upToDate) return result;
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupName = `ralph-state.v${fromVersion}.${stamp}.json`;
+    try {
+      mkdirSync(join(stateDirAbs, 'backups'), { recursive: true });
+      copyFileSync(stateFileAbs, join(stateDirAbs, 'backups', backupName));
+    } catch (error) {
+      fail('Failed to back up state file', { message: error?.message || String(error) });
+    }
+    writeJsonAtomic(stateFileAbs, state);
+    appendEvent(stateDirAbs, 'state.migrated', null, { fromVersion, toVersion: STATE_SCHEMA_VERSION, changes: changes.length });
+
+    return { ...result, backup: join(config.stateDir, 'backups', backupName) };
+  });
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = migrate(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
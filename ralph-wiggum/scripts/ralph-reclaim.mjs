@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Stale Claim Reclamation
+ * Returns steps whose claim lease has expired to "pending"; safe to run while workers are active
+ */
+
+import { join } from 'path';
+import {
+  DEFAULT_STATE_DIR,
+  appendEvent,
+  assertSafeStateDir,
+  exitWithError,
+  fail,
+  isLeaseExpired,
+  readStateFile,
+  reclaimStepClaims,
+  resolveStateDirAbs,
+  withLock,
+  writeJsonAtomic
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stateDir: DEFAULT_STATE_DIR,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--dry-run') {
+      result.dryRun = true;
+    }
+  }
+
+  assertSafeStateDir(result.stateDir);
+  return result;
+}
+
+function reclaimExpired(config) {
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const nowMs = Date.now();
+    const reclaimed = reclaimStepClaims(stateDirAbs, latestState, {
+      shouldReclaim: lockData => isLeaseExpired(lockData, nowMs),
+      reason: 'lease-expired',
+      dryRun: config.dryRun,
+      nowMs
+    });
+
+    if (!config.dryRun && reclaimed.length > 0) {
+      writeJsonAtomic(stateFileAbs, latestState);
+      appendEvent(stateDirAbs, 'steps.reclaimed', null, { reclaimed });
+    }
+
+    return {
+      stateDir: config.stateDir,
+      dryRun: config.dryRun,
+      reclaimed
+    };
+  });
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = reclaimExpired(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
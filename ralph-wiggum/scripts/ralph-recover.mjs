@@ -0,0 +1,336 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Recovery
+ * Repairs a state directory left behind by a crashed orchestrator and prints a resume plan
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { join, relative } from 'path';
+import {
+  DEFAULT_STATE_DIR,
+  appendEvent,
+  assertSafeStateDir,
+  computeReadyStepIds,
+  exitWithError,
+  fail,
+  getStepDependencies,
+  isLeaseExpired,
+  readStateFile,
+  reclaimStepClaims,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  tryUnlink,
+  withLock,
+  writeJsonAtomic
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+
+// writeFileAtomic temp files and reclaimStepClaims set-aside locks both carry the writer's PID.
+const LEFTOVER_PATTERNS = [/\.tmp\.(\d+)\.\d+$/, /\.lock\.reclaim\.(\d+)$/];
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stateDir: DEFAULT_STATE_DIR,
+    dryRun: false,
+    resetClaims: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--dry-run') {
+      result.dryRun = true;
+    } else if (arg === '--reset-claims') {
+      result.resetClaims = true;
+    }
+  }
+
+  assertSafeStateDir(result.stateDir);
+  return result;
+}
+
+// Signal 0 only checks existence; EPERM means the PID exists but belongs to someone else.
+function isPidAlive(pid) {
+  if (!Number.isInteger(pid) || pid <= 0) return false;
+  if (pid === process.pid) return true;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error?.code === 'EPERM';
+  }
+}
+
+function findLeftoverFiles(dirAbs, found = []) {
+  let entries;
+  try {
+    entries = readdirSync(dirAbs, { withFileTypes: true });
+  } catch {
+    return found;
+  }
+  for (const entry of entries) {
+    const entryAbs = join(dirAbs, entry.name);
+    if (entry.isDirectory()) {
+      findLeftoverFiles(entryAbs, found);
+      continue;
+    }
+    for (const pattern of LEFTOVER_PATTERNS) {
+      const m = entry.name.match(pattern);
+      if (m) found.push({ fileAbs: entryAbs, pid: parseInt(m[1], 10) });
+    }
+  }
+  return found;
+}
+
+/**
+ * The state lock is taken for milliseconds at a time, so one that outlives its PID was left by a
+ * crash. It has to go before recovery can take the lock itself.
+ */
+function clearDeadStateLock(stateLockAbs, dryRun) {
+  if (!existsSync(stateLockAbs)) return null;
+  const lockData = tryReadJsonFile(stateLockAbs, { maxBytes: 16 * 1024 });
+  if (lockData && isPidAlive(lockData.pid)) {
+    fail('State lock is held by a running process; retry once it exits', { pid: lockData.pid, createdAt: lockData.createdAt });
+  }
+  const entry = { pid: lockData?.pid ?? null, createdAt: lockData?.createdAt ?? null, removed: false };
+  if (!dryRun) entry.removed = tryUnlink(stateLockAbs);
+  return entry;
+}
+
+function removeLeftoverFiles(config, stateDirAbs) {
+  const leftovers = [];
+  for (const { fileAbs, pid } of findLeftoverFiles(stateDirAbs)) {
+    if (isPidAlive(pid)) continue;
+    leftovers.push({ file: join(config.stateDir, relative(stateDirAbs, fileAbs)), pid, removed: config.dryRun ? false : tryUnlink(fileAbs) });
+  }
+  return leftovers;
+}
+
+/**
+ * Step locks hold the PID of the short-lived claim process, not the worker, so they are judged by
+ * their lease instead. A lock is released when its lease expired, when it is unreadable, when its
+ * step file no longer shows the same worker in progress (unless the claim is still being written),
+ * or for every claim with --reset-claims.
+ */
+function classifyStepLocks(config, stepsDirAbs) {
+  const reasons = new Map();
+  const corrupt = [];
+  if (!existsSync(stepsDirAbs)) return { reasons, corrupt };
+  const nowMs = Date.now();
+
+  for (const file of readdirSync(stepsDirAbs).filter(f => f.endsWith('.lock'))) {
+    const stepId = file.replace(/\.lock$/, '');
+    const lockData = tryReadJsonFile(join(stepsDirAbs, file), { maxBytes: 16 * 1024 });
+    if (!lockData) {
+      corrupt.push(stepId);
+      continue;
+    }
+    const stepData = tryReadJsonFile(join(stepsDirAbs, `${stepId}.json`), { maxBytes: 512 * 1024 });
+    if (config.resetClaims) reasons.set(stepId, 'reset-claims');
+    else if (isLeaseExpired(lockData, nowMs)) reasons.set(stepId, 'lease-expired');
+    else if ((stepData?.status !== 'in-progress' || stepData.worker !== lockData.workerId) && !isPidAlive(lockData.pid)) {
+      reasons.set(stepId, 'orphaned-lock');
+    }
+  }
+  return { reasons, corrupt };
+}
+
+function resetStep(stepFileAbs, stepData, stateStep, dryRun) {
+  if (dryRun) return;
+  if (stepData) {
+    stepData.status = 'pending';
+    stepData.worker = null;
+    delete stepData.leaseExpiresAt;
+    writeJsonAtomic(stepFileAbs, stepData);
+  }
+  if (stateStep) {
+    stateStep.status = 'pending';
+    delete stateStep.worker;
+    delete stateStep.claimedAt;
+    delete stateStep.leaseExpiresAt;
+  }
+}
+
+/**
+ * Scripts write the step file first and ralph-state.json second, so after a crash the step file is
+ * the newer record. State entries are brought in line with it; claims left without a lock go back to pending.
+ */
+function reconcileSteps(config, stepsDirAbs, state) {
+  const changes = [];
+  const orphanStepFiles = [];
+  const corruptStepFiles = [];
+  const fileIds = existsSync(stepsDirAbs)
+    ? readdirSync(stepsDirAbs).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''))
+    : [];
+  const stepIds = [...new Set([...Object.keys(state.steps), ...fileIds])];
+
+  for (const stepId of stepIds) {
+    const stepFileAbs = join(stepsDirAbs, `${stepId}.json`);
+    const stateStep = state.steps[stepId] && typeof state.steps[stepId] === 'object' ? state.steps[stepId] : null;
+    const hasFile = fileIds.includes(stepId);
+    const stepData = hasFile ? tryReadJsonFile(stepFileAbs, { maxBytes: 512 * 1024 }) : null;
+
+    if (hasFile && !stepData) {
+      corruptStepFiles.push(stepId);
+      continue;
+    }
+    if (!stateStep) {
+      orphanStepFiles.push(stepId);
+      continue;
+    }
+
+    const hasLock = existsSync(join(stepsDirAbs, `${stepId}.lock`));
+    const fileStatus = stepData?.status || 'pending';
+    const stateStatus = stateStep.status || 'pending';
+
+    if ((fileStatus === 'in-progress' || (!stepData && stateStatus === 'in-progress')) && !hasLock) {
+      changes.push({ stepId, from: { file: stepData ? fileStatus : null, state: stateStatus }, to: 'pending', reason: 'claim-without-lock' });
+      resetStep(stepFileAbs, stepData, stateStep, config.dryRun);
+      continue;
+    }
+
+    if (stepData && fileStatus !== stateStatus) {
+      changes.push({ stepId, from: { file: fileStatus, state: stateStatus }, to: fileStatus, reason: 'state-behind-step-file' });
+      if (config.dryRun) continue;
+      stateStep.status = fileStatus;
+      for (const key of ['worker', 'claimedAt', 'leaseExpiresAt', 'completedAt', 'submittedAt', 'feedback', 'attempts']) {
+        if (stepData[key] !== undefined && stepData[key] !== null) stateStep[key] = stepData[key];
+        else delete stateStep[key];
+      }
+      if (stepData.lastFailure) {
+        stateStep.lastError = stepData.lastFailure.reason;
+        stateStep.failedAt = stepData.lastFailure.failedAt;
+      }
+    }
+  }
+
+  return { changes, orphanStepFiles, corruptStepFiles };
+}
+
+function buildResumePlan(state, stepStatus) {
+  const iteration = Number.isInteger(state.iteration) ? state.iteration : 1;
+  const steps = state.steps;
+  const readySteps = computeReadyStepIds(steps, stepId => stepStatus.get(stepId));
+  const byStatus = status => Object.keys(steps).filter(stepId => (stepStatus.get(stepId) || 'pending') === status);
+  const blockedSteps = Object.keys(steps)
+    .filter(stepId => !readySteps.includes(stepId) && ['pending', 'failed'].includes(stepStatus.get(stepId) || 'pending'))
+    .map(stepId => ({
+      stepId,
+      waitingOn: (getStepDependencies(steps[stepId]) || []).filter(dep => stepStatus.get(dep) !== 'complete')
+    }));
+  const inProgressSteps = byStatus('in-progress');
+  const exhaustedSteps = byStatus('exhausted');
+  const awaitingApproval = byStatus('awaiting-approval');
+  const allComplete = Object.keys(steps).length > 0 && byStatus('complete').length === Object.keys(steps).length;
+  const validated = state.lastValidation?.iteration === iteration ? state.lastValidation : null;
+  const atMax = state.maxIterations !== null && state.maxIterations !== undefined && iteration >= state.maxIterations;
+
+  const approval = state.completionApproval;
+  const completionPending = validated?.overallComplete && state.requiresApproval === true &&
+    !(approval?.status === 'approved' && approval.iteration === iteration);
+
+  let nextAction;
+  if (completionPending) nextAction = approval?.status === 'rejected' ? 'advance-iteration' : 'await-approval';
+  else if (validated?.overallComplete) nextAction = 'done';
+  else if (exhaustedSteps.length > 0) nextAction = 'resolve-exhausted-steps';
+  else if (readySteps.length > 0 || inProgressSteps.length > 0) nextAction = 'run-steps';
+  else if (awaitingApproval.length > 0) nextAction = 'await-approval';
+  else if (allComplete && !validated) nextAction = 'run-monitor';
+  else if (atMax) nextAction = 'max-iterations-reached';
+  else nextAction = 'advance-iteration';
+
+  return {
+    iteration,
+    maxIterations: state.maxIterations ?? null,
+    nextAction,
+    stepsToRun: readySteps,
+    inProgressSteps,
+    blockedSteps,
+    exhaustedSteps,
+    awaitingApproval,
+    lastValidation: validated ? { overallComplete: validated.overallComplete, timestamp: validated.timestamp } : null
+  };
+}
+
+function recover(config) {
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  if (!existsSync(join(stateDirAbs, 'ralph-state.json'))) {
+    fail('State file not found. Run ralph-init.mjs first.');
+  }
+
+  const staleStateLock = clearDeadStateLock(stateLockAbs, config.dryRun);
+
+  // In dry-run the dead lock is still on disk, so inspect without taking it.
+  const run = fn => (config.dryRun && existsSync(stateLockAbs) ? fn() : withLock(stateLockAbs, fn));
+  return run(() => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+
+    const leftoverFiles = removeLeftoverFiles(config, stateDirAbs);
+
+    const { reasons, corrupt } = classifyStepLocks(config, stepsDirAbs);
+    const released = reclaimStepClaims(stateDirAbs, latestState, {
+      shouldReclaim: (lockData, stepId) => reasons.has(stepId),
+      reason: 'recovery',
+      dryRun: config.dryRun
+    }).map(r => ({ ...r, reason: reasons.get(r.stepId) }));
+    for (const stepId of corrupt) {
+      const removed = config.dryRun ? false : tryUnlink(join(stepsDirAbs, `${stepId}.lock`));
+      released.push({ stepId, workerId: null, reason: 'unreadable-lock', removed });
+    }
+
+    const { changes, orphanStepFiles, corruptStepFiles } = reconcileSteps(config, stepsDirAbs, latestState);
+
+    // Plan from what the directory will look like once the changes above are applied.
+    const stepStatus = new Map();
+    for (const stepId of Object.keys(latestState.steps)) {
+      const stepData = tryReadJsonFile(join(stepsDirAbs, `${stepId}.json`), { maxBytes: 512 * 1024 });
+      stepStatus.set(stepId, stepData?.status || latestState.steps[stepId]?.status || 'pending');
+    }
+    if (config.dryRun) {
+      for (const r of released) if (stepStatus.get(r.stepId) === 'in-progress') stepStatus.set(r.stepId, 'pending');
+      for (const c of changes) stepStatus.set(c.stepId, c.to);
+    }
+    const plan = buildResumePlan(latestState, stepStatus);
+
+    const repaired = leftoverFiles.length + released.length + changes.length + (staleStateLock ? 1 : 0);
+    if (!config.dryRun && repaired > 0) {
+      latestState.recoveredAt = new Date().toISOString();
+      writeJsonAtomic(stateFileAbs, latestState);
+      appendEvent(stateDirAbs, 'loop.recovered', null, {
+        staleStateLock: staleStateLock !== null,
+        leftoverFiles: leftoverFiles.length,
+        releasedLocks: released.map(r => ({ stepId: r.stepId, reason: r.reason })),
+        reconciled: changes.map(c => ({ stepId: c.stepId, to: c.to, reason: c.reason })),
+        nextAction: plan.nextAction
+      });
+    }
+
+    return {
+      stateDir: config.stateDir,
+      dryRun: config.dryRun,
+      staleStateLock,
+      leftoverFiles,
+      releasedLocks: released,
+      reconciled: changes,
+      orphanStepFiles,
+      corruptStepFiles,
+      plan
+    };
+  });
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = recover(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
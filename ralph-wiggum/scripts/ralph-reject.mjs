@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Rejection
+ * Sends a step awaiting approval back to pending with the reviewer's feedback, or rejects the loop's completion
+ */
+
+import { DEFAULT_STATE_DIR, exitWithError } from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { reject } from './lib/ralph-core.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stepId: null,
+    completion: false,
+    reviewer: null,
+    comment: null,
+    stateDir: DEFAULT_STATE_DIR
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--completion') {
+      result.completion = true;
+    } else if (arg === '--reviewer' && i + 1 < args.length) {
+      result.reviewer = args[++i];
+    } else if (arg === '--comment' && i + 1 < args.length) {
+      result.comment = args[++i];
+    } else if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (!arg.startsWith('--')) {
+      result.stepId = arg;
+    }
+  }
+
+  return result;
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = reject(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Report
+ * Renders a Markdown or self-contained HTML report of a loop (or one of its archives)
+ */
+
+import { DEFAULT_STATE_DIR, assertSafeStateDir, exitWithError, fail, resolveInCwd, writeFileAtomic } from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { REPORT_FORMATS, collectReport, renderReport } from './lib/ralph-report.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    format: 'markdown',
+    output: null,
+    archive: null,
+    includeArchives: true,
+    stateDir: DEFAULT_STATE_DIR
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--format' && i + 1 < args.length) {
+      result.format = args[++i];
+    } else if (arg === '--output' && i + 1 < args.length) {
+      result.output = args[++i];
+    } else if (arg === '--archive' && i + 1 < args.length) {
+      result.archive = args[++i];
+    } else if (arg === '--no-archives') {
+      result.includeArchives = false;
+    } else if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    }
+  }
+
+  if (result.format === 'md') result.format = 'markdown';
+  if (!REPORT_FORMATS.includes(result.format)) {
+    fail(`Format must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  assertSafeStateDir(result.stateDir);
+  return result;
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const report = collectReport(config);
+  const document = renderReport(report, config.format);
+
+  if (config.output) {
+    writeFileAtomic(resolveInCwd(config.output), document);
+    console.log(JSON.stringify({
+      format: config.format,
+      output: config.output,
+      bytes: Buffer.byteLength(document),
+      archive: report.archive,
+      iterations: report.iterations.length,
+      steps: report.steps.length
+    }));
+  } else {
+    process.stdout.write(document);
+  }
+} catch (error) {
+  exitWithError(error);
+}
@@ -0,0 +1,220 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Rollback
+ * Reverts one step's recorded changes, or resets the working tree to the start of an iteration
+ */
+
+import { existsSync, readdirSync } from 'fs';
+import { join } from 'path';
+import {
+  DEFAULT_STATE_DIR,
+  appendEvent,
+  assertSafeStateDir,
+  assertSafeStepId,
+  exitWithError,
+  fail,
+  readJsonFile,
+  readStateFile,
+  resolveInCwd,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  withLock,
+  writeFileAtomic,
+  writeJsonAtomic
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { applyPatch, bookkeepingPaths, captureWorkingTree, changedFiles, diffTrees, gitTopLevel } from './lib/ralph-git.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stepId: null,
+    iteration: null,
+    stateDir: DEFAULT_STATE_DIR,
+    dryRun: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--step' && i + 1 < args.length) {
+      result.stepId = args[++i];
+    } else if (arg === '--iteration' && i + 1 < args.length) {
+      const val = parseInt(args[++i], 10);
+      if (!Number.isFinite(val) || val <= 0) fail('iteration must be a positive integer');
+      result.iteration = val;
+    } else if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--dry-run') {
+      result.dryRun = true;
+    }
+  }
+
+  if (!result.stepId === !result.iteration) {
+    fail('Pass exactly one of --step <id> or --iteration <n>');
+  }
+
+  assertSafeStateDir(result.stateDir);
+  if (result.stepId) assertSafeStepId(result.stepId);
+  return result;
+}
+
+function requireTopLevel() {
+  const topLevel = gitTopLevel();
+  if (!topLevel) fail('Not inside a git work tree');
+  return topLevel;
+}
+
+function resetStepToPending(stateDirAbs, latestState, stepId, rollback) {
+  const stepFileAbs = join(stateDirAbs, 'steps', `${stepId}.json`);
+  const stepData = tryReadJsonFile(stepFileAbs, { maxBytes: 512 * 1024 });
+  if (stepData) {
+    stepData.status = 'pending';
+    stepData.worker = null;
+    stepData.rolledBack = { ...rollback, git: stepData.git || null };
+    delete stepData.git;
+    delete stepData.completedAt;
+    writeJsonAtomic(stepFileAbs, stepData);
+  }
+  if (latestState.steps?.[stepId] && typeof latestState.steps[stepId] === 'object') {
+    latestState.steps[stepId].status = 'pending';
+    latestState.steps[stepId].rolledBackAt = rollback.at;
+    delete latestState.steps[stepId].worker;
+    delete latestState.steps[stepId].completedAt;
+  }
+}
+
+function changeWindow(stepData) {
+  const from = stepData.git?.claimedAt || stepData.claimedAt;
+  const to = stepData.git?.completedAt || stepData.completedAt || stepData.submittedAt;
+  return from && to ? { from: Date.parse(from), to: Date.parse(to) } : null;
+}
+
+// Other recorded steps whose claim-to-completion window overlaps this one's and that changed some
+// of the same files: their edits may be in this step's patch too, so reverting it would undo them.
+function findOverlappingSteps(stateDirAbs, stepId, stepData) {
+  const window = changeWindow(stepData);
+  if (!window) return [];
+  const files = new Set(stepData.git.files || []);
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const overlapping = [];
+  for (const name of readdirSync(stepsDirAbs)) {
+    if (!name.endsWith('.json')) continue;
+    const other = tryReadJsonFile(join(stepsDirAbs, name), { maxBytes: 512 * 1024 });
+    if (!other?.git?.patch || other.stepId === stepId) continue;
+    const otherWindow = changeWindow(other);
+    if (!otherWindow || otherWindow.from >= window.to || window.from >= otherWindow.to) continue;
+    const shared = (other.git.files || []).filter(file => files.has(file));
+    if (shared.length > 0) overlapping.push({ stepId: other.stepId, status: other.status || null, files: shared });
+  }
+  return overlapping;
+}
+
+function rollbackStep(config, stateDirAbs) {
+  const stepId = config.stepId;
+  const stepData = readJsonFile(join(stateDirAbs, 'steps', `${stepId}.json`), { allowMissing: true });
+  if (!stepData) fail(`Step file not found: ${stepId}`);
+  if (stepData.status === 'in-progress') fail(`Step ${stepId} is in progress; refusing to roll back`);
+  if (!stepData.git?.patch) {
+    fail(`Step ${stepId} has no recorded changes`, { git: stepData.git || null });
+  }
+
+  const topLevel = requireTopLevel();
+  const patchAbs = resolveInCwd(stepData.git.patch);
+  if (!existsSync(patchAbs)) fail('Recorded patch file is missing', { patch: stepData.git.patch });
+
+  const overlapping = findOverlappingSteps(stateDirAbs, stepId, stepData);
+  if (overlapping.length > 0) {
+    fail(`Step ${stepId} ran alongside steps that changed the same files; its patch may include their edits. Declare --files on parallel steps, or roll back with --iteration`, { stepId, overlapping });
+  }
+
+  // Patches recorded before other loops' state was left out of snapshots may still contain it.
+  const exclude = bookkeepingPaths(topLevel, stateDirAbs);
+  const check = applyPatch(topLevel, patchAbs, { reverse: true, check: true, exclude });
+  if (!check.ok) {
+    fail('Step changes no longer revert cleanly (later edits touch the same lines)', { stepId, message: check.message });
+  }
+
+  const result = { mode: 'step', stepId, dryRun: config.dryRun, files: stepData.git.files || [], commit: stepData.git.commit || null };
+  if (config.dryRun) return result;
+
+  const applied = applyPatch(topLevel, patchAbs, { reverse: true, exclude });
+  if (!applied.ok) fail('Failed to revert step changes', { stepId, message: applied.message });
+
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+  withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    resetStepToPending(stateDirAbs, latestState, stepId, { at: new Date().toISOString(), mode: 'step' });
+    writeJsonAtomic(stateFileAbs, latestState);
+  });
+
+  appendEvent(stateDirAbs, 'rollback.applied', null, { mode: 'step', stepId, files: result.files });
+  return result;
+}
+
+function rollbackIteration(config, stateDirAbs) {
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const base = latestState.git?.iterationBases?.[config.iteration];
+    if (!latestState.git?.enabled || !base?.tree) {
+      fail(`No recorded starting tree for iteration ${config.iteration} (was the loop initialized with --git?)`);
+    }
+
+    const inProgress = Object.entries(latestState.steps || {}).filter(([, s]) => s?.status === 'in-progress').map(([id]) => id);
+    if (inProgress.length > 0) fail('Refusing to roll back while steps are in progress', { inProgress });
+
+    const topLevel = requireTopLevel();
+    const current = captureWorkingTree(stateDirAbs);
+    const exclude = bookkeepingPaths(topLevel, stateDirAbs);
+    const files = changedFiles(topLevel, current.tree, base.tree, null, { exclude });
+
+    // Steps completed during or after the target iteration lose their work, so they go back to pending.
+    const stepsDirAbs = join(stateDirAbs, 'steps');
+    const affectedSteps = existsSync(stepsDirAbs)
+      ? readdirSync(stepsDirAbs)
+        .filter(f => f.endsWith('.json'))
+        .map(f => tryReadJsonFile(join(stepsDirAbs, f), { maxBytes: 512 * 1024 }))
+        .filter(s => s?.status === 'complete' && Number.isInteger(s.git?.iteration) && s.git.iteration >= config.iteration)
+        .map(s => s.stepId)
+      : [];
+
+    const result = { mode: 'iteration', iteration: config.iteration, dryRun: config.dryRun, files, resetSteps: affectedSteps, undoPatch: null };
+    if (config.dryRun || files.length === 0) return result;
+
+    // Keep the forward diff so the rollback itself can be undone with `git apply -R`.
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const patchRel = join(config.stateDir, 'git', 'rollbacks', `${stamp}-to-iteration-${config.iteration}.patch`);
+    const patchAbs = resolveInCwd(patchRel);
+    writeFileAtomic(patchAbs, diffTrees(topLevel, current.tree, base.tree, null, { exclude }));
+
+    const applied = applyPatch(topLevel, patchAbs);
+    if (!applied.ok) fail('Failed to reset working tree', { message: applied.message, patch: patchRel });
+
+    const rollback = { at: new Date().toISOString(), mode: 'iteration', iteration: config.iteration };
+    for (const stepId of affectedSteps) resetStepToPending(stateDirAbs, latestState, stepId, rollback);
+    writeJsonAtomic(stateFileAbs, latestState);
+
+    appendEvent(stateDirAbs, 'rollback.applied', null, {
+      mode: 'iteration',
+      iteration: config.iteration,
+      files,
+      resetSteps: affectedSteps,
+      undoPatch: patchRel
+    });
+    return { ...result, undoPatch: patchRel };
+  });
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const result = config.stepId ? rollbackStep(config, stateDirAbs) : rollbackIteration(config, stateDirAbs);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
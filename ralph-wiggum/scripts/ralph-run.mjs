@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Run
+ * Drives the loop headless: runs a worker per ready step with bounded concurrency, runs the monitor
+ * after each iteration and advances until complete, maxIterations or the wall-clock budget
+ */
+
+import { spawn } from 'child_process';
+import { join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+import { randomUUID } from 'crypto';
+import {
+  DEFAULT_LEASE_SECONDS,
+  DEFAULT_STATE_DIR,
+  appendEvent,
+  exitWithError,
+  fail,
+  parseLeaseSeconds,
+  readStateFile,
+  resolveStateDirAbs,
+  tryReadJsonFile
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { truncateOutput } from './lib/ralph-checks.mjs';
+import {
+  advanceIteration,
+  claimStep,
+  completeStep,
+  failStep,
+  heartbeat,
+  readState,
+  releaseClaim,
+  validate
+} from './lib/ralph-core.mjs';
+
+// Another driver or a manual worker got there first; move on to the next ready step.
+const SKIPPABLE_CLAIM_ERRORS = ['STEP_TAKEN', 'STEP_LOCKED', 'DEPENDENCIES_INCOMPLETE'];
+const MAX_CAPTURE = 64 * 1024;
+const MAX_RESULT_LENGTH = 4000;
+const KILL_GRACE_MS = 5000;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stateDir: DEFAULT_STATE_DIR,
+    workerCmd: null,
+    workerModule: null,
+    monitorCmd: null,
+    monitorModule: null,
+    monitorId: 'monitor-run',
+    concurrency: 1,
+    maxDurationSeconds: null,
+    leaseSeconds: DEFAULT_LEASE_SECONDS,
+    workerPrefix: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--worker-cmd' && i + 1 < args.length) {
+      result.workerCmd = args[++i];
+    } else if (arg === '--worker-module' && i + 1 < args.length) {
+      result.workerModule = args[++i];
+    } else if (arg === '--monitor-cmd' && i + 1 < args.length) {
+      result.monitorCmd = args[++i];
+    } else if (arg === '--monitor-module' && i + 1 < args.length) {
+      result.monitorModule = args[++i];
+    } else if (arg === '--monitor-id' && i + 1 < args.length) {
+      result.monitorId = args[++i];
+    } else if (arg === '--concurrency' && i + 1 < args.length) {
+      const val = parseInt(args[++i], 10);
+      if (!Number.isFinite(val) || val < 1) fail('concurrency must be a positive integer', undefined, 'INVALID_ARGUMENT');
+      result.concurrency = val;
+    } else if (arg === '--max-duration' && i + 1 < args.length) {
+      const val = parseFloat(args[++i]);
+      if (!Number.isFinite(val) || val <= 0) fail('max-duration must be a positive number of seconds', undefined, 'INVALID_ARGUMENT');
+      result.maxDurationSeconds = val;
+    } else if (arg === '--lease-seconds' && i + 1 < args.length) {
+      result.leaseSeconds = parseLeaseSeconds(args[++i]);
+    } else if (arg === '--worker-prefix' && i + 1 < args.length) {
+      result.workerPrefix = args[++i];
+    }
+  }
+
+  if (Boolean(result.workerCmd) === Boolean(result.workerModule)) {
+    fail('Pass exactly one of --worker-cmd or --worker-module', undefined, 'INVALID_ARGUMENT');
+  }
+  if (result.monitorCmd && result.monitorModule) {
+    fail('Pass at most one of --monitor-cmd or --monitor-module', undefined, 'INVALID_ARGUMENT');
+  }
+
+  return result;
+}
+
+async function loadHandler(modulePath, exportNames) {
+  const mod = await import(pathToFileURL(resolve(modulePath)).href);
+  const handler = exportNames.map(name => mod[name]).find(fn => typeof fn === 'function');
+  if (!handler) {
+    fail(`Module ${modulePath} must export a ${exportNames.join(' or ')} function`, { module: modulePath }, 'INVALID_ARGUMENT');
+  }
+  return handler;
+}
+
+// Workers run in their own process group so a budget stop also ends anything they spawned.
+function killGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGTERM');
+  } catch {
+    child.kill('SIGTERM');
+  }
+  setTimeout(() => {
+    try {
+      process.kill(-child.pid, 'SIGKILL');
+    } catch {
+      // already gone
+    }
+  }, KILL_GRACE_MS).unref();
+}
+
+function runShell(command, env, signal) {
+  return new Promise(resolvePromise => {
+    const startedAt = Date.now();
+    const child = spawn(command, {
+      shell: true,
+      env: { ...process.env, ...env },
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
+    });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    const stop = () => killGroup(child);
+    const settle = value => {
+      if (settled) return;
+      settled = true;
+      signal.removeEventListener('abort', stop);
+      resolvePromise({ ...value, stdout, stderr, durationMs: Date.now() - startedAt });
+    };
+
+    child.stdout.on('data', d => (stdout = (stdout + d.toString('utf-8')).slice(-MAX_CAPTURE)));
+    child.stderr.on('data', d => (stderr = (stderr + d.toString('utf-8')).slice(-MAX_CAPTURE)));
+    child.on('error', error => settle({ code: null, signal: null, error: error.message }));
+    child.on('close', (code, sig) => settle({ code, signal: sig, error: null }));
+    if (signal.aborted) stop();
+    else signal.addEventListener('abort', stop, { once: true });
+  });
+}
+
+function describeExit(proc) {
+  if (proc.error) return `Worker failed to start: ${proc.error}`;
+  const how = proc.code !== null ? `exit code ${proc.code}` : `signal ${proc.signal}`;
+  const output = (proc.stderr.trim() || proc.stdout.trim()).slice(-500);
+  return `Worker ended with ${how}${output ? `: ${output}` : ''}`;
+}
+
+// Turns what the worker did into a step transition, unless the worker already recorded one itself.
+function settleStep(run, claim, outcome, durationMs) {
+  const { stepId, workerId } = claim;
+  const stateDir = run.config.stateDir;
+  const record = { stepId, workerId, durationMs };
+  try {
+    const stepData = tryReadJsonFile(join(run.stateDirAbs, 'steps', `${stepId}.json`), { maxBytes: 512 * 1024 });
+    if (stepData?.status !== 'in-progress' || stepData.worker !== workerId) {
+      return { ...record, status: stepData?.status || 'unknown', settledBy: 'worker' };
+    }
+    if (run.signal.aborted) {
+      releaseClaim({ stepId, workerId, reason: `run-${run.stopReason()}`, stateDir });
+      return { ...record, status: 'pending', settledBy: 'driver', reason: `Released: run stopped (${run.stopReason()})` };
+    }
+    if (outcome.ok) {
+      const result = truncateOutput(outcome.result?.trim() || '', MAX_RESULT_LENGTH) || null;
+      const completed = completeStep({ stepId, workerId, result, usage: outcome.usage, artifacts: outcome.artifacts, stateDir });
+      return { ...record, status: completed.status, settledBy: 'driver' };
+    }
+    const failed = failStep({ stepId, workerId, reason: outcome.reason || 'Worker failed', stateDir });
+    return { ...record, status: failed.status, settledBy: 'driver', reason: failed.reason };
+  } catch (error) {
+    return { ...record, status: 'error', settledBy: 'driver', reason: error?.message || String(error) };
+  }
+}
+
+async function runWorker(run, claim, iteration) {
+  const { stepId, workerId } = claim;
+  const { config } = run;
+  const startedAt = Date.now();
+
+  // The worker is stopped when the run stops or when the step outlives the loop's per-step budget.
+  const stepController = new AbortController();
+  const abortStep = () => stepController.abort();
+  let maxStepSeconds = null;
+  let timedOut = false;
+  let stepTimer = null;
+  let renew = null;
+
+  let outcome;
+  try {
+    const { state } = readStateFile(run.stateDirAbs);
+    const definition = state.steps?.[stepId] || {};
+
+    run.signal.addEventListener('abort', abortStep, { once: true });
+    maxStepSeconds = state.budgets?.maxStepDurationSeconds ?? null;
+    stepTimer = maxStepSeconds !== null ? setTimeout(() => {
+      timedOut = true;
+      stepController.abort();
+    }, maxStepSeconds * 1000) : null;
+
+    // Renew the lease well before it runs out so ralph-reclaim.mjs never takes a live step.
+    renew = setInterval(() => {
+      try {
+        heartbeat({ stepId, workerId, stateDir: config.stateDir });
+      } catch {
+        // The claim is gone; settleStep sees that once the worker exits.
+      }
+    }, Math.max(1000, (config.leaseSeconds * 1000) / 3));
+
+    if (run.workerHandler) {
+      try {
+        const value = await run.workerHandler({
+          stepId,
+          workerId,
+          iteration,
+          task: run.task,
+          step: definition,
+          feedback: definition.feedback || null,
+          stateDir: config.stateDir,
+          stateDirAbs: run.stateDirAbs,
+          signal: stepController.signal
+        });
+        outcome = typeof value === 'string'
+          ? { ok: true, result: value }
+          : { ok: true, result: value?.result ?? null, usage: value?.usage, artifacts: value?.artifacts };
+      } catch (error) {
+        outcome = { ok: false, reason: error?.message || String(error) };
+      }
+    } else {
+      const proc = await runShell(config.workerCmd, {
+        RALPH_STATE_DIR: config.stateDir,
+        RALPH_STEP_ID: stepId,
+        RALPH_WORKER_ID: workerId,
+        RALPH_ITERATION: String(iteration),
+        RALPH_TASK: run.task,
+        RALPH_STEP_DESCRIPTION: definition.description || '',
+        RALPH_STEP_FEEDBACK: definition.feedback || ''
+      }, stepController.signal);
+      outcome = proc.code === 0 ? { ok: true, result: proc.stdout } : { ok: false, reason: describeExit(proc) };
+    }
+  } catch (error) {
+    // The worker never ran (unreadable state, spawn setup); fail the claimed step instead of leaving it held.
+    outcome = { ok: false, reason: `Worker could not start: ${error?.message || String(error)}` };
+  } finally {
+    if (renew) clearInterval(renew);
+    if (stepTimer) clearTimeout(stepTimer);
+    run.signal.removeEventListener('abort', abortStep);
+  }
+
+  if (timedOut && !run.signal.aborted) {
+    outcome = { ok: false, reason: `Step exceeded the step time budget of ${maxStepSeconds}s` };
+  }
+  return settleStep(run, claim, outcome, Date.now() - startedAt);
+}
+
+/**
+ * Runs workers over the ready steps until none are left. Each step gets at most one attempt per
+ * iteration, so a failing step is retried in the next iteration rather than in a tight loop.
+ */
+async function runIteration(run, iteration) {
+  const { config } = run;
+  const attempted = new Set();
+  const freeSlots = Array.from({ length: config.concurrency }, (_, i) => config.concurrency - i);
+  const running = new Set();
+  const outcomes = [];
+
+  const fillSlots = () => {
+    if (run.signal.aborted || run.budgetExhausted || freeSlots.length === 0) return;
+    for (const stepId of readState({ stateDir: config.stateDir }).readySteps) {
+      if (freeSlots.length === 0 || run.signal.aborted) break;
+      if (attempted.has(stepId)) continue;
+      attempted.add(stepId);
+
+      const slot = freeSlots.pop();
+      let claim;
+      try {
+        claim = claimStep({ stepId, workerId: `${run.workerPrefix}-${slot}`, leaseSeconds: config.leaseSeconds, stateDir: config.stateDir });
+      } catch (error) {
+        freeSlots.push(slot);
+        if (SKIPPABLE_CLAIM_ERRORS.includes(error?.code)) continue;
+        // A worker just used up a loop budget; let the running steps finish and stop after this iteration.
+        if (error?.code === 'BUDGET_EXHAUSTED') {
+          run.budgetExhausted = true;
+          return;
+        }
+        throw error;
+      }
+      const task = runWorker(run, claim, iteration).catch(error => (
+        { stepId, workerId: claim.workerId, status: 'error', settledBy: 'driver', reason: error?.message || String(error) }
+      )).then(outcome => {
+        outcomes.push(outcome);
+        running.delete(task);
+        freeSlots.push(slot);
+      });
+      running.add(task);
+    }
+  };
+
+  try {
+    fillSlots();
+    while (running.size > 0) {
+      await Promise.race(running);
+      fillSlots();
+    }
+  } catch (error) {
+    run.stop('error');
+    await Promise.allSettled(running);
+    throw error;
+  }
+  return outcomes;
+}
+
+async function runMonitor(run, iteration) {
+  const { config } = run;
+  if (run.monitorHandler) {
+    await run.monitorHandler({
+      iteration,
+      monitorId: config.monitorId,
+      task: run.task,
+      stateDir: config.stateDir,
+      stateDirAbs: run.stateDirAbs,
+      signal: run.signal
+    });
+  } else if (config.monitorCmd) {
+    const proc = await runShell(config.monitorCmd, {
+      RALPH_STATE_DIR: config.stateDir,
+      RALPH_ITERATION: String(iteration),
+      RALPH_MONITOR_ID: config.monitorId,
+      RALPH_TASK: run.task
+    }, run.signal);
+    if (run.signal.aborted) return null;
+    if (proc.code !== 0) {
+      fail('Monitor command failed', { iteration, exitCode: proc.code, stderr: truncateOutput(proc.stderr, 1000) }, 'MONITOR_FAILED');
+    }
+  } else {
+    validate({ iteration, monitorId: config.monitorId, stateDir: config.stateDir });
+  }
+  if (run.signal.aborted) return null;
+
+  const verdict = tryReadJsonFile(join(run.stateDirAbs, 'validation', `iteration-${iteration}.json`), { maxBytes: 4 * 1024 * 1024 });
+  if (!verdict) {
+    fail(`Monitor did not record a validation for iteration ${iteration}`, { iteration }, 'MONITOR_NO_VALIDATION');
+  }
+  return verdict;
+}
+
+async function runLoop(config) {
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const runId = randomUUID().substring(0, 8);
+  const controller = new AbortController();
+  let stopReason = null;
+  const initial = readState({ stateDir: config.stateDir });
+
+  const run = {
+    config,
+    stateDirAbs,
+    task: initial.task,
+    workerPrefix: config.workerPrefix || `run-${runId}`,
+    workerHandler: config.workerModule ? await loadHandler(config.workerModule, ['default', 'runStep']) : null,
+    monitorHandler: config.monitorModule ? await loadHandler(config.monitorModule, ['default', 'runMonitor']) : null,
+    signal: controller.signal,
+    budgetExhausted: false,
+    stopReason: () => stopReason,
+    stop: reason => {
+      if (!stopReason) stopReason = reason;
+      controller.abort();
+    }
+  };
+
+  const startedAtMs = Date.now();
+  const budgetTimer = config.maxDurationSeconds !== null ? setTimeout(() => run.stop('budget'), config.maxDurationSeconds * 1000) : null;
+  // The loop's own wall-clock budget (ralph-init.mjs --max-duration) counts from the loop start, not the run start.
+  const { limits, elapsedSeconds } = initial.budgets;
+  const loopBudgetTimer = limits.maxDurationSeconds !== null
+    ? setTimeout(() => run.stop('duration-budget'), Math.max(0, limits.maxDurationSeconds - elapsedSeconds) * 1000)
+    : null;
+  const onSignal = () => run.stop('interrupted');
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  const actor = { role: 'driver', id: `run-${runId}` };
+  appendEvent(stateDirAbs, 'run.started', actor, {
+    iteration: initial.iteration,
+    concurrency: config.concurrency,
+    worker: config.workerCmd ? 'command' : 'module',
+    monitor: config.monitorCmd ? 'command' : config.monitorModule ? 'module' : 'builtin',
+    maxDurationSeconds: config.maxDurationSeconds
+  });
+
+  const iterations = [];
+  try {
+    while (!stopReason) {
+      const { iteration, budgets } = readState({ stateDir: config.stateDir });
+      if (budgets.exhausted.length > 0) {
+        stopReason = budgets.exhausted[0].stopReason;
+        break;
+      }
+      const steps = await runIteration(run, iteration);
+      const verdict = stopReason ? null : await runMonitor(run, iteration);
+      iterations.push({
+        iteration,
+        steps,
+        overallComplete: verdict ? verdict.overallComplete : null,
+        notes: verdict ? verdict.notes : []
+      });
+      if (stopReason) break;
+
+      const current = readState({ stateDir: config.stateDir });
+      // readState applies the same order: complete, pending approvals, exhausted budgets, exhausted steps,
+      // max iterations. A gated loop is only complete once its completion is approved.
+      if (verdict.overallComplete && !current.requiresApproval) stopReason = 'complete';
+      else if (current.stopReason) stopReason = current.stopReason;
+      // Nothing ran and nothing is running elsewhere, so another iteration would look exactly the same.
+      else if (steps.length === 0 && current.inProgressSteps.length === 0) stopReason = 'stalled';
+      else advanceIteration({ stateDir: config.stateDir });
+    }
+  } finally {
+    if (budgetTimer) clearTimeout(budgetTimer);
+    if (loopBudgetTimer) clearTimeout(loopBudgetTimer);
+    process.removeListener('SIGINT', onSignal);
+    process.removeListener('SIGTERM', onSignal);
+  }
+
+  const final = readState({ stateDir: config.stateDir });
+  const durationMs = Date.now() - startedAtMs;
+  appendEvent(stateDirAbs, 'run.finished', actor, {
+    stopReason,
+    iteration: final.iteration,
+    completedSteps: final.completedSteps,
+    totalSteps: final.totalSteps,
+    durationMs
+  });
+
+  return {
+    runId,
+    stateDir: config.stateDir,
+    stopReason,
+    iteration: final.iteration,
+    completedSteps: final.completedSteps,
+    totalSteps: final.totalSteps,
+    exhaustedSteps: final.exhaustedSteps,
+    durationMs,
+    iterations
+  };
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = await runLoop(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
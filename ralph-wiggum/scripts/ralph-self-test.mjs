@@ -8,9 +8,32 @@
  * - Corrupted step files are rejected unless --force-overwrite
  * - Concurrent state updates do not lose step status updates
  * - Latest validation selection is numeric (iteration-10 > iteration-2)
+ * - Steps are only handed out once their dependencies are complete; cycles are rejected
+ * - ralph-steps.mjs validates edits, refuses to remove in-progress steps and releases the state lock
+ * - Failed steps are retried until maxAttempts, then exhausted and reported as blockers
+ * - Heartbeats extend claim leases; expired claims are reclaimed to pending, live ones are left alone
+ * - Iteration advance snapshots steps, resets abandoned claims and stops at maxIterations
+ * - Named checks gate completion: required failures block, advisory failures only add notes
+ * - Monitor votes are kept per monitorId and combined by the configured quorum policy
+ * - With --git, completed steps record a patch and commit that ralph-rollback.mjs can revert (skipped without git);
+ *   declared files scope parallel steps' patches, overlapping undeclared windows refuse --step, and other
+ *   registered loops' state is never recorded or rolled back
+ * - Claim, complete, fail, validation and cleanup append events; ralph-watch.mjs --until waits for them
+ * - ralph-recover.mjs clears dead-PID locks and temp files, reconciles step files with state, and plans the resume
+ * - State reads are validated against the schema; ralph-migrate.mjs upgrades unversioned state files
+ * - lib/ralph-core.mjs runs the loop in-process and throws RalphError with stable codes
+ * - ralph-run.mjs drives workers and the monitor across iterations and stops on completion or its time budget
+ * - Reported usage is totalled; exhausted token budgets stop the loop and refuse claims, slow steps fail on the step budget
+ * - Step artifacts are stored with hash, size and MIME type, listed by state-read and the monitor, and archived
+ * - Every configured promise must be found in its scope; negated promises block completion and locations are recorded
+ * - Steps requiring approval wait for ralph-approve.mjs; rejections return them to pending with feedback; completion can be gated
+ * - ralph-report.mjs renders the timeline, steps, checks, workers and monitors as Markdown or escaped HTML, also from archives
+ * - Archives carry a hashed manifest and can be listed, diffed, verified, restored (backing up the live loop) and pruned;
+ *   manifest paths outside the archive are refused
+ * - Named loops are registered and addressed with --loop; steps touching files another loop is working on are not claimed
  */
 
-import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'fs';
 import { tmpdir } from 'os';
 import { dirname, join, resolve } from 'path';
 import { spawn, spawnSync } from 'child_process';
@@ -182,6 +205,966 @@ async function testLatestValidationNumeric({ cwd, stateDir, verbose }) {
   assert(aggregated.isComplete === true, 'expected isComplete=true based on iteration-10 validation');
 }
 
+async function testDependencyReadySet({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  state.steps = {
+    'step-1': { description: 'base', status: 'pending' },
+    'step-2': { description: 'needs 1', status: 'pending', dependsOn: ['step-1'] },
+    'step-3': { description: 'needs 1 and 2', status: 'pending', dependsOn: ['step-1', 'step-2'] }
+  };
+  writeJson(stateFile, state);
+
+  const blocked = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'step-2', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd, verbose });
+  assert(blocked.code !== 0, 'expected claim of step-2 to fail while step-1 is pending');
+
+  const before = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(before.code === 0, `state-read failed: ${before.stderr || before.stdout}`);
+  const readyBefore = JSON.parse(before.stdout).readySteps;
+  assert(readyBefore.length === 1 && readyBefore[0] === 'step-1', `expected readySteps=[step-1], got ${JSON.stringify(readyBefore)}`);
+
+  const first = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd, verbose });
+  assert(first.code === 0, `claim --next failed: ${first.stderr || first.stdout}`);
+  assert(JSON.parse(first.stdout).stepId === 'step-1', 'expected --next to hand out step-1');
+
+  const none = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir, '--worker-id', 'w2'], { cwd, verbose });
+  assert(none.code !== 0, 'expected --next to fail while only blocked steps remain');
+
+  const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd, verbose });
+  assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+
+  const second = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir, '--worker-id', 'w2'], { cwd, verbose });
+  assert(second.code === 0, `claim --next failed: ${second.stderr || second.stdout}`);
+  assert(JSON.parse(second.stdout).stepId === 'step-2', 'expected --next to hand out step-2 once step-1 is complete');
+
+  const cyclic = readJson(stateFile);
+  cyclic.steps['step-1'].dependsOn = ['step-3'];
+  writeJson(stateFile, cyclic);
+  const rejected = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir, '--worker-id', 'w3'], { cwd, verbose });
+  assert(rejected.code !== 0 && rejected.stderr.includes('cycle'), 'expected dependency cycle to be rejected');
+}
+
+async function testStepsCli({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const planFile = `${stateDir}-plan.md`;
+  writeFileSync(join(cwd, planFile), '- [ ] setup: Create project\n- [ ] api: Build API (depends on: setup)\n', 'utf-8');
+  const imported = await spawnNode([nodePath('ralph-steps.mjs'), 'import', planFile, '--state-dir', stateDir], { cwd, verbose });
+  assert(imported.code === 0, `import failed: ${imported.stderr || imported.stdout}`);
+
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  assert(state.steps?.api?.dependsOn?.[0] === 'setup', 'expected api to depend on setup after import');
+
+  // --merge only updates the fields the import provides.
+  const mergeFile = `${stateDir}-merge.json`;
+  writeFileSync(join(cwd, mergeFile), JSON.stringify([{ id: 'api', maxAttempts: 5 }, { id: 'docs' }]), 'utf-8');
+  const merged = await spawnNode([nodePath('ralph-steps.mjs'), 'import', mergeFile, '--merge', '--state-dir', stateDir], { cwd, verbose });
+  assert(merged.code === 0, `import --merge failed: ${merged.stderr || merged.stdout}`);
+  const mergedSteps = readJson(stateFile).steps;
+  assert(mergedSteps.api.description === 'Build API' && mergedSteps.api.maxAttempts === 5 && mergedSteps.api.status === 'pending', `expected merge to keep the description: ${JSON.stringify(mergedSteps.api)}`);
+  assert(mergedSteps.docs.description === '' && mergedSteps.docs.status === 'pending', 'expected new imported steps to get defaults');
+
+  // Step IDs that are Object.prototype members are ordinary IDs.
+  const protoAdd = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'toString', '--state-dir', stateDir], { cwd, verbose });
+  assert(protoAdd.code === 0 && readJson(stateFile).steps.toString.status === 'pending', `expected add toString to work: ${protoAdd.stderr}`);
+  const protoUpdate = await spawnNode([nodePath('ralph-steps.mjs'), 'update', 'constructor', '--description', 'x', '--state-dir', stateDir], { cwd, verbose });
+  assert(protoUpdate.code !== 0 && !Object.hasOwn(readJson(stateFile).steps, 'constructor'), 'expected update of a missing constructor step to fail');
+
+  // Generated Markdown IDs do not collide with explicit ones.
+  const numberedFile = `${stateDir}-numbered.md`;
+  writeFileSync(join(cwd, numberedFile), '- [ ] First\n- [ ] step-1: Explicit\n- [ ] Third\n', 'utf-8');
+  const numberedInit = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Numbered', '--state-dir', `${stateDir}-numbered`], { cwd, encoding: 'utf-8' });
+  assert(numberedInit.status === 0, `init failed: ${numberedInit.stderr}`);
+  const numberedImport = await spawnNode([nodePath('ralph-steps.mjs'), 'import', numberedFile, '--state-dir', `${stateDir}-numbered`], { cwd, verbose });
+  assert(numberedImport.code === 0, `numbered import failed: ${numberedImport.stderr || numberedImport.stdout}`);
+  const numberedSteps = readJson(join(cwd, `${stateDir}-numbered`, 'ralph-state.json')).steps;
+  assert(numberedSteps['step-1'].description === 'Explicit' && numberedSteps['step-2'].description === 'First' && numberedSteps['step-3'].description === 'Third',
+    `expected generated IDs to skip explicit ones: ${JSON.stringify(Object.keys(numberedSteps))}`);
+
+  const badDep = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'docs', '--depends-on', 'missing', '--state-dir', stateDir], { cwd, verbose });
+  assert(badDep.code !== 0, 'expected add with unknown dependency to fail');
+  assert(!existsSync(join(cwd, stateDir, 'ralph-state.lock')), 'expected state lock to be released after a rejected edit');
+
+  const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'setup', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd, verbose });
+  assert(claim.code === 0, `claim failed: ${claim.stderr || claim.stdout}`);
+  const removeBusy = await spawnNode([nodePath('ralph-steps.mjs'), 'remove', 'setup', '--state-dir', stateDir], { cwd, verbose });
+  assert(removeBusy.code !== 0, 'expected remove of in-progress step to fail');
+
+  const removeIdle = await spawnNode([nodePath('ralph-steps.mjs'), 'remove', 'api', '--state-dir', stateDir], { cwd, verbose });
+  assert(removeIdle.code === 0, `remove failed: ${removeIdle.stderr || removeIdle.stdout}`);
+  assert(!readJson(stateFile).steps?.api, 'expected api to be removed');
+}
+
+async function testFailureRetries({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const add = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'step-1', '--max-attempts', '2', '--state-dir', stateDir], { cwd, verbose });
+  assert(add.code === 0, `add failed: ${add.stderr || add.stdout}`);
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir, '--worker-id', `w${attempt}`], { cwd, verbose });
+    assert(claim.code === 0, `claim attempt ${attempt} failed: ${claim.stderr || claim.stdout}`);
+    const failRes = await spawnNode(
+      [nodePath('ralph-worker-fail.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', `w${attempt}`, '--reason', `broke ${attempt}`],
+      { cwd, verbose }
+    );
+    assert(failRes.code === 0, `fail attempt ${attempt} failed: ${failRes.stderr || failRes.stdout}`);
+    const failed = JSON.parse(failRes.stdout);
+    assert(failed.attempts === attempt, `expected attempts=${attempt}, got ${failed.attempts}`);
+    assert(failed.status === (attempt < 2 ? 'failed' : 'exhausted'), `unexpected status ${failed.status} after attempt ${attempt}`);
+    assert(!existsSync(join(cwd, stateDir, 'steps', 'step-1.lock')), 'expected step lock to be released on failure');
+  }
+
+  const reclaim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w3'], { cwd, verbose });
+  assert(reclaim.code !== 0, 'expected exhausted step to be unclaimable');
+
+  const monitor = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(monitor.code === 0, `monitor failed: ${monitor.stderr || monitor.stdout}`);
+  const validation = JSON.parse(monitor.stdout);
+  assert(validation.blockers.length === 1 && validation.blockers[0].includes('broke 2'), 'expected exhausted step to be reported as a blocker');
+
+  const readRes = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  const aggregated = JSON.parse(readRes.stdout);
+  assert(aggregated.exhaustedSteps[0] === 'step-1' && aggregated.canContinue === false, 'expected exhausted step to stop the loop');
+}
+
+async function testLeaseReclaim({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  state.steps = {
+    'step-1': { description: 'dies', status: 'pending' },
+    'step-2': { description: 'lives', status: 'pending' }
+  };
+  writeJson(stateFile, state);
+
+  for (const [stepId, workerId] of [['step-1', 'w-dead'], ['step-2', 'w-live']]) {
+    const claim = await spawnNode(
+      [nodePath('ralph-worker-claim.mjs'), stepId, '--state-dir', stateDir, '--worker-id', workerId, '--lease-seconds', '60'],
+      { cwd, verbose }
+    );
+    assert(claim.code === 0, `claim ${stepId} failed: ${claim.stderr || claim.stdout}`);
+  }
+
+  // Simulate a worker that stopped heartbeating by back-dating its lease.
+  const lockFile = join(cwd, stateDir, 'steps', 'step-1.lock');
+  const lock = readJson(lockFile);
+  lock.leaseExpiresAt = new Date(Date.now() - 1000).toISOString();
+  writeJson(lockFile, lock);
+
+  const beat = await spawnNode(
+    [nodePath('ralph-worker-heartbeat.mjs'), 'step-2', '--state-dir', stateDir, '--worker-id', 'w-live', '--lease-seconds', '120'],
+    { cwd, verbose }
+  );
+  assert(beat.code === 0, `heartbeat failed: ${beat.stderr || beat.stdout}`);
+  assert(Date.parse(JSON.parse(beat.stdout).leaseExpiresAt) > Date.now() + 60 * 1000, 'expected heartbeat to extend the lease');
+
+  const reclaim = await spawnNode([nodePath('ralph-reclaim.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(reclaim.code === 0, `reclaim failed: ${reclaim.stderr || reclaim.stdout}`);
+  const reclaimed = JSON.parse(reclaim.stdout).reclaimed;
+  assert(reclaimed.length === 1 && reclaimed[0].stepId === 'step-1' && reclaimed[0].workerId === 'w-dead', 'expected only step-1 to be reclaimed');
+
+  const after = readJson(stateFile);
+  assert(after.steps['step-1'].status === 'pending' && after.steps['step-1'].reclaimedFrom === 'w-dead', 'expected step-1 back to pending');
+  assert(after.steps['step-2'].status === 'in-progress', 'expected step-2 to stay in progress');
+
+  const lateComplete = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w-dead'], { cwd, verbose });
+  assert(lateComplete.code !== 0, 'expected the reclaimed worker to be unable to complete');
+
+  const reclaimAgain = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir, '--worker-id', 'w-new'], { cwd, verbose });
+  assert(reclaimAgain.code === 0 && JSON.parse(reclaimAgain.stdout).stepId === 'step-1', 'expected step-1 to be claimable again');
+}
+
+async function testIterationAdvance({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir, '--max-iterations', '2'], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  state.steps = { 'step-1': { description: 'done', status: 'pending' }, 'step-2': { description: 'abandoned', status: 'pending' } };
+  writeJson(stateFile, state);
+
+  for (const stepId of ['step-1', 'step-2']) {
+    const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), stepId, '--state-dir', stateDir, '--worker-id', `w-${stepId}`], { cwd, verbose });
+    assert(claim.code === 0, `claim ${stepId} failed: ${claim.stderr || claim.stdout}`);
+  }
+  const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w-step-1'], { cwd, verbose });
+  assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+
+  const next = await spawnNode([nodePath('ralph-iteration-next.mjs'), '--state-dir', stateDir, '--reset-claims'], { cwd, verbose });
+  assert(next.code === 0, `iteration-next failed: ${next.stderr || next.stdout}`);
+  const advanced = JSON.parse(next.stdout);
+  assert(advanced.iteration === 2, `expected iteration 2, got ${advanced.iteration}`);
+  assert(advanced.reclaimed.length === 1 && advanced.reclaimed[0].stepId === 'step-2', 'expected abandoned step-2 to be reset');
+
+  const snapshotStep = readJson(join(cwd, stateDir, 'iterations', '1', 'steps', 'step-2.json'));
+  assert(snapshotStep.status === 'in-progress', 'expected snapshot to capture end-of-iteration step state');
+  const record = readJson(join(cwd, stateDir, 'iterations', '1', 'iteration.json'));
+  assert(record.startedAt && record.endedAt, 'expected iteration record with start and end times');
+  assert(readJson(stateFile).steps['step-2'].status === 'pending', 'expected step-2 to be pending in iteration 2');
+
+  const beyond = await spawnNode([nodePath('ralph-iteration-next.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(beyond.code !== 0, 'expected advancing past maxIterations to fail');
+
+  const readRes = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  const aggregated = JSON.parse(readRes.stdout);
+  assert(aggregated.iterationHistory.length === 1 && aggregated.iterationHistory[0].iteration === 1, 'expected one iteration in history');
+}
+
+async function testValidationChecks({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const node = JSON.stringify(process.execPath);
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  state.steps = { 'step-1': { description: 'demo', status: 'complete' } };
+  state.checks = [
+    {
+      name: 'report',
+      command: `${node} -e "console.log(JSON.stringify({ failed: 0, suites: [{ ok: true }] }))"`,
+      jsonAssertions: [{ path: '$.failed', equals: 0 }, { path: '$.suites[0].ok', equals: true }]
+    },
+    { name: 'style', command: `${node} -e "process.exit(1)"`, severity: 'advisory' }
+  ];
+  writeJson(stateFile, state);
+
+  const passing = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(passing.code === 0, `monitor failed: ${passing.stderr || passing.stdout}`);
+  const okValidation = JSON.parse(passing.stdout);
+  assert(okValidation.checks.length === 2, `expected 2 check results, got ${okValidation.checks.length}`);
+  assert(okValidation.checksPassing === true && okValidation.overallComplete === true, 'expected advisory failure not to block completion');
+  assert(typeof okValidation.checks[0].durationMs === 'number', 'expected per-check duration');
+
+  const failing = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir, '--test-command', `${node} -e "process.exit(2)"`], { cwd, verbose });
+  assert(failing.code === 0, `monitor failed: ${failing.stderr || failing.stdout}`);
+  const badValidation = JSON.parse(failing.stdout);
+  assert(badValidation.checksPassing === false && badValidation.overallComplete === false, 'expected failing required check to block completion');
+}
+
+async function testMonitorConsensus({ cwd, stateDir, verbose }) {
+  const init = spawnSync(
+    process.execPath,
+    [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir, '--consensus', 'n-of-m', '--quorum', '2', '--monitors', '3'],
+    { cwd, encoding: 'utf-8' }
+  );
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  state.steps = { 'step-1': { description: 'demo', status: 'complete' } };
+  writeJson(stateFile, state);
+
+  const node = JSON.stringify(process.execPath);
+  const flaky = await spawnNode(
+    [nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir, '--monitor-id', 'm-flaky', '--test-command', `${node} -e "process.exit(1)"`],
+    { cwd, verbose }
+  );
+  assert(flaky.code === 0, `monitor failed: ${flaky.stderr || flaky.stdout}`);
+
+  const first = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir, '--monitor-id', 'm-1'], { cwd, verbose });
+  const afterOne = JSON.parse(first.stdout);
+  assert(afterOne.vote.overallComplete === true && afterOne.overallComplete === false, 'expected 1 of 2 required votes not to complete');
+
+  await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir, '--monitor-id', 'm-2'], { cwd, verbose });
+
+  const readRes = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  const aggregated = JSON.parse(readRes.stdout);
+  assert(aggregated.isComplete === true, 'expected 2 of 3 votes to complete the loop');
+  assert(aggregated.lastValidation.votes.length === 3, `expected 3 recorded votes, got ${aggregated.lastValidation.votes.length}`);
+  assert(aggregated.lastValidation.dissent.length === 1 && aggregated.lastValidation.dissent[0].monitorId === 'm-flaky', 'expected flaky monitor as dissent');
+
+  const uncountedDir = `${stateDir}-uncounted`;
+  const rejected = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', uncountedDir, '--consensus', 'majority'], { cwd, encoding: 'utf-8' });
+  assert(rejected.status !== 0 && JSON.parse(rejected.stderr).code === 'INVALID_ARGUMENT', `expected majority without --monitors to be rejected: ${rejected.stderr || rejected.stdout}`);
+
+  // A state written before --monitors was required must not let the first vote decide completion.
+  const legacyInit = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', uncountedDir], { cwd, encoding: 'utf-8' });
+  assert(legacyInit.status === 0, `init failed: ${legacyInit.stderr || legacyInit.stdout}`);
+  const legacyFile = join(cwd, uncountedDir, 'ralph-state.json');
+  const legacy = readJson(legacyFile);
+  legacy.consensus = { policy: 'unanimous', required: null, monitors: null };
+  legacy.steps = { 'step-1': { description: 'demo', status: 'complete' } };
+  writeJson(legacyFile, legacy);
+  const lone = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', uncountedDir, '--monitor-id', 'm-1'], { cwd, verbose });
+  const loneResult = JSON.parse(lone.stdout);
+  assert(loneResult.vote.overallComplete === true && loneResult.overallComplete === false, 'expected a single vote not to complete without a monitor count');
+  const second = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--state-dir', uncountedDir, '--monitor-id', 'm-2'], { cwd, verbose });
+  assert(JSON.parse(second.stdout).overallComplete === true, 'expected two agreeing votes to complete');
+}
+
+async function testGitRollback({ cwd, stateDir, verbose }) {
+  if (spawnSync('git', ['--version']).status !== 0) {
+    // eslint-disable-next-line no-console
+    console.log('  (skipped: git not available)');
+    return;
+  }
+
+  const repo = join(cwd, 'git-repo');
+  mkdirSync(repo, { recursive: true });
+  const git = args => spawnSync('git', args, { cwd: repo, encoding: 'utf-8' });
+  assert(git(['init', '-q']).status === 0, 'git init failed');
+  writeFileSync(join(repo, 'app.txt'), 'v1\n', 'utf-8');
+
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir, '--git'], { cwd: repo, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  const add = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'step-1', '--state-dir', stateDir], { cwd: repo, verbose });
+  assert(add.code === 0, `add failed: ${add.stderr || add.stdout}`);
+
+  const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd: repo, verbose });
+  assert(claim.code === 0, `claim failed: ${claim.stderr || claim.stdout}`);
+  writeFileSync(join(repo, 'app.txt'), 'v2\n', 'utf-8');
+  writeFileSync(join(repo, 'extra.txt'), 'new\n', 'utf-8');
+
+  const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd: repo, verbose });
+  assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+  const record = JSON.parse(done.stdout).git;
+  assert(record?.files?.length === 2 && record.commit, `expected a recorded commit touching 2 files, got ${JSON.stringify(record)}`);
+  assert(git(['rev-parse', '--verify', record.ref]).status === 0, 'expected step ref to exist');
+
+  const rollback = await spawnNode([nodePath('ralph-rollback.mjs'), '--step', 'step-1', '--state-dir', stateDir], { cwd: repo, verbose });
+  assert(rollback.code === 0, `rollback failed: ${rollback.stderr || rollback.stdout}`);
+  assert(readFileSync(join(repo, 'app.txt'), 'utf-8') === 'v1\n', 'expected app.txt to be reverted');
+  assert(!existsSync(join(repo, 'extra.txt')), 'expected extra.txt to be removed');
+  assert(readJson(join(repo, stateDir, 'ralph-state.json')).steps['step-1'].status === 'pending', 'expected rolled back step to be pending');
+
+  // Parallel steps: declared files scope each patch; undeclared overlapping windows refuse --step.
+  const run = async (cmdArgs, label) => {
+    const res = await spawnNode(cmdArgs, { cwd: repo, verbose });
+    assert(res.code === 0, `${label} failed: ${res.stderr || res.stdout}`);
+    return res;
+  };
+  const runParallel = async (steps, writes) => {
+    for (const [stepId, files] of steps) {
+      await run([nodePath('ralph-steps.mjs'), 'add', stepId, ...(files ? ['--files', files] : []), '--state-dir', stateDir], `add ${stepId}`);
+      await run([nodePath('ralph-worker-claim.mjs'), stepId, '--state-dir', stateDir, '--worker-id', stepId], `claim ${stepId}`);
+    }
+    for (const [file, text] of writes) writeFileSync(join(repo, file), text, 'utf-8');
+    const records = {};
+    for (const [stepId] of steps) {
+      const res = await run([nodePath('ralph-worker-complete.mjs'), stepId, '--state-dir', stateDir, '--worker-id', stepId], `complete ${stepId}`);
+      records[stepId] = JSON.parse(res.stdout).git;
+    }
+    return records;
+  };
+
+  const scoped = await runParallel([['step-2', 'a.txt'], ['step-3', 'b.txt']], [['a.txt', 'a\n'], ['b.txt', 'b\n']]);
+  assert(JSON.stringify(scoped['step-2'].files) === '["a.txt"]' && scoped['step-2'].scope === 'declared', `expected step-2 to record only a.txt: ${JSON.stringify(scoped['step-2'])}`);
+  assert(scoped['step-2'].unattributed.includes('b.txt'), 'expected the other step\'s file to be listed as unattributed');
+  await run([nodePath('ralph-rollback.mjs'), '--step', 'step-2', '--state-dir', stateDir], 'scoped rollback');
+  assert(!existsSync(join(repo, 'a.txt')) && readFileSync(join(repo, 'b.txt'), 'utf-8') === 'b\n', 'expected only step-2\'s file to be reverted');
+
+  await runParallel([['step-4', null], ['step-5', null]], [['c.txt', 'c\n'], ['d.txt', 'd\n']]);
+  const refused = await spawnNode([nodePath('ralph-rollback.mjs'), '--step', 'step-4', '--state-dir', stateDir], { cwd: repo, verbose });
+  assert(refused.code !== 0 && JSON.parse(refused.stderr).details.overlapping[0].stepId === 'step-5', `expected overlapping windows to refuse --step: ${refused.stderr}`);
+  assert(existsSync(join(repo, 'c.txt')) && existsSync(join(repo, 'd.txt')), 'expected a refused rollback to leave the tree alone');
+
+  // Another registered loop's state is never part of a step's changes or a rollback.
+  await run([nodePath('ralph-init.mjs'), 'Loop A', '--loop', 'a', '--git'], 'init loop a');
+  await run([nodePath('ralph-init.mjs'), 'Loop B', '--loop', 'b'], 'init loop b');
+  await run([nodePath('ralph-steps.mjs'), 'add', 's1', '--loop', 'a'], 'add s1');
+  await run([nodePath('ralph-steps.mjs'), 'add', 't1', '--loop', 'b'], 'add t1');
+  await run([nodePath('ralph-worker-claim.mjs'), 's1', '--loop', 'a', '--worker-id', 'wa'], 'claim s1');
+  await run([nodePath('ralph-worker-claim.mjs'), 't1', '--loop', 'b', '--worker-id', 'wb'], 'claim t1');
+  writeFileSync(join(repo, 'e.txt'), 'e\n', 'utf-8');
+  const s1 = JSON.parse((await run([nodePath('ralph-worker-complete.mjs'), 's1', '--loop', 'a', '--worker-id', 'wa'], 'complete s1')).stdout).git;
+  assert(JSON.stringify(s1.files) === '["e.txt"]', `expected only e.txt in loop a's step, got ${JSON.stringify(s1.files)}`);
+  const planned = JSON.parse((await run([nodePath('ralph-rollback.mjs'), '--iteration', '1', '--dry-run', '--loop', 'a'], 'iteration dry run')).stdout);
+  assert(!planned.files.some(file => file.startsWith('.ralph-loops/')), `expected iteration rollback to leave loop state alone: ${planned.files}`);
+  await run([nodePath('ralph-rollback.mjs'), '--step', 's1', '--loop', 'a'], 'rollback s1');
+  assert(!existsSync(join(repo, 'e.txt')), 'expected loop a\'s change to be reverted');
+  assert(existsSync(join(repo, '.ralph-loops', 'b', 'steps', 't1.lock')) && readJson(join(repo, '.ralph-loops', 'b', 'steps', 't1.json')).status === 'in-progress',
+    'expected loop b\'s live claim to survive loop a\'s rollback');
+}
+
+async function testEventLog({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  const add = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'step-1', '--state-dir', stateDir], { cwd, verbose });
+  assert(add.code === 0, `add failed: ${add.stderr || add.stdout}`);
+
+  // Start watching before anything happens so the watcher only sees new events.
+  const watcher = spawnNode(
+    [nodePath('ralph-watch.mjs'), '--format', 'events', '--until', 'validation.recorded', '--timeout', '30', '--interval-ms', '50', '--state-dir', stateDir],
+    { cwd, verbose }
+  );
+  await new Promise(r => setTimeout(r, 300));
+
+  const run = async (args, label) => {
+    const res = await spawnNode(args, { cwd, verbose });
+    assert(res.code === 0, `${label} failed: ${res.stderr || res.stdout}`);
+  };
+  await run([nodePath('ralph-worker-claim.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w1'], 'claim');
+  await run([nodePath('ralph-worker-fail.mjs'), 'step-1', '--state-dir', stateDir, '--reason', 'flaky'], 'fail');
+  await run([nodePath('ralph-worker-claim.mjs'), 'step-1', '--state-dir', stateDir, '--worker-id', 'w2'], 'reclaim');
+  await run([nodePath('ralph-worker-complete.mjs'), 'step-1', '--state-dir', stateDir], 'complete');
+  await run([nodePath('ralph-monitor-check.mjs'), '--state-dir', stateDir, '--monitor-id', 'm1'], 'monitor');
+
+  const watched = await watcher;
+  assert(watched.code === 0, `watch failed: ${watched.stderr || watched.stdout}`);
+  const seen = watched.stdout.trim().split('\n').map(line => JSON.parse(line));
+  const types = seen.map(e => e.type);
+  const expected = ['step.claimed', 'step.failed', 'step.claimed', 'step.completed', 'validation.recorded'];
+  assert(JSON.stringify(types) === JSON.stringify(expected), `unexpected watched events: ${types.join(', ')}`);
+  assert(seen[1].actor.role === 'worker' && seen[1].actor.id === 'w1' && seen[1].payload.reason === 'flaky', 'expected fail event to carry actor and reason');
+  assert(seen[4].actor.id === 'm1' && seen[4].payload.overallComplete === true, 'expected validation event from monitor m1');
+
+  await run([nodePath('ralph-cleanup.mjs'), '--state-dir', stateDir], 'cleanup');
+  const logged = readFileSync(join(cwd, stateDir, 'events.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+  assert(logged[0].type === 'loop.initialized' && logged[logged.length - 1].type === 'cleanup.finished', 'expected log to span init through cleanup');
+}
+
+async function testRecover({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Self test', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  for (const stepId of ['step-1', 'step-2', 'step-3']) {
+    const add = await spawnNode([nodePath('ralph-steps.mjs'), 'add', stepId, '--state-dir', stateDir], { cwd, verbose });
+    assert(add.code === 0, `add ${stepId} failed: ${add.stderr || add.stdout}`);
+  }
+  const dep = await spawnNode([nodePath('ralph-steps.mjs'), 'update', 'step-3', '--depends-on', 'step-1', '--state-dir', stateDir], { cwd, verbose });
+  assert(dep.code === 0, `update failed: ${dep.stderr || dep.stdout}`);
+  for (const [stepId, workerId] of [['step-1', 'w1'], ['step-2', 'w2']]) {
+    const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), stepId, '--state-dir', stateDir, '--worker-id', workerId], { cwd, verbose });
+    assert(claim.code === 0, `claim ${stepId} failed: ${claim.stderr || claim.stdout}`);
+  }
+
+  // Simulate an orchestrator that died mid-write: step-1 lost its lock, step-2's completion never reached
+  // ralph-state.json or released its lock, and a dead process left the state lock and a temp file behind.
+  const stateDirAbs = join(cwd, stateDir);
+  const deadPid = spawnSync(process.execPath, ['-e', 'process.stdout.write(String(process.pid))'], { encoding: 'utf-8' }).stdout;
+  rmSync(join(stateDirAbs, 'steps', 'step-1.lock'));
+  const step2 = readJson(join(stateDirAbs, 'steps', 'step-2.json'));
+  writeJson(join(stateDirAbs, 'steps', 'step-2.json'), { ...step2, status: 'complete', completedAt: new Date().toISOString() });
+  writeFileSync(join(stateDirAbs, 'ralph-state.lock'), JSON.stringify({ pid: Number(deadPid), createdAt: new Date().toISOString() }));
+  writeFileSync(join(stateDirAbs, `ralph-state.json.tmp.${deadPid}.1`), '{');
+
+  const dry = await spawnNode([nodePath('ralph-recover.mjs'), '--dry-run', '--state-dir', stateDir], { cwd, verbose });
+  assert(dry.code === 0, `dry run failed: ${dry.stderr || dry.stdout}`);
+  const planned = JSON.parse(dry.stdout);
+  assert(existsSync(join(stateDirAbs, 'ralph-state.lock')), 'expected dry run to leave the state lock in place');
+  assert(planned.plan.stepsToRun.join(',') === 'step-1', `expected dry-run plan to re-run step-1, got ${planned.plan.stepsToRun}`);
+
+  const apply = await spawnNode([nodePath('ralph-recover.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(apply.code === 0, `recover failed: ${apply.stderr || apply.stdout}`);
+  const recovered = JSON.parse(apply.stdout);
+  assert(recovered.staleStateLock?.removed === true, 'expected dead state lock to be removed');
+  assert(recovered.leftoverFiles.length === 1 && recovered.leftoverFiles[0].removed, 'expected dead temp file to be removed');
+  assert(recovered.releasedLocks.some(l => l.stepId === 'step-2' && l.reason === 'orphaned-lock'), 'expected step-2 lock to be released');
+  assert(!existsSync(join(stateDirAbs, 'steps', 'step-2.lock')), 'expected step-2 lock file to be gone');
+
+  const state = readJson(join(stateDirAbs, 'ralph-state.json'));
+  assert(state.steps['step-1'].status === 'pending', `expected step-1 pending, got ${state.steps['step-1'].status}`);
+  assert(state.steps['step-2'].status === 'complete', `expected step-2 complete, got ${state.steps['step-2'].status}`);
+  assert(readJson(join(stateDirAbs, 'steps', 'step-1.json')).status === 'pending', 'expected step-1 file reset to pending');
+  assert(recovered.plan.nextAction === 'run-steps' && recovered.plan.stepsToRun.join(',') === 'step-1', 'expected resume plan to re-run step-1');
+  assert(recovered.plan.blockedSteps[0]?.stepId === 'step-3', 'expected step-3 to wait on step-1');
+
+  const again = await spawnNode([nodePath('ralph-recover.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  const second = JSON.parse(again.stdout);
+  assert(second.reconciled.length === 0 && second.releasedLocks.length === 0 && second.staleStateLock === null, 'expected recovery to be idempotent');
+}
+
+async function testSchemaMigration({ cwd, stateDir, verbose }) {
+  // The state file as ralph-init.mjs wrote it before schemaVersion existed.
+  const stateDirAbs = join(cwd, stateDir);
+  mkdirSync(join(stateDirAbs, 'steps'), { recursive: true });
+  writeJson(join(stateDirAbs, 'ralph-state.json'), {
+    task: 'Legacy loop',
+    iteration: 1,
+    maxIterations: 5,
+    completionPromise: null,
+    startedAt: new Date().toISOString(),
+    steps: { 'step-1': { description: 'old' }, 'step-2': { description: 'old', status: 'pending' } },
+    workers: [],
+    monitors: []
+  });
+  writeJson(join(stateDirAbs, 'steps', 'step-1.json'), { stepId: 'step-1', status: 'complete' });
+
+  const refused = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'step-2', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd, verbose });
+  assert(refused.code !== 0 && refused.stderr.includes('ralph-migrate.mjs'), 'expected unversioned state to be refused with a migrate hint');
+
+  const dry = await spawnNode([nodePath('ralph-migrate.mjs'), '--dry-run', '--state-dir', stateDir], { cwd, verbose });
+  assert(dry.code === 0, `migrate dry run failed: ${dry.stderr || dry.stdout}`);
+  assert(readJson(join(stateDirAbs, 'ralph-state.json')).schemaVersion === undefined, 'expected dry run to leave the state file alone');
+
+  const migrated = await spawnNode([nodePath('ralph-migrate.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(migrated.code === 0, `migrate failed: ${migrated.stderr || migrated.stdout}`);
+  const result = JSON.parse(migrated.stdout);
+  assert(result.fromVersion === 1 && result.toVersion === 2 && existsSync(join(cwd, result.backup)), 'expected v1 -> v2 with a backup');
+  const state = readJson(join(stateDirAbs, 'ralph-state.json'));
+  assert(state.schemaVersion === 2 && state.steps['step-1'].status === 'complete', 'expected missing status to be taken from the step file');
+  assert(Array.isArray(state.iterations) && state.git.enabled === false, 'expected new fields to be filled in');
+
+  const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'step-2', '--state-dir', stateDir, '--worker-id', 'w1'], { cwd, verbose });
+  assert(claim.code === 0, `claim after migration failed: ${claim.stderr || claim.stdout}`);
+  const again = await spawnNode([nodePath('ralph-migrate.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(JSON.parse(again.stdout).upToDate === true, 'expected second migration to be a no-op');
+
+  // A malformed current-version file is reported with the exact field.
+  writeJson(join(stateDirAbs, 'ralph-state.json'), { ...readJson(join(stateDirAbs, 'ralph-state.json')), iteration: 'two' });
+  const readRes = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(readRes.code !== 0, 'expected malformed state to be rejected');
+  const error = JSON.parse(readRes.stderr);
+  assert(error.details.errors.includes('$.iteration: expected integer, got string'), `unexpected schema errors: ${readRes.stderr}`);
+
+  // Required fields are own properties: a step named after an Object.prototype member still needs a status.
+  const valid = { ...readJson(join(stateDirAbs, 'ralph-state.json')), iteration: 2 };
+  writeJson(join(stateDirAbs, 'ralph-state.json'), { ...valid, steps: { ...valid.steps, constructor: { description: 'x' } } });
+  const protoRes = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(protoRes.code !== 0 && JSON.parse(protoRes.stderr).details.errors.some(e => e.includes('constructor') && e.includes('status: is required')),
+    `expected a statusless constructor step to be rejected: ${protoRes.stderr || protoRes.stdout}`);
+}
+
+async function testRunDriver({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Driver', '--completion-promise', 'DONE', '--max-iterations', '4', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  for (const args of [['a'], ['b', '--depends-on', 'a'], ['c', '--depends-on', 'b'], ['d']]) {
+    const added = await spawnNode([nodePath('ralph-steps.mjs'), 'add', ...args, '--state-dir', stateDir], { cwd, verbose });
+    assert(added.code === 0, `steps add failed: ${added.stderr || added.stdout}`);
+  }
+
+  // Step b fails on its first attempt; c announces the completion promise.
+  const workerFile = join(cwd, `${stateDir}-worker.mjs`);
+  writeFileSync(workerFile, [
+    "import { existsSync, writeFileSync } from 'fs';",
+    'const id = process.env.RALPH_STEP_ID;',
+    `const marker = ${JSON.stringify(join(cwd, `${stateDir}-b-once`))};`,
+    "if (id === 'b' && !existsSync(marker)) { writeFileSync(marker, '1'); console.error('not yet'); process.exit(3); }",
+    "process.stdout.write(id === 'c' ? '<promise>DONE</promise>' : `did ${id}`);"
+  ].join('\n'));
+
+  const res = await spawnNode([nodePath('ralph-run.mjs'), '--worker-cmd', `"${process.execPath}" "${workerFile}"`, '--concurrency', '2', '--state-dir', stateDir], { cwd, verbose });
+  assert(res.code === 0, `run failed: ${res.stderr || res.stdout}`);
+  const result = JSON.parse(res.stdout);
+  assert(result.stopReason === 'complete' && result.iteration === 2, `expected completion in iteration 2, got ${result.stopReason} at ${result.iteration}`);
+  const first = result.iterations[0].steps;
+  assert(first.find(s => s.stepId === 'b')?.status === 'failed' && !first.some(s => s.stepId === 'c'), 'expected b to fail once and c to wait for it');
+  assert(readJson(join(cwd, stateDir, 'steps', 'b.json')).attempts === 1, 'expected the failed attempt to be counted');
+
+  // A worker still running when the budget runs out is stopped and its step handed back.
+  const added = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'slow', '--state-dir', stateDir], { cwd, verbose });
+  assert(added.code === 0, `steps add failed: ${added.stderr || added.stdout}`);
+  const moduleFile = join(cwd, `${stateDir}-slow.mjs`);
+  writeFileSync(moduleFile, [
+    'export default ({ signal }) => new Promise((resolve, reject) => {',
+    "  const timer = setTimeout(() => resolve('late'), 60000);",
+    "  signal.addEventListener('abort', () => { clearTimeout(timer); reject(new Error('stopped')); });",
+    '});'
+  ].join('\n'));
+  const budget = await spawnNode([nodePath('ralph-run.mjs'), '--worker-module', moduleFile, '--max-duration', '0.5', '--state-dir', stateDir], { cwd, verbose });
+  assert(budget.code === 0, `budget run failed: ${budget.stderr || budget.stdout}`);
+  assert(JSON.parse(budget.stdout).stopReason === 'budget', 'expected the run to stop on its wall-clock budget');
+  const slow = readJson(join(cwd, stateDir, 'steps', 'slow.json'));
+  assert(slow.status === 'pending' && !slow.attempts && !existsSync(join(cwd, stateDir, 'steps', 'slow.lock')), 'expected the interrupted step to be released without an attempt');
+}
+
+async function testBudgets({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Budgets', '--max-iterations', '2', '--max-tokens', '1000', '--max-step-duration', '0.5', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  assert(JSON.parse(init.stdout).budgets.maxTokens === 1000, 'expected init to record the token budget');
+  for (const id of ['slow', 'a', 'b']) {
+    const added = await spawnNode([nodePath('ralph-steps.mjs'), 'add', id, '--state-dir', stateDir], { cwd, verbose });
+    assert(added.code === 0, `steps add failed: ${added.stderr || added.stdout}`);
+  }
+
+  // The driver stops a worker that outlives the per-step budget and fails the attempt.
+  const moduleFile = join(cwd, `${stateDir}-worker.mjs`);
+  writeFileSync(moduleFile, [
+    'export default ({ stepId, signal }) => new Promise((resolve, reject) => {',
+    "  if (stepId !== 'slow') return resolve({ result: 'ok', usage: { inputTokens: 100, outputTokens: 20, model: 'test-model' } });",
+    "  const timer = setTimeout(() => resolve('late'), 60000);",
+    "  signal.addEventListener('abort', () => { clearTimeout(timer); reject(new Error('stopped')); });",
+    '});'
+  ].join('\n'));
+  const run = await spawnNode([nodePath('ralph-run.mjs'), '--worker-module', moduleFile, '--state-dir', stateDir], { cwd, verbose });
+  assert(run.code === 0, `run failed: ${run.stderr || run.stdout}`);
+  const slow = readJson(join(cwd, stateDir, 'steps', 'slow.json'));
+  assert(slow.status === 'failed' && /step time budget/.test(slow.lastFailure?.reason), `expected slow to fail on the step budget, got ${slow.status}`);
+  const a = readJson(join(cwd, stateDir, 'steps', 'a.json'));
+  assert(a.usage?.inputTokens === 100 && Number.isFinite(a.durationMs), 'expected module usage to be recorded on the step');
+
+  // A reported usage that crosses the token budget stops the loop.
+  const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'slow', '--worker-id', 'w1', '--state-dir', stateDir], { cwd, verbose });
+  assert(claim.code === 0, `claim failed: ${claim.stderr || claim.stdout}`);
+  const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'slow', '--input-tokens', '700', '--output-tokens', '200', '--cost', '0.02', '--model', 'test-model', '--state-dir', stateDir], { cwd, verbose });
+  assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+
+  const read = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  const summary = JSON.parse(read.stdout);
+  assert(summary.canContinue === false && summary.stopReason === 'token-budget', `expected a token-budget stop, got ${summary.stopReason}`);
+  assert(summary.budgets.usage.totalTokens === 1140 && summary.budgets.usage.byModel['test-model'].reports === 3, 'expected usage totals across steps');
+
+  const refused = await spawnNode([nodePath('ralph-worker-claim.mjs'), '--next', '--state-dir', stateDir], { cwd, verbose });
+  assert(refused.code !== 0 && JSON.parse(refused.stderr).code === 'BUDGET_EXHAUSTED', 'expected claims to be refused once the budget is used up');
+}
+
+async function testArtifacts({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Artifacts', '--completion-promise', 'SHIPPED', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  const added = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'build', '--state-dir', stateDir], { cwd, verbose });
+  assert(added.code === 0, `steps add failed: ${added.stderr || added.stdout}`);
+  const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'build', '--worker-id', 'w1', '--state-dir', stateDir], { cwd, verbose });
+  assert(claim.code === 0, `claim failed: ${claim.stderr || claim.stdout}`);
+
+  const reportFile = `${stateDir}-junit.xml`;
+  const logFile = `${stateDir}-build.log`;
+  writeFileSync(join(cwd, reportFile), '<testsuite tests="2" failures="0"/>');
+  writeFileSync(join(cwd, logFile), 'compiled\n<promise>SHIPPED</promise>\n');
+
+  // A missing source file rejects the whole completion before anything is stored.
+  const bad = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'build', '--artifact-log', `build=${logFile}`, '--artifact', 'gone=missing.bin', '--state-dir', stateDir], { cwd, verbose });
+  assert(bad.code !== 0 && JSON.parse(bad.stderr).code === 'INVALID_ARGUMENT', 'expected a missing artifact to fail');
+  assert(!existsSync(join(cwd, stateDir, 'artifacts', 'build')), 'expected no artifacts to be stored after a failed completion');
+
+  const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'build',
+    '--artifact-report', `junit=${reportFile}`,
+    '--artifact-log', `build=${logFile}`,
+    '--artifact-json', 'metrics={"coverage":0.91}',
+    '--state-dir', stateDir], { cwd, verbose });
+  assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+  const artifacts = readJson(join(cwd, stateDir, 'steps', 'build.json')).artifacts;
+  const junit = artifacts.find(a => a.name === 'junit');
+  assert(artifacts.length === 3 && junit.file === join('artifacts', 'build', 'junit.xml') && junit.mimeType === 'application/xml', 'expected three artifacts recorded in the step file');
+  assert(junit.size === 35 && /^[0-9a-f]{64}$/.test(junit.sha256), 'expected size and sha256 on each artifact');
+  assert(readJson(join(cwd, stateDir, 'artifacts', 'build', 'metrics.json')).coverage === 0.91, 'expected the JSON artifact to be written');
+
+  const read = await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(JSON.parse(read.stdout).artifacts.map(a => a.name).join(',') === 'junit,build,metrics', 'expected ralph-state-read.mjs to list the artifacts');
+
+  // The promise in the log artifact counts, and the monitor flags artifacts changed after the fact.
+  const monitor = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  const verdict = JSON.parse(monitor.stdout);
+  assert(verdict.promiseFound === true && verdict.artifacts.every(a => a.verified), 'expected the monitor to find the promise and verify artifacts');
+  writeFileSync(join(cwd, stateDir, 'artifacts', 'build', 'junit.xml'), 'tampered');
+  const recheck = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  assert(JSON.parse(recheck.stdout).notes.some(n => n.includes('build/junit')), 'expected a note about the modified artifact');
+
+  const cleanup = await spawnNode([nodePath('ralph-cleanup.mjs'), '--archive', '--state-dir', stateDir], { cwd, verbose });
+  assert(cleanup.code === 0, `cleanup failed: ${cleanup.stderr || cleanup.stdout}`);
+  const archiveDir = join(cwd, stateDir, 'archive');
+  const [archived] = readdirSync(archiveDir);
+  assert(existsSync(join(archiveDir, archived, 'artifacts', 'build', 'metrics.json')), 'expected the archive to include artifacts');
+}
+
+async function testPromises({ cwd, stateDir, verbose }) {
+  // A negation only counts when it governs the tag; success sentences mentioning "no"/"without" do not.
+  const { buildPromisePatterns, scanPromise } = await import('./lib/ralph-promises.mjs');
+  const patterns = buildPromisePatterns('DONE');
+  const negatedIn = text => scanPromise(text, patterns).map(occurrence => occurrence.negated);
+  for (const text of [
+    'All tests pass with no failures <promise>DONE</promise>',
+    'No regressions found, <promise>DONE</promise>',
+    'Finished without errors: <promise>DONE</promise>'
+  ]) {
+    assert(negatedIn(text).join() === 'false', `expected a plain success, not a negation: ${text}`);
+  }
+  for (const text of [
+    'Do not output <promise>DONE</promise> yet',
+    'never <promise>DONE</promise>',
+    'Status: <promise>NOT DONE</promise>'
+  ]) {
+    assert(negatedIn(text).join() === 'true', `expected a negation: ${text}`);
+  }
+
+  const docsDir = `${stateDir}-docs`;
+  const badFile = join(cwd, `${stateDir}-promises.json`);
+  writeFileSync(badFile, JSON.stringify([{ text: 'X', files: ['../outside.md'] }]));
+  const bad = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Promises', '--promises-file', badFile.slice(cwd.length + 1), '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(bad.status !== 0 && JSON.parse(bad.stderr).code === 'INVALID_ARGUMENT', 'expected promise files outside the workspace to be rejected');
+
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Promises',
+    '--completion-promise', 'DONE',
+    '--completion-promise', 'DOCS UPDATED', '--promise-in', `${docsDir}/**/*.md`,
+    '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  assert(JSON.parse(init.stdout).promises.length === 2, 'expected two promises in the state');
+
+  const added = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'work', '--state-dir', stateDir], { cwd, verbose });
+  assert(added.code === 0, `steps add failed: ${added.stderr || added.stdout}`);
+  const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'work', '--worker-id', 'w1', '--state-dir', stateDir], { cwd, verbose });
+  assert(claim.code === 0, `claim failed: ${claim.stderr || claim.stdout}`);
+  const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'work', '--result', 'Status: <promise>NOT DONE</promise>', '--state-dir', stateDir], { cwd, verbose });
+  assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+
+  // A promise outside its scope does not count, and a negated one blocks completion.
+  mkdirSync(join(cwd, docsDir, 'api'), { recursive: true });
+  writeFileSync(join(cwd, `${stateDir}-notes.md`), '<promise>DOCS UPDATED</promise>');
+  const first = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  const verdict = JSON.parse(first.stdout);
+  const [doneResult, docsResult] = verdict.promises;
+  assert(verdict.promiseFound === false && verdict.overallComplete === false, 'expected the loop not to complete');
+  assert(doneResult.negated === true && doneResult.locations[0].source === `${stateDir}/steps/work.json#result`, 'expected the negation to be recorded with its source');
+  assert(docsResult.found === false && docsResult.locations.length === 0, 'expected the scoped promise to ignore files outside its globs');
+
+  writeFileSync(join(cwd, stateDir, 'progress', 'final.md'), 'All steps verified.\n<promise>DONE</promise>\n');
+  // The worker later reports a clean result, so nothing negates DONE any more.
+  const stepFile = join(cwd, stateDir, 'steps', 'work.json');
+  writeFileSync(stepFile, JSON.stringify({ ...readJson(stepFile), result: 'Finished' }));
+  writeFileSync(join(cwd, docsDir, 'api', 'index.md'), '# API\n\n<promise>DOCS UPDATED</promise>\n');
+  const second = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  const final = JSON.parse(second.stdout);
+  assert(final.promiseFound === true && final.overallComplete === true, `expected both promises to be found: ${JSON.stringify(final.notes)}`);
+  const docsLocation = final.promises[1].locations[0];
+  assert(docsLocation.source === `${docsDir}/api/index.md` && docsLocation.line === 3, 'expected the scoped match location with its line');
+  assert(final.promises[0].locations[0].source === `${stateDir}/progress/final.md`, 'expected the DONE promise location');
+}
+
+async function testApprovals({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Approvals', '--require-approval', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0 && JSON.parse(init.stdout).requiresApproval === true, `init failed: ${init.stderr || init.stdout}`);
+  for (const args of [['add', 'design', '--requires-approval'], ['add', 'build', '--depends-on', 'design']]) {
+    const added = await spawnNode([nodePath('ralph-steps.mjs'), ...args, '--state-dir', stateDir], { cwd, verbose });
+    assert(added.code === 0, `steps ${args.join(' ')} failed: ${added.stderr || added.stdout}`);
+  }
+  const readState = async () => JSON.parse((await spawnNode([nodePath('ralph-state-read.mjs'), '--state-dir', stateDir], { cwd, verbose })).stdout);
+  const claimAndComplete = async () => {
+    const claim = await spawnNode([nodePath('ralph-worker-claim.mjs'), 'design', '--worker-id', 'w1', '--state-dir', stateDir], { cwd, verbose });
+    assert(claim.code === 0, `claim failed: ${claim.stderr || claim.stdout}`);
+    const done = await spawnNode([nodePath('ralph-worker-complete.mjs'), 'design', '--result', 'Drafted', '--state-dir', stateDir], { cwd, verbose });
+    assert(done.code === 0, `complete failed: ${done.stderr || done.stdout}`);
+    return JSON.parse(done.stdout);
+  };
+
+  // A submitted step holds back its dependents until a reviewer decides.
+  assert((await claimAndComplete()).status === 'awaiting-approval', 'expected the step to await approval');
+  const waiting = await readState();
+  assert(waiting.awaitingApproval.join(',') === 'design' && waiting.readySteps.length === 0, 'expected no ready steps while design awaits approval');
+  assert(waiting.stopReason === 'awaiting-approval', `expected stopReason awaiting-approval, got ${waiting.stopReason}`);
+
+  const noComment = await spawnNode([nodePath('ralph-reject.mjs'), 'design', '--reviewer', 'alice', '--state-dir', stateDir], { cwd, verbose });
+  assert(noComment.code !== 0 && JSON.parse(noComment.stderr).code === 'INVALID_ARGUMENT', 'expected a rejection without a comment to fail');
+  const rejected = await spawnNode([nodePath('ralph-reject.mjs'), 'design', '--reviewer', 'alice', '--comment', 'Cover the error states', '--state-dir', stateDir], { cwd, verbose });
+  assert(rejected.code === 0 && JSON.parse(rejected.stdout).status === 'pending', `reject failed: ${rejected.stderr || rejected.stdout}`);
+  const stepFile = readJson(join(cwd, stateDir, 'steps', 'design.json'));
+  assert(stepFile.feedback === 'Cover the error states' && stepFile.lastReview.reviewer === 'alice' && !stepFile.attempts, 'expected the feedback and review on the step without a failed attempt');
+
+  // The next claim keeps the feedback; approval completes the step and unblocks build.
+  await claimAndComplete();
+  assert(readJson(join(cwd, stateDir, 'steps', 'design.json')).feedback === 'Cover the error states', 'expected feedback to survive the re-claim');
+  const approved = await spawnNode([nodePath('ralph-approve.mjs'), 'design', '--reviewer', 'bob', '--comment', 'LGTM', '--state-dir', stateDir], { cwd, verbose });
+  assert(approved.code === 0 && JSON.parse(approved.stdout).status === 'complete', `approve failed: ${approved.stderr || approved.stdout}`);
+  const again = await spawnNode([nodePath('ralph-approve.mjs'), 'design', '--reviewer', 'bob', '--state-dir', stateDir], { cwd, verbose });
+  assert(again.code !== 0 && JSON.parse(again.stderr).code === 'NOT_AWAITING_APPROVAL', 'expected a second approval to fail');
+  const design = readJson(join(cwd, stateDir, 'steps', 'design.json'));
+  assert(design.reviews.map(r => r.decision).join(',') === 'rejected,approved' && !design.feedback, 'expected the review history');
+  assert((await readState()).readySteps.join(',') === 'build', 'expected build to be ready after approval');
+
+  // The completion verdict itself waits for a reviewer on a gated loop.
+  await spawnNode([nodePath('ralph-worker-claim.mjs'), 'build', '--worker-id', 'w1', '--state-dir', stateDir], { cwd, verbose });
+  await spawnNode([nodePath('ralph-worker-complete.mjs'), 'build', '--state-dir', stateDir], { cwd, verbose });
+  const monitor = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  assert(JSON.parse(monitor.stdout).completionApproval?.status === 'awaiting-approval', `expected completion to await approval: ${monitor.stdout}`);
+  const gated = await readState();
+  assert(gated.isComplete === false && gated.stopReason === 'awaiting-approval', 'expected the loop not to be complete before approval');
+  const final = await spawnNode([nodePath('ralph-approve.mjs'), '--completion', '--reviewer', 'carol', '--state-dir', stateDir], { cwd, verbose });
+  assert(final.code === 0, `completion approval failed: ${final.stderr || final.stdout}`);
+  const complete = await readState();
+  assert(complete.isComplete === true && complete.completionApproval.reviewer === 'carol', 'expected the approved loop to be complete');
+}
+
+async function testReport({ cwd, stateDir, verbose }) {
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Report <demo>', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  const stateFile = join(cwd, stateDir, 'ralph-state.json');
+  const state = readJson(stateFile);
+  state.checks = [{ name: 'unit', command: `${JSON.stringify(process.execPath)} -e "console.log('5 passing')"` }];
+  writeJson(stateFile, state);
+  const added = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'build', '--description', 'Compile | link', '--max-attempts', '3', '--state-dir', stateDir], { cwd, verbose });
+  assert(added.code === 0, `steps add failed: ${added.stderr || added.stdout}`);
+
+  // Iteration 1 fails the step; iteration 2 completes it and passes validation.
+  await spawnNode([nodePath('ralph-worker-claim.mjs'), 'build', '--worker-id', 'w1', '--state-dir', stateDir], { cwd, verbose });
+  await spawnNode([nodePath('ralph-worker-fail.mjs'), 'build', '--reason', 'linker error', '--state-dir', stateDir], { cwd, verbose });
+  await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  await spawnNode([nodePath('ralph-iteration-next.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  await spawnNode([nodePath('ralph-worker-claim.mjs'), 'build', '--worker-id', 'w2', '--state-dir', stateDir], { cwd, verbose });
+  await spawnNode([nodePath('ralph-worker-complete.mjs'), 'build', '--result', 'Linked', '--duration', '90', '--state-dir', stateDir], { cwd, verbose });
+  const monitor = await spawnNode([nodePath('ralph-monitor-check.mjs'), '--monitor-id', 'm1', '--state-dir', stateDir], { cwd, verbose });
+  assert(JSON.parse(monitor.stdout).overallComplete === true, `expected the loop to complete: ${monitor.stdout}`);
+
+  const markdown = await spawnNode([nodePath('ralph-report.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(markdown.code === 0, `report failed: ${markdown.stderr || markdown.stdout}`);
+  const md = markdown.stdout;
+  assert(md.startsWith('# Ralph Loop Report') && md.includes('- **Status:** Complete'), 'expected the overview');
+  assert(md.includes('### Iteration 1') && md.includes('### Iteration 2'), 'expected one timeline section per iteration');
+  assert(md.includes('| build | Compile \\| link | complete | 1/3 | 1m 30s | w2 |'), 'expected the step row with attempts and duration');
+  assert(md.includes('build attempt 1 (w1): linker error'), 'expected the failed attempt');
+  assert(md.includes('**unit (stdout)**') && md.includes('5 passing'), 'expected the check output excerpt');
+  assert(/\| w1 \| 1 \| 0 \| 1 \|/.test(md) && /\| m1 \| 2 \| 1, 2 \| complete \|/.test(md), 'expected worker and monitor rows');
+
+  const html = await spawnNode([nodePath('ralph-report.mjs'), '--format', 'html', '--output', `${stateDir}-report.html`, '--state-dir', stateDir], { cwd, verbose });
+  assert(html.code === 0 && JSON.parse(html.stdout).format === 'html', `html report failed: ${html.stderr || html.stdout}`);
+  const page = readFileSync(join(cwd, `${stateDir}-report.html`), 'utf-8');
+  assert(page.startsWith('<!DOCTYPE html>') && page.includes('Report &lt;demo&gt;') && !page.includes('<demo>'), 'expected a self-contained, escaped HTML page');
+
+  const cleanup = await spawnNode([nodePath('ralph-cleanup.mjs'), '--archive', '--state-dir', stateDir], { cwd, verbose });
+  assert(cleanup.code === 0, `cleanup failed: ${cleanup.stderr || cleanup.stdout}`);
+  const [archived] = readdirSync(join(cwd, stateDir, 'archive'));
+  const live = await spawnNode([nodePath('ralph-report.mjs'), '--state-dir', stateDir], { cwd, verbose });
+  assert(live.stdout.includes('## Archives') && live.stdout.includes(archived), 'expected the archive to be listed');
+  const fromArchive = await spawnNode([nodePath('ralph-report.mjs'), '--archive', archived, '--state-dir', stateDir], { cwd, verbose });
+  assert(fromArchive.code === 0, `archive report failed: ${fromArchive.stderr || fromArchive.stdout}`);
+  assert(fromArchive.stdout.includes(`(archive ${archived})`) && fromArchive.stdout.includes('| build | Compile'), 'expected the report rendered from the archive');
+  const missing = await spawnNode([nodePath('ralph-report.mjs'), '--archive', 'nope', '--state-dir', stateDir], { cwd, verbose });
+  assert(missing.code !== 0 && JSON.parse(missing.stderr).code === 'ARCHIVE_NOT_FOUND', 'expected an unknown archive to fail');
+}
+
+async function testArchives({ cwd, stateDir, verbose }) {
+  const run = async (script, ...args) => spawnNode([nodePath(script), ...args, '--state-dir', stateDir], { cwd, verbose });
+  const archiveCli = async (...args) => {
+    const res = await run('ralph-archive.mjs', ...args);
+    assert(res.code === 0, `ralph-archive ${args.join(' ')} failed: ${res.stderr || res.stdout}`);
+    return JSON.parse(res.stdout);
+  };
+  const init = spawnSync(process.execPath, [nodePath('ralph-init.mjs'), 'Archive me', '--state-dir', stateDir], { cwd, encoding: 'utf-8' });
+  assert(init.status === 0, `init failed: ${init.stderr || init.stdout}`);
+  await run('ralph-steps.mjs', 'add', 'build');
+  await run('ralph-worker-claim.mjs', 'build', '--worker-id', 'w1');
+  await run('ralph-worker-complete.mjs', 'build', '--result', 'Built');
+
+  const cleanup = await run('ralph-cleanup.mjs', '--archive');
+  assert(cleanup.code === 0, `cleanup failed: ${cleanup.stderr || cleanup.stdout}`);
+  const { name } = JSON.parse(cleanup.stdout).archived;
+  const archiveDir = join(cwd, stateDir, 'archive');
+  const manifest = readJson(join(archiveDir, name, 'manifest.json'));
+  assert(manifest.stepStatus.complete === 1 && manifest.files.some(f => f.path === 'steps/build.json' && f.sha256), 'expected a manifest with hashed step files');
+  assert(existsSync(join(archiveDir, name, 'steps', 'build.json')), 'expected the archive to keep the state dir layout');
+
+  // Archives written before manifests flattened their directories; they are still readable.
+  const legacy = 'iteration-2020-01-01T00-00-00-000Z';
+  mkdirSync(join(archiveDir, legacy));
+  writeJson(join(archiveDir, legacy, 'ralph-state.json'), readJson(join(archiveDir, name, 'ralph-state.json')));
+  writeJson(join(archiveDir, legacy, 'steps-build.json'), { ...readJson(join(archiveDir, name, 'steps', 'build.json')), status: 'pending' });
+
+  const listed = await archiveCli('list');
+  assert(listed.archives.map(a => a.name).join(',') === `${legacy},${name}` && listed.archives[0].legacy === true, 'expected both archives, oldest first');
+  const shown = await archiveCli('show', name);
+  assert(shown.integrity.ok === true && shown.fileList.some(f => f.path === 'events.jsonl'), 'expected a verified archive');
+
+  await run('ralph-steps.mjs', 'add', 'test', '--depends-on', 'build');
+  const diff = await archiveCli('diff', name);
+  assert(diff.to === 'live' && !diff.identical && diff.steps.added.join(',') === 'test' && diff.files.changed.includes('ralph-state.json'), `expected the live changes: ${JSON.stringify(diff)}`);
+  const between = await archiveCli('diff', legacy, name);
+  assert(between.steps.changed[0]?.changes.status?.to === 'complete' && between.files.changed.includes('steps/build.json'), 'expected the archive-to-archive diff');
+
+  // Restore into a fresh dir, then over the live loop (which is archived first).
+  const copy = await archiveCli('restore', name, '--target', `${stateDir}-copy`);
+  assert(copy.backup === null && copy.schema.valid === true && existsSync(join(cwd, `${stateDir}-copy`, 'steps', 'build.json')), 'expected a restored copy');
+  const refused = await run('ralph-archive.mjs', 'restore', name);
+  assert(refused.code !== 0 && JSON.parse(refused.stderr).code === 'STATE_EXISTS', 'expected restore over a live loop to need --force');
+  const restored = await archiveCli('restore', name, '--force');
+  assert(restored.backup && Object.keys(readJson(join(cwd, stateDir, 'ralph-state.json')).steps).join(',') === 'build', 'expected the archived steps back');
+  assert(readFileSync(join(cwd, stateDir, 'events.jsonl'), 'utf-8').includes('"archive.restored"'), 'expected an archive.restored event');
+
+  writeFileSync(join(archiveDir, name, 'steps', 'build.json'), '{}');
+  const corrupt = await run('ralph-archive.mjs', 'restore', name, '--force');
+  assert(corrupt.code !== 0 && JSON.parse(corrupt.stderr).code === 'ARCHIVE_CORRUPT', 'expected a tampered archive to be refused');
+
+  // Manifest paths must stay inside the archive and the restore target.
+  const manifestFile = join(archiveDir, name, 'manifest.json');
+  const manifestText = readFileSync(manifestFile, 'utf-8');
+  const escaping = JSON.parse(manifestText);
+  escaping.files.push({ path: '../../outside.json', size: 2, sha256: escaping.files[0].sha256 });
+  writeFileSync(manifestFile, JSON.stringify(escaping));
+  const unsafe = await run('ralph-archive.mjs', 'restore', name, '--target', `${stateDir}-escape`);
+  assert(unsafe.code !== 0 && JSON.parse(unsafe.stderr).code === 'ARCHIVE_CORRUPT' && !existsSync(join(cwd, `${stateDir}-escape`)), 'expected a manifest path outside the archive to be refused');
+  writeFileSync(manifestFile, manifestText);
+
+  const dryRun = await archiveCli('prune', '--keep', '1', '--dry-run');
+  assert(dryRun.removed.length === 2 && readdirSync(archiveDir).length === 3, 'expected a dry run to remove nothing');
+  const pruned = await archiveCli('prune', '--keep', '1');
+  assert(pruned.kept.join(',') === restored.backup && readdirSync(archiveDir).join(',') === restored.backup, 'expected only the newest archive to be kept');
+  const retained = await run('ralph-cleanup.mjs', '--archive', '--keep-archives', '1');
+  assert(JSON.parse(retained.stdout).pruned.join(',') === restored.backup && readdirSync(archiveDir).length === 1, 'expected cleanup to apply retention');
+}
+
+async function testLoops({ cwd, verbose }) {
+  const run = async (script, ...args) => spawnNode([nodePath(script), ...args], { cwd, verbose });
+  mkdirSync(join(cwd, 'src'), { recursive: true });
+  writeFileSync(join(cwd, 'src', 'a.js'), 'a');
+  for (const [name, task] of [['api', 'API work'], ['ui', 'UI work']]) {
+    const init = await run('ralph-init.mjs', task, '--loop', name);
+    assert(init.code === 0 && JSON.parse(init.stdout).stateDir === `.ralph-loops/${name}`, `init --loop ${name} failed: ${init.stderr || init.stdout}`);
+  }
+  await run('ralph-steps.mjs', 'add', 'server', '--files', 'src/*.js', '--loop', 'api');
+  await run('ralph-steps.mjs', 'add', 'widget', '--files', 'src/a.js', '--loop', 'ui');
+  await run('ralph-steps.mjs', 'add', 'styles', '--loop', 'ui');
+
+  // A step is not claimed while another loop works on the same files; --next moves on to another step.
+  const server = await run('ralph-worker-claim.mjs', 'server', '--worker-id', 'w1', '--loop', 'api');
+  assert(server.code === 0, `claim failed: ${server.stderr || server.stdout}`);
+  const blocked = await run('ralph-worker-claim.mjs', 'widget', '--worker-id', 'w2', '--loop', 'ui');
+  const conflict = JSON.parse(blocked.stderr || '{}');
+  assert(blocked.code !== 0 && conflict.code === 'FILES_CONFLICT' && conflict.details.conflicts[0].overlap.join(',') === 'src/a.js', `expected a cross-loop conflict: ${blocked.stderr}`);
+  const next = await run('ralph-worker-claim.mjs', '--next', '--worker-id', 'w2', '--loop', 'ui');
+  assert(next.code === 0 && JSON.parse(next.stdout).stepId === 'styles', `expected --next to skip the conflicting step: ${next.stderr || next.stdout}`);
+
+  const listed = JSON.parse((await run('ralph-loops.mjs')).stdout);
+  assert(listed.loops.map(l => `${l.name}:${l.status}:${l.progress.inProgress}/${l.progress.total}`).join(',') === 'api:running:1/1,ui:running:1/2', `unexpected loop list: ${JSON.stringify(listed.loops)}`);
+
+  await run('ralph-worker-complete.mjs', 'server', '--loop', 'api');
+  const widget = await run('ralph-worker-claim.mjs', 'widget', '--worker-id', 'w2', '--loop', 'ui');
+  assert(widget.code === 0, `expected the claim once the other loop finished: ${widget.stderr || widget.stdout}`);
+
+  const removed = await run('ralph-cleanup.mjs', '--remove-all', '--force', '--loop', 'api');
+  assert(JSON.parse(removed.stdout).unregistered.join(',') === 'api', 'expected removing a loop to unregister it');
+  const unknown = await run('ralph-state-read.mjs', '--loop', 'api');
+  assert(unknown.code !== 0 && JSON.parse(unknown.stderr).code === 'LOOP_NOT_FOUND', 'expected an unregistered loop name to fail');
+}
+
+async function testCoreApi({ cwd, stateDir }) {
+  // The library resolves stateDir against process.cwd(), like the CLIs do.
+  const core = await import('./lib/ralph-core.mjs');
+  const previousCwd = process.cwd();
+  process.chdir(cwd);
+  try {
+    const init = core.init({ task: 'Core API', maxIterations: 3, stateDir });
+    assert(init.state.schemaVersion === 2 && init.stateFile === join(stateDir, 'ralph-state.json'), 'expected init() to return the new state');
+    assertRalphError(() => core.init({ task: 'Core API', stateDir }), 'STATE_EXISTS');
+
+    const steps = await spawnNode([nodePath('ralph-steps.mjs'), 'add', 'build', '--state-dir', stateDir], { cwd });
+    assert(steps.code === 0, `steps add failed: ${steps.stderr || steps.stdout}`);
+
+    const claim = core.claimStep({ next: true, workerId: 'w1', stateDir });
+    assert(claim.stepId === 'build' && claim.stepData.status === 'in-progress', 'expected claimStep({ next }) to claim build');
+    assertRalphError(() => core.claimStep({ stepId: 'build', workerId: 'w2', stateDir }), 'STEP_TAKEN');
+    assertRalphError(() => core.completeStep({ stepId: 'build', workerId: 'w2', stateDir }), 'WORKER_MISMATCH');
+
+    const done = core.completeStep({ stepId: 'build', workerId: 'w1', result: 'built', stateDir });
+    assert(done.status === 'complete' && done.lockRemoved === true, 'expected completeStep() to complete and unlock');
+    assert(core.completeStep({ stepId: 'build', stateDir }).note === 'Step already complete', 'expected a repeat completion to return a note');
+
+    const validation = core.validate({ monitorId: 'm1', stateDir });
+    assert(validation.overallComplete === true, `expected validate() to report completion: ${JSON.stringify(validation.notes)}`);
+    const summary = core.readState({ stateDir });
+    assert(summary.isComplete === true && core.formatSummary(summary).includes('Status: COMPLETE'), 'expected readState() to see the validation');
+
+    assertRalphError(() => core.cleanup({ removeAll: true, stateDir }), 'INVALID_ARGUMENT');
+    assert(core.cleanup({ removeAll: true, force: true, stateDir }).removed.removed === true, 'expected cleanup() to remove the state dir');
+    assertRalphError(() => core.readState({ stateDir }), 'STATE_NOT_FOUND');
+  } finally {
+    process.chdir(previousCwd);
+  }
+}
+
+function assertRalphError(fn, code) {
+  try {
+    fn();
+  } catch (error) {
+    assert(error?.name === 'RalphError' && error.code === code, `expected RalphError ${code}, got ${error?.code}: ${error?.message}`);
+    return;
+  }
+  throw new Error(`expected RalphError ${code}, but nothing was thrown`);
+}
+
 async function main() {
   const args = parseArgs();
   if (args.help) {
@@ -197,7 +1180,27 @@ async function main() {
     { name: 'exclusive claim', fn: () => testExclusiveClaim({ cwd: baseCwd, stateDir: '.ralph-a', verbose: args.verbose }) },
     { name: 'corrupt step overwrite', fn: () => testCorruptStepOverwrite({ cwd: baseCwd, stateDir: '.ralph-b', verbose: args.verbose }) },
     { name: 'concurrent state updates', fn: () => testConcurrentStateUpdates({ cwd: baseCwd, stateDir: '.ralph-c', verbose: args.verbose }) },
-    { name: 'latest validation numeric', fn: () => testLatestValidationNumeric({ cwd: baseCwd, stateDir: '.ralph-d', verbose: args.verbose }) }
+    { name: 'latest validation numeric', fn: () => testLatestValidationNumeric({ cwd: baseCwd, stateDir: '.ralph-d', verbose: args.verbose }) },
+    { name: 'dependency ready set', fn: () => testDependencyReadySet({ cwd: baseCwd, stateDir: '.ralph-e', verbose: args.verbose }) },
+    { name: 'steps cli', fn: () => testStepsCli({ cwd: baseCwd, stateDir: '.ralph-f', verbose: args.verbose }) },
+    { name: 'failure retries', fn: () => testFailureRetries({ cwd: baseCwd, stateDir: '.ralph-g', verbose: args.verbose }) },
+    { name: 'lease reclaim', fn: () => testLeaseReclaim({ cwd: baseCwd, stateDir: '.ralph-h', verbose: args.verbose }) },
+    { name: 'iteration advance', fn: () => testIterationAdvance({ cwd: baseCwd, stateDir: '.ralph-i', verbose: args.verbose }) },
+    { name: 'validation checks', fn: () => testValidationChecks({ cwd: baseCwd, stateDir: '.ralph-j', verbose: args.verbose }) },
+    { name: 'monitor consensus', fn: () => testMonitorConsensus({ cwd: baseCwd, stateDir: '.ralph-k', verbose: args.verbose }) },
+    { name: 'git rollback', fn: () => testGitRollback({ cwd: baseCwd, stateDir: '.ralph-l', verbose: args.verbose }) },
+    { name: 'event log', fn: () => testEventLog({ cwd: baseCwd, stateDir: '.ralph-m', verbose: args.verbose }) },
+    { name: 'crash recovery', fn: () => testRecover({ cwd: baseCwd, stateDir: '.ralph-n', verbose: args.verbose }) },
+    { name: 'schema migration', fn: () => testSchemaMigration({ cwd: baseCwd, stateDir: '.ralph-o', verbose: args.verbose }) },
+    { name: 'core api', fn: () => testCoreApi({ cwd: baseCwd, stateDir: '.ralph-p' }) },
+    { name: 'run driver', fn: () => testRunDriver({ cwd: baseCwd, stateDir: '.ralph-q', verbose: args.verbose }) },
+    { name: 'budgets', fn: () => testBudgets({ cwd: baseCwd, stateDir: '.ralph-r', verbose: args.verbose }) },
+    { name: 'artifacts', fn: () => testArtifacts({ cwd: baseCwd, stateDir: '.ralph-s', verbose: args.verbose }) },
+    { name: 'completion promises', fn: () => testPromises({ cwd: baseCwd, stateDir: '.ralph-t', verbose: args.verbose }) },
+    { name: 'approvals', fn: () => testApprovals({ cwd: baseCwd, stateDir: '.ralph-u', verbose: args.verbose }) },
+    { name: 'report', fn: () => testReport({ cwd: baseCwd, stateDir: '.ralph-v', verbose: args.verbose }) },
+    { name: 'archives', fn: () => testArchives({ cwd: baseCwd, stateDir: '.ralph-w', verbose: args.verbose }) },
+    { name: 'loop registry', fn: () => testLoops({ cwd: baseCwd, verbose: args.verbose }) }
   ];
 
   // eslint-disable-next-line no-console
@@ -0,0 +1,314 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Step Management
+ * Adds, updates, removes and bulk-imports step definitions under the state lock
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { extname, isAbsolute, join } from 'path';
+import {
+  DEFAULT_STATE_DIR,
+  appendEvent,
+  assertSafeStateDir,
+  assertSafeStepId,
+  exitWithError,
+  fail,
+  readStateFile,
+  resolveInCwd,
+  resolveStateDirAbs,
+  tryReadJsonFile,
+  tryUnlink,
+  validateStateSchema,
+  validateStepGraph,
+  withLock,
+  writeJsonAtomic
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+
+const ACTIONS = ['add', 'update', 'remove', 'import'];
+
+function parseDependsOn(value) {
+  return value.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Workspace paths or globs the step will change; other registered loops are kept off them while it runs.
+function normalizeFiles(files) {
+  for (const file of files) {
+    if (isAbsolute(file) || file.split(/[\\/]/).includes('..')) fail(`files must be workspace-relative paths or globs: ${file}`);
+  }
+  return files;
+}
+
+// Commas inside {a,b} belong to the glob.
+function parseFiles(value) {
+  return normalizeFiles(value.split(/,(?![^{]*\})/).map(s => s.trim()).filter(Boolean));
+}
+
+function parseMaxAttempts(value) {
+  const val = typeof value === 'number' ? value : parseInt(value, 10);
+  if (!Number.isInteger(val) || val < 1) fail('max-attempts must be a positive integer');
+  return val;
+}
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    action: null,
+    target: null,
+    description: null,
+    dependsOn: null,
+    maxAttempts: null,
+    requiresApproval: null,
+    files: null,
+    stateDir: DEFAULT_STATE_DIR,
+    merge: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--description' && i + 1 < args.length) {
+      result.description = args[++i];
+    } else if (arg === '--depends-on' && i + 1 < args.length) {
+      result.dependsOn = parseDependsOn(args[++i]);
+    } else if (arg === '--max-attempts' && i + 1 < args.length) {
+      result.maxAttempts = parseMaxAttempts(args[++i]);
+    } else if (arg === '--files' && i + 1 < args.length) {
+      result.files = parseFiles(args[++i]);
+    } else if (arg === '--requires-approval') {
+      result.requiresApproval = true;
+    } else if (arg === '--no-approval') {
+      result.requiresApproval = false;
+    } else if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--merge') {
+      result.merge = true;
+    } else if (!arg.startsWith('--')) {
+      if (!result.action) {
+        result.action = arg;
+      } else if (!result.target) {
+        result.target = arg;
+      }
+    }
+  }
+
+  if (!ACTIONS.includes(result.action)) {
+    fail(`Action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  if (!result.target) {
+    fail(result.action === 'import' ? 'Import file is required' : 'Step ID is required');
+  }
+
+  assertSafeStateDir(result.stateDir);
+  if (result.action !== 'import') assertSafeStepId(result.target);
+  if (result.dependsOn) result.dependsOn.forEach(assertSafeStepId);
+  return result;
+}
+
+function normalizeImportedStep(raw, fallbackId) {
+  if (!raw || typeof raw !== 'object') fail('Imported step must be an object', { stepId: fallbackId });
+  const stepId = assertSafeStepId(raw.stepId || raw.id || fallbackId);
+  // Only fields the file provides are set, so --merge leaves the others on the existing step alone.
+  const step = {};
+  if (typeof raw.description === 'string') step.description = raw.description;
+  if (typeof raw.status === 'string') step.status = raw.status;
+  if (raw.dependsOn !== undefined) {
+    if (!Array.isArray(raw.dependsOn)) fail(`Step ${stepId}: dependsOn must be an array`);
+    raw.dependsOn.forEach(assertSafeStepId);
+    step.dependsOn = [...raw.dependsOn];
+  }
+  if (raw.maxAttempts !== undefined && raw.maxAttempts !== null) step.maxAttempts = parseMaxAttempts(raw.maxAttempts);
+  if (raw.requiresApproval !== undefined) {
+    if (typeof raw.requiresApproval !== 'boolean') fail(`Step ${stepId}: requiresApproval must be a boolean`);
+    if (raw.requiresApproval) step.requiresApproval = true;
+  }
+  if (raw.files !== undefined) {
+    if (!Array.isArray(raw.files) || raw.files.some(f => typeof f !== 'string')) fail(`Step ${stepId}: files must be an array of paths or globs`);
+    if (raw.files.length > 0) step.files = normalizeFiles(raw.files.map(f => f.trim()).filter(Boolean));
+  }
+  return { stepId, step };
+}
+
+function parseJsonSteps(raw) {
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (error) {
+    fail('Failed to parse import file as JSON', { message: error?.message || String(error) });
+  }
+  if (data && !Array.isArray(data) && typeof data.steps === 'object') data = data.steps;
+  if (Array.isArray(data)) {
+    return data.map((entry, i) => normalizeImportedStep(entry, `step-${i + 1}`));
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([stepId, entry]) => normalizeImportedStep(entry, stepId));
+  }
+  fail('Import JSON must be an array of steps or an object keyed by step ID');
+}
+
+// Checklist lines look like "- [ ] step-1: Description (depends on: step-0)"; the ID prefix is optional.
+function parseMarkdownSteps(raw) {
+  const linePattern = /^\s*[-*]\s+\[([ xX])\]\s+(.+?)\s*$/;
+  const idPattern = /^`?([A-Za-z0-9][A-Za-z0-9._-]*)`?:\s+(.+)$/;
+  const depsPattern = /\s*\(depends on:\s*([^)]*)\)\s*$/i;
+  const entries = [];
+
+  for (const line of raw.split(/\r?\n/)) {
+    const m = line.match(linePattern);
+    if (!m) continue;
+    let text = m[2];
+    let dependsOn;
+    const depsMatch = text.match(depsPattern);
+    if (depsMatch) {
+      dependsOn = parseDependsOn(depsMatch[1]);
+      text = text.slice(0, depsMatch.index);
+    }
+    const idMatch = text.match(idPattern);
+    const entry = {
+      description: idMatch ? idMatch[2] : text,
+      status: m[1] === ' ' ? 'pending' : 'complete'
+    };
+    if (idMatch) entry.stepId = idMatch[1];
+    if (dependsOn) entry.dependsOn = dependsOn;
+    entries.push(entry);
+  }
+
+  if (entries.length === 0) fail('No checklist items found in Markdown import file');
+
+  // Generated step-<n> IDs skip IDs the file gives explicitly, so "- [ ] step-2: ..." stays unique.
+  const taken = new Set(entries.filter(entry => entry.stepId).map(entry => entry.stepId));
+  return entries.map((entry, index) => {
+    if (entry.stepId) return normalizeImportedStep(entry);
+    let n = index + 1;
+    while (taken.has(`step-${n}`)) n++;
+    taken.add(`step-${n}`);
+    return normalizeImportedStep(entry, `step-${n}`);
+  });
+}
+
+function loadImportFile(relPath) {
+  const fileAbs = resolveInCwd(relPath);
+  if (!existsSync(fileAbs)) fail(`Import file not found: ${relPath}`);
+  let raw;
+  try {
+    raw = readFileSync(fileAbs, 'utf-8');
+  } catch (error) {
+    fail('Failed to read import file', { message: error?.message || String(error) });
+  }
+  const ext = extname(fileAbs).toLowerCase();
+  return ext === '.md' || ext === '.markdown' ? parseMarkdownSteps(raw) : parseJsonSteps(raw);
+}
+
+function isStepInProgress(stepsDirAbs, state, stepId) {
+  if (state.steps && Object.hasOwn(state.steps, stepId) && state.steps[stepId]?.status === 'in-progress') return true;
+  if (existsSync(join(stepsDirAbs, `${stepId}.lock`))) return true;
+  const stepData = tryReadJsonFile(join(stepsDirAbs, `${stepId}.json`), { maxBytes: 512 * 1024 });
+  return stepData?.status === 'in-progress';
+}
+
+// An empty list clears the declaration.
+function setFiles(step, files) {
+  if (files.length > 0) step.files = files;
+  else delete step.files;
+}
+
+// Only true is stored; a step without the flag completes without review.
+function setRequiresApproval(step, requiresApproval) {
+  if (requiresApproval) step.requiresApproval = true;
+  else delete step.requiresApproval;
+}
+
+function applyChange(config, steps, stepsDirAbs, state) {
+  const stepId = config.target;
+
+  if (config.action === 'add') {
+    if (Object.hasOwn(steps, stepId)) fail(`Step ${stepId} already exists`);
+    steps[stepId] = { description: config.description || '', status: 'pending' };
+    if (config.dependsOn) steps[stepId].dependsOn = config.dependsOn;
+    if (config.maxAttempts !== null) steps[stepId].maxAttempts = config.maxAttempts;
+    if (config.requiresApproval !== null) setRequiresApproval(steps[stepId], config.requiresApproval);
+    if (config.files !== null) setFiles(steps[stepId], config.files);
+    return [stepId];
+  }
+
+  if (config.action === 'update') {
+    if (!Object.hasOwn(steps, stepId)) fail(`Step not found: ${stepId}`);
+    if (config.description === null && config.dependsOn === null && config.maxAttempts === null && config.requiresApproval === null && config.files === null) {
+      fail('Nothing to update (use --description, --depends-on, --max-attempts, --files, --requires-approval and/or --no-approval)');
+    }
+    steps[stepId] = { ...steps[stepId] };
+    if (config.description !== null) steps[stepId].description = config.description;
+    if (config.dependsOn !== null) steps[stepId].dependsOn = config.dependsOn;
+    if (config.maxAttempts !== null) steps[stepId].maxAttempts = config.maxAttempts;
+    if (config.requiresApproval !== null) setRequiresApproval(steps[stepId], config.requiresApproval);
+    if (config.files !== null) setFiles(steps[stepId], config.files);
+    return [stepId];
+  }
+
+  if (config.action === 'remove') {
+    if (!Object.hasOwn(steps, stepId)) fail(`Step not found: ${stepId}`);
+    if (isStepInProgress(stepsDirAbs, state, stepId)) fail(`Step ${stepId} is in progress; refusing to remove`);
+    delete steps[stepId];
+    return [stepId];
+  }
+
+  const imported = loadImportFile(config.target);
+  const seen = new Set();
+  for (const { stepId: id, step } of imported) {
+    if (seen.has(id)) fail(`Duplicate step ID in import file: ${id}`);
+    seen.add(id);
+    if (Object.hasOwn(steps, id)) {
+      if (!config.merge) fail(`Step ${id} already exists; rerun with --merge to update existing steps`);
+      if (isStepInProgress(stepsDirAbs, state, id)) fail(`Step ${id} is in progress; refusing to overwrite`);
+      steps[id] = { ...steps[id], ...step, status: steps[id].status || step.status || 'pending' };
+    } else {
+      steps[id] = { description: '', status: 'pending', ...step };
+    }
+  }
+  return [...seen];
+}
+
+function modifySteps(config) {
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const stepsDirAbs = join(stateDirAbs, 'steps');
+  const stateLockAbs = join(stateDirAbs, 'ralph-state.lock');
+
+  return withLock(stateLockAbs, () => {
+    const { stateFileAbs, state: latestState } = readStateFile(stateDirAbs);
+    const steps = { ...latestState.steps };
+
+    const changed = applyChange(config, steps, stepsDirAbs, latestState);
+
+    const graph = validateStepGraph(steps);
+    if (!graph.valid) fail('Invalid step dependency graph', { errors: graph.errors });
+
+    latestState.steps = steps;
+    const schema = validateStateSchema(latestState);
+    if (!schema.valid) fail('Step definitions do not match the state schema', { errors: schema.errors });
+    writeJsonAtomic(stateFileAbs, latestState);
+
+    // A removed step must not linger as a step file, or readers would resurrect it.
+    if (config.action === 'remove') tryUnlink(join(stepsDirAbs, `${config.target}.json`));
+
+    appendEvent(stateDirAbs, 'steps.changed', null, { action: config.action, steps: changed });
+
+    return {
+      action: config.action,
+      stateDir: config.stateDir,
+      steps: changed,
+      totalSteps: Object.keys(steps).length
+    };
+  });
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = modifySteps(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
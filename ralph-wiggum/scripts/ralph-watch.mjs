@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Watch
+ * Tails the loop event log and re-renders the state summary (or streams raw events) as events arrive
+ */
+
+import { closeSync, openSync, readSync, statSync } from 'fs';
+import { dirname, join } from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+import {
+  DEFAULT_STATE_DIR,
+  EVENTS_FILE,
+  assertSafeStateDir,
+  describeEventDetail,
+  exitWithError,
+  fail,
+  resolveStateDirAbs,
+  sleepMs
+} from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+
+const STATE_READ_SCRIPT = join(dirname(fileURLToPath(import.meta.url)), 'ralph-state-read.mjs');
+const RECENT_EVENTS = 10;
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stateDir: DEFAULT_STATE_DIR,
+    format: 'summary',
+    fromStart: false,
+    once: false,
+    until: null,
+    timeoutSeconds: null,
+    intervalMs: 500
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--format' && i + 1 < args.length) {
+      result.format = args[++i];
+    } else if (arg === '--from-start') {
+      result.fromStart = true;
+    } else if (arg === '--once') {
+      result.once = true;
+    } else if (arg === '--until' && i + 1 < args.length) {
+      result.until = args[++i].split(',').map(s => s.trim()).filter(Boolean);
+    } else if (arg === '--timeout' && i + 1 < args.length) {
+      const val = parseFloat(args[++i]);
+      if (!Number.isFinite(val) || val <= 0) fail('timeout must be a positive number of seconds');
+      result.timeoutSeconds = val;
+    } else if (arg === '--interval-ms' && i + 1 < args.length) {
+      const val = parseInt(args[++i], 10);
+      if (!Number.isFinite(val) || val < 50) fail('interval-ms must be an integer >= 50');
+      result.intervalMs = val;
+    }
+  }
+
+  if (result.format !== 'summary' && result.format !== 'events') {
+    fail('Format must be "summary" or "events"');
+  }
+
+  assertSafeStateDir(result.stateDir);
+  return result;
+}
+
+/**
+ * Incremental reader for events.jsonl. Only complete lines are returned; a partially written
+ * line stays buffered until its newline arrives. A shrunk or replaced file is read from the top.
+ */
+function createEventReader(eventsFileAbs, { fromStart }) {
+  let offset = null;
+  let inode = null;
+  let pending = '';
+
+  return function readNewEvents() {
+    let st;
+    try {
+      st = statSync(eventsFileAbs);
+    } catch {
+      // Not created yet, or removed by cleanup --remove-all; everything written later is new.
+      offset = 0;
+      inode = null;
+      pending = '';
+      return [];
+    }
+
+    if (offset === null) offset = fromStart ? 0 : st.size;
+    if ((inode !== null && st.ino !== inode) || st.size < offset) {
+      offset = 0;
+      pending = '';
+    }
+    inode = st.ino;
+    if (st.size === offset) return [];
+
+    const length = st.size - offset;
+    const buffer = Buffer.alloc(length);
+    const fd = openSync(eventsFileAbs, 'r');
+    try {
+      readSync(fd, buffer, 0, length, offset);
+    } finally {
+      closeSync(fd);
+    }
+    offset = st.size;
+
+    const lines = (pending + buffer.toString('utf-8')).split('\n');
+    pending = lines.pop();
+    const events = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // Skip lines that are not valid JSON
+      }
+    }
+    return events;
+  };
+}
+
+function describeEvent(event) {
+  const actor = event?.actor?.id ? `${event.actor.role}:${event.actor.id}` : event?.actor?.role || 'unknown';
+  const detail = describeEventDetail(event);
+  return `${event.timestamp} ${event.type} [${actor}]${detail ? ` ${detail}` : ''}`;
+}
+
+function renderSummary(config, recent) {
+  const proc = spawnSync(process.execPath, [STATE_READ_SCRIPT, '--format', 'summary', '--state-dir', config.stateDir], {
+    encoding: 'utf-8'
+  });
+  let output = process.stdout.isTTY ? '\x1b[2J\x1b[H' : '\n';
+  if (proc.status === 0) {
+    output += proc.stdout.trimEnd();
+  } else {
+    let message = proc.stderr.trim();
+    try {
+      message = JSON.parse(message).error;
+    } catch {
+      // keep raw stderr
+    }
+    output += `State unavailable: ${message || `exit ${proc.status}`}`;
+  }
+  if (recent.length > 0) {
+    output += `\n\nRecent Events:\n${recent.map(e => `  ${describeEvent(e)}`).join('\n')}`;
+  }
+  process.stdout.write(`${output}\n`);
+}
+
+function watch(config) {
+  const stateDirAbs = resolveStateDirAbs(config.stateDir);
+  const readNewEvents = createEventReader(join(stateDirAbs, EVENTS_FILE), { fromStart: config.fromStart });
+  const deadline = config.timeoutSeconds !== null ? Date.now() + config.timeoutSeconds * 1000 : null;
+  const recent = [];
+
+  let events = readNewEvents();
+  let first = true;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    if (config.format === 'events') {
+      for (const event of events) process.stdout.write(`${JSON.stringify(event)}\n`);
+    } else if (first || events.length > 0) {
+      recent.push(...events);
+      recent.splice(0, Math.max(0, recent.length - RECENT_EVENTS));
+      renderSummary(config, recent);
+    }
+    first = false;
+
+    const matched = config.until ? events.find(e => config.until.includes(e?.type)) : null;
+    if (matched) return { stoppedBy: 'until', event: matched };
+    if (config.once) return { stoppedBy: 'once' };
+    if (deadline !== null && Date.now() >= deadline) {
+      if (config.until) fail('Timed out waiting for event', { until: config.until, timeoutSeconds: config.timeoutSeconds });
+      return { stoppedBy: 'timeout' };
+    }
+
+    sleepMs(deadline !== null ? Math.min(config.intervalMs, Math.max(0, deadline - Date.now())) : config.intervalMs);
+    events = readNewEvents();
+  }
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = watch(config);
+  // In events mode stdout is pure NDJSON; the matching event was already printed.
+  if (config.format === 'summary' && result.stoppedBy === 'until') {
+    console.log(`Stopped on ${result.event.type}`);
+  }
+} catch (error) {
+  exitWithError(error);
+}
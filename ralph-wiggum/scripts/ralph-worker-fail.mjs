@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Worker Step Failure
+ * Records a failed attempt, releases the step lock and marks the step exhausted once maxAttempts is reached
+ */
+
+import { DEFAULT_STATE_DIR, applyUsageFlag, exitWithError } from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { failStep } from './lib/ralph-core.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stepId: null,
+    reason: null,
+    stateDir: DEFAULT_STATE_DIR,
+    workerId: null,
+    usage: {}
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--reason' && i + 1 < args.length) {
+      result.reason = args[++i];
+    } else if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--worker-id' && i + 1 < args.length) {
+      result.workerId = args[++i];
+    } else if (i + 1 < args.length && applyUsageFlag(result.usage, arg, args[i + 1])) {
+      i++;
+    } else if (!arg.startsWith('--')) {
+      result.stepId = arg;
+    }
+  }
+
+  return result;
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = failStep(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * Ralph Worker Heartbeat
+ * Extends the lease on a claimed step so it is not reclaimed while the worker is alive
+ */
+
+import { DEFAULT_STATE_DIR, exitWithError, parseLeaseSeconds } from './lib/ralph-common.mjs';
+import { resolveLoopStateDir } from './lib/ralph-loops.mjs';
+import { heartbeat } from './lib/ralph-core.mjs';
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const result = {
+    stepId: null,
+    stateDir: DEFAULT_STATE_DIR,
+    workerId: null,
+    leaseSeconds: null
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--state-dir' && i + 1 < args.length) {
+      result.stateDir = args[++i];
+    } else if (arg === '--loop' && i + 1 < args.length) {
+      result.stateDir = resolveLoopStateDir(args[++i]);
+    } else if (arg === '--worker-id' && i + 1 < args.length) {
+      result.workerId = args[++i];
+    } else if (arg === '--lease-seconds' && i + 1 < args.length) {
+      result.leaseSeconds = parseLeaseSeconds(args[++i]);
+    } else if (!arg.startsWith('--')) {
+      result.stepId = arg;
+    }
+  }
+
+  return result;
+}
+
+// Main execution
+try {
+  const config = parseArgs();
+  const result = heartbeat(config);
+  console.log(JSON.stringify(result));
+} catch (error) {
+  exitWithError(error);
+}